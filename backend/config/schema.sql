@@ -2,11 +2,16 @@
 -- PostgreSQL Database Setup
 
 -- Drop existing tables if they exist (for development)
+DROP TABLE IF EXISTS alerts CASCADE;
+DROP TABLE IF EXISTS documents CASCADE;
+DROP TABLE IF EXISTS events CASCADE;
 DROP TABLE IF EXISTS article_tags CASCADE;
 DROP TABLE IF EXISTS tags CASCADE;
 DROP TABLE IF EXISTS articles CASCADE;
 DROP TABLE IF EXISTS sources CASCADE;
 DROP TABLE IF EXISTS scrape_logs CASCADE;
+DROP TABLE IF EXISTS http_cache CASCADE;
+DROP TABLE IF EXISTS hashtags CASCADE;
 
 -- Sources Table
 -- Stores information about news sources being scraped
@@ -14,14 +19,30 @@ CREATE TABLE sources (
   id SERIAL PRIMARY KEY,
   name VARCHAR(100) NOT NULL UNIQUE,
   url VARCHAR(500) NOT NULL,
-  type VARCHAR(50) NOT NULL, -- 'news', 'social', 'media'
-  scraper_type VARCHAR(50) NOT NULL, -- 'rss', 'cheerio', 'puppeteer', 'api'
+  type VARCHAR(50) NOT NULL, -- 'news', 'social', 'media', 'events', 'documents', 'alerts'
+  scraper_type VARCHAR(50) NOT NULL, -- 'rss', 'cheerio', 'puppeteer', 'sitemap', 'nitter', 'mastodon', 'reddit', 'youtube', 'ical', 'event_page', 'agenda', 'nws_alerts', 'api'
   enabled BOOLEAN DEFAULT true,
+  selectors JSONB, -- Per-source CSS selectors: articleList, title, link, excerpt, date, author, image
+  wait_selector VARCHAR(255), -- Puppeteer: selector to wait for before extracting
+  pagination JSONB, -- Listing pagination: nextSelector or urlTemplate ('/page/{n}'), maxPages, stopWhenKnown
+  sitemap JSONB, -- Sitemap filters: urlPattern (regex), maxAgeHours, maxUrls, maxSitemaps
+  mastodon JSONB, -- Mastodon timelines: hashtags, accounts (user or user@instance), limit
+  reddit JSONB, -- Reddit listings: subreddits, keywords, flairs, listing, limit, format ('json' or 'rss')
+  agenda JSONB, -- Agenda pages: municipality, body (default governing body), linkPattern (regex), maxDocuments
+  alerts JSONB, -- NWS alerts: zones (forecast zone or county codes, e.g. 'ALZ266', 'ALC003')
+  schedule JSONB, -- Scrape timing: cron or intervalMinutes, quietHours {start, end}, jitterSeconds
+  enrich_articles BOOLEAN DEFAULT false, -- Visit new article pages for full body and metadata
+  enrich_budget INTEGER DEFAULT 10, -- Max article pages to visit per scrape run
   last_scraped TIMESTAMP,
   last_successful_scrape TIMESTAMP,
   scrape_count INTEGER DEFAULT 0,
   error_count INTEGER DEFAULT 0,
   last_error TEXT,
+  last_error_category VARCHAR(50), -- Category of last_error (see scrape_logs.error_category)
+  consecutive_failures INTEGER DEFAULT 0, -- Failed runs since the last success
+  breaker_state VARCHAR(20) DEFAULT 'healthy', -- 'healthy', 'degraded', 'tripped', 'half_open'
+  breaker_trips INTEGER DEFAULT 0, -- Trips in a row; each doubles the cool-down
+  breaker_until TIMESTAMP, -- Tripped sources are skipped until this time
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -38,14 +59,84 @@ CREATE TABLE articles (
   author VARCHAR(200),
   category VARCHAR(50), -- 'local', 'politics', 'sports', 'weather', etc.
   content_type VARCHAR(20) NOT NULL, -- 'news', 'social', 'media'
-  platform VARCHAR(50), -- For social media: 'twitter', 'instagram', 'tiktok'
+  platform VARCHAR(50), -- For social media and video: 'twitter', 'mastodon', 'reddit', 'youtube', 'instagram', 'tiktok'
   image_url VARCHAR(1000),
   published_at TIMESTAMP,
+  score INTEGER, -- Social posts: score (Reddit upvotes) at the last scrape
+  comment_count INTEGER, -- Social posts: comments at the last scrape
+  video_id VARCHAR(20), -- YouTube video ID, for embedding media items
+  media_url VARCHAR(1000), -- Audio/video enclosure (podcast episodes)
+  media_type VARCHAR(100), -- MIME type of media_url, e.g. 'audio/mpeg'
+  media_duration INTEGER, -- Seconds, from itunes:duration
   scraped_at TIMESTAMP DEFAULT NOW(),
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Events Table
+-- Community calendar events; recurring events have one row per occurrence
+CREATE TABLE events (
+  id SERIAL PRIMARY KEY,
+  source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
+  uid VARCHAR(500) NOT NULL, -- iCalendar UID, or the event page URL
+  title VARCHAR(500) NOT NULL,
+  description TEXT,
+  url VARCHAR(1000),
+  location VARCHAR(500),
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ,
+  all_day BOOLEAN DEFAULT false,
+  timezone VARCHAR(100), -- IANA zone the event was published in
+  status VARCHAR(20) DEFAULT 'confirmed', -- 'confirmed', 'tentative', 'cancelled'
+  category VARCHAR(50),
+  image_url VARCHAR(1000),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (source_id, uid, starts_at)
+);
+
+-- Documents Table
+-- Meeting agendas and minutes, with the text extracted from their PDFs
+CREATE TABLE documents (
+  id SERIAL PRIMARY KEY,
+  source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
+  url VARCHAR(1000) UNIQUE NOT NULL, -- The PDF
+  title VARCHAR(500) NOT NULL,
+  governing_body VARCHAR(200) NOT NULL, -- e.g. 'Orange Beach City Council'
+  document_type VARCHAR(20) NOT NULL, -- 'agenda', 'minutes'
+  meeting_date DATE,
+  content TEXT NOT NULL,
+  page_count INTEGER,
+  category VARCHAR(50), -- 'politics' or 'development'
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Alerts Table
+-- National Weather Service watches, warnings and advisories (CAP fields)
+CREATE TABLE alerts (
+  id SERIAL PRIMARY KEY,
+  source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
+  alert_id VARCHAR(500) UNIQUE NOT NULL, -- CAP identifier (the Atom entry id)
+  event VARCHAR(200) NOT NULL, -- e.g. 'Tornado Warning', 'Rip Current Statement'
+  headline VARCHAR(1000),
+  description TEXT,
+  severity VARCHAR(20), -- 'Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'
+  urgency VARCHAR(20), -- 'Immediate', 'Expected', 'Future', 'Past', 'Unknown'
+  certainty VARCHAR(20), -- 'Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'
+  msg_type VARCHAR(20), -- 'Alert', 'Update'
+  areas TEXT, -- CAP areaDesc, e.g. 'Baldwin Coastal; Mobile Coastal'
+  zones TEXT[], -- UGC codes the alert covers
+  url VARCHAR(1000),
+  sent_at TIMESTAMPTZ,
+  effective_at TIMESTAMPTZ,
+  onset_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  expired_at TIMESTAMPTZ, -- Set when the alert leaves the active feed (cancelled or replaced)
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Tags Table
 -- Stores hashtags and topic tags
 CREATE TABLE tags (
@@ -56,6 +147,15 @@ CREATE TABLE tags (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Hashtags Table
+-- Tracked social media hashtags; each is scraped by its own Nitter source
+CREATE TABLE hashtags (
+  id SERIAL PRIMARY KEY,
+  tag VARCHAR(100) UNIQUE NOT NULL, -- Including '#', e.g. '#OrangeBeach'
+  source_id INTEGER REFERENCES sources(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Article_Tags Junction Table
 -- Many-to-many relationship between articles and tags
 CREATE TABLE article_tags (
@@ -69,40 +169,93 @@ CREATE TABLE article_tags (
 CREATE TABLE scrape_logs (
   id SERIAL PRIMARY KEY,
   source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
-  status VARCHAR(20) NOT NULL, -- 'success', 'error', 'partial'
+  status VARCHAR(20) NOT NULL, -- 'success', 'not_modified', 'error', 'partial'
   articles_found INTEGER DEFAULT 0,
   articles_new INTEGER DEFAULT 0,
   articles_updated INTEGER DEFAULT 0,
   duration_ms INTEGER,
   error_message TEXT,
+  error_category VARCHAR(50), -- 'dns', 'timeout', 'network', 'http_4xx', 'http_5xx', 'parse_error', 'blocked', 'no_items', 'unknown'
   started_at TIMESTAMP DEFAULT NOW(),
   completed_at TIMESTAMP
 );
 
+-- HTTP Cache Table
+-- Validators and content hash per feed/listing URL for conditional requests
+CREATE TABLE http_cache (
+  url VARCHAR(1000) PRIMARY KEY,
+  etag VARCHAR(500),
+  last_modified VARCHAR(100),
+  content_hash CHAR(64), -- SHA-256 of the last body, for servers without validators
+  checked_at TIMESTAMP DEFAULT NOW(),
+  changed_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Indexes for Performance
 CREATE INDEX idx_articles_source ON articles(source_id);
 CREATE INDEX idx_articles_published ON articles(published_at DESC);
 CREATE INDEX idx_articles_category ON articles(category);
 CREATE INDEX idx_articles_content_type ON articles(content_type);
 CREATE INDEX idx_articles_created ON articles(created_at DESC);
+CREATE INDEX idx_events_starts ON events(starts_at);
+CREATE INDEX idx_events_source ON events(source_id);
+CREATE INDEX idx_documents_meeting ON documents(meeting_date DESC);
+CREATE INDEX idx_documents_source ON documents(source_id);
+CREATE INDEX idx_alerts_expires ON alerts(expires_at);
+CREATE INDEX idx_alerts_source ON alerts(source_id);
 CREATE INDEX idx_tags_name ON tags(name);
 CREATE INDEX idx_article_tags_article ON article_tags(article_id);
 CREATE INDEX idx_article_tags_tag ON article_tags(tag_id);
 CREATE INDEX idx_scrape_logs_source ON scrape_logs(source_id);
 CREATE INDEX idx_scrape_logs_started ON scrape_logs(started_at DESC);
+CREATE INDEX idx_scrape_logs_category ON scrape_logs(error_category);
 
 -- Full-text search index on articles
 CREATE INDEX idx_articles_search ON articles USING GIN(to_tsvector('english', title || ' ' || COALESCE(excerpt, '') || ' ' || COALESCE(content, '')));
 
+-- Full-text search index on meeting documents (the body name makes
+-- "zoning Fairhope" match Fairhope's own agendas)
+CREATE INDEX idx_documents_search ON documents USING GIN(to_tsvector('english', title || ' ' || governing_body || ' ' || content));
+
 -- Insert Default Sources
+INSERT INTO sources (name, url, type, scraper_type, enabled, enrich_articles, schedule) VALUES
+  ('Baldwin Times', 'https://www.baldwintimes.com', 'news', 'cheerio', true, true, NULL),
+  ('Gulf Coast News', 'https://www.gulfcoastnewstoday.com', 'news', 'cheerio', true, true, NULL),
+  ('Orange Beach Today', 'https://www.orangebeachtoday.com', 'news', 'cheerio', true, true, NULL),
+  ('AL.com Baldwin', 'https://www.al.com/arc/outboundfeeds/rss/category/news/mobile/baldwin/', 'news', 'rss', true, false, '{"intervalMinutes": 10}'),
+  ('Foley Observer', 'https://www.foleyobserver.com', 'news', 'cheerio', true, true, NULL),
+  ('Mobile Register', 'https://www.al.com/arc/outboundfeeds/rss/category/news/mobile/', 'news', 'rss', true, false, '{"intervalMinutes": 10}'),
+  ('Orange Beach City', 'https://www.orangebeachal.gov/news', 'news', 'cheerio', true, true, '{"cron": "0 7 * * *"}');
+
+-- Insert Tracked Hashtags (one Nitter source each)
 INSERT INTO sources (name, url, type, scraper_type, enabled) VALUES
-  ('Baldwin Times', 'https://www.baldwintimes.com', 'news', 'cheerio', true),
-  ('Gulf Coast News', 'https://www.gulfcoastnewstoday.com', 'news', 'cheerio', true),
-  ('Orange Beach Today', 'https://www.orangebeachtoday.com', 'news', 'cheerio', true),
-  ('AL.com Baldwin', 'https://www.al.com/arc/outboundfeeds/rss/category/news/mobile/baldwin/', 'news', 'rss', true),
-  ('Foley Observer', 'https://www.foleyobserver.com', 'news', 'cheerio', true),
-  ('Mobile Register', 'https://www.al.com/arc/outboundfeeds/rss/category/news/mobile/', 'news', 'rss', true),
-  ('Orange Beach City', 'https://www.orangebeachal.gov/news', 'news', 'cheerio', true);
+  ('Nitter #BaldwinCounty', 'https://nitter.net/search?f=tweets&q=%23BaldwinCounty', 'social', 'nitter', true),
+  ('Nitter #OrangeBeach', 'https://nitter.net/search?f=tweets&q=%23OrangeBeach', 'social', 'nitter', true),
+  ('Nitter #GulfShores', 'https://nitter.net/search?f=tweets&q=%23GulfShores', 'social', 'nitter', true),
+  ('Nitter #Foley', 'https://nitter.net/search?f=tweets&q=%23Foley', 'social', 'nitter', true);
+
+INSERT INTO hashtags (tag, source_id)
+SELECT substring(name from 8), id FROM sources WHERE scraper_type = 'nitter';
+
+-- Insert Mastodon Sources (the URL is the instance the API is read from)
+INSERT INTO sources (name, url, type, scraper_type, enabled, mastodon) VALUES
+  ('Mastodon Baldwin County', 'https://mastodon.social', 'social', 'mastodon', true, '{"hashtags": ["BaldwinCounty", "OrangeBeach", "GulfShores", "Foley"]}');
+
+-- Insert Reddit Sources (the URL is the site the listings are read from)
+-- Disabled: www.reddit.com's robots.txt disallows all crawlers, so every
+-- listing request is blocked until the source points at a host that allows
+-- us (e.g. API access Reddit has granted)
+INSERT INTO sources (name, url, type, scraper_type, enabled, reddit, schedule) VALUES
+  ('Reddit Baldwin County', 'https://www.reddit.com', 'social', 'reddit', false, '{"subreddits": ["BaldwinCounty", "GulfShores", "OrangeBeach", "mobilealabama"], "keywords": ["Baldwin", "Foley", "Daphne", "Fairhope", "Gulf Shores", "Orange Beach", "Spanish Fort", "Robertsdale", "road", "closed", "closure", "outage", "power", "accident", "traffic"]}', '{"intervalMinutes": 15}');
+
+-- Insert Agenda Sources (the URL is the page that links the PDFs)
+INSERT INTO sources (name, url, type, scraper_type, enabled, agenda, schedule) VALUES
+  ('Orange Beach City Agendas', 'https://www.orangebeachal.gov/AgendaCenter', 'documents', 'agenda', true, '{"municipality": "Orange Beach"}', '{"cron": "0 8 * * *"}');
+
+-- Insert Weather Alert Sources (the URL is the NWS API the feed is read from;
+-- zones are Baldwin Inland, Central and Coastal plus the county)
+INSERT INTO sources (name, url, type, scraper_type, enabled, alerts, schedule) VALUES
+  ('NWS Baldwin County Alerts', 'https://api.weather.gov', 'alerts', 'nws_alerts', true, '{"zones": ["ALZ262", "ALZ264", "ALZ266", "ALC003"]}', '{"intervalMinutes": 5, "jitterSeconds": 0}');
 
 -- Insert Common Tags
 INSERT INTO tags (name, type) VALUES
@@ -133,6 +286,15 @@ CREATE TRIGGER update_sources_updated_at BEFORE UPDATE ON sources
 CREATE TRIGGER update_articles_updated_at BEFORE UPDATE ON articles
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_events_updated_at BEFORE UPDATE ON events
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_documents_updated_at BEFORE UPDATE ON documents
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_alerts_updated_at BEFORE UPDATE ON alerts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to increment tag count
 CREATE OR REPLACE FUNCTION increment_tag_count()
 RETURNS TRIGGER AS $$
@@ -0,0 +1,194 @@
+/**
+ * Alert Model
+ * Handles database operations for National Weather Service alerts
+ * An alert is active until it expires or leaves the NWS active feed
+ */
+
+const db = require('../config/database');
+
+// Most severe first (CAP severity values)
+const SEVERITY_ORDER = `
+  CASE a.severity
+    WHEN 'Extreme' THEN 1
+    WHEN 'Severe' THEN 2
+    WHEN 'Moderate' THEN 3
+    WHEN 'Minor' THEN 4
+    ELSE 5
+  END
+`;
+
+class Alert {
+  /**
+   * Insert an alert, or update the stored one when it changed
+   * An alert seen again after being expired is made active again
+   * @param {Object} alertData - Alert data
+   * @returns {Promise<Object>} { alert, status } where status is
+   *   'inserted', 'updated' or 'duplicate' (already stored, unchanged)
+   */
+  static async upsert(alertData) {
+    const {
+      source_id,
+      alert_id,
+      event,
+      headline = null,
+      description = null,
+      severity = null,
+      urgency = null,
+      certainty = null,
+      msg_type = null,
+      areas = null,
+      zones = [],
+      url = null,
+      sent_at = null,
+      effective_at = null,
+      onset_at = null,
+      expires_at = null,
+    } = alertData;
+
+    // xmax is 0 only for rows created by this statement
+    const query = `
+      INSERT INTO alerts
+      (source_id, alert_id, event, headline, description, severity, urgency, certainty,
+       msg_type, areas, zones, url, sent_at, effective_at, onset_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      ON CONFLICT (alert_id) DO UPDATE SET
+        event = EXCLUDED.event,
+        headline = EXCLUDED.headline,
+        description = EXCLUDED.description,
+        severity = EXCLUDED.severity,
+        urgency = EXCLUDED.urgency,
+        certainty = EXCLUDED.certainty,
+        msg_type = EXCLUDED.msg_type,
+        areas = EXCLUDED.areas,
+        zones = EXCLUDED.zones,
+        url = EXCLUDED.url,
+        sent_at = EXCLUDED.sent_at,
+        effective_at = EXCLUDED.effective_at,
+        onset_at = EXCLUDED.onset_at,
+        expires_at = EXCLUDED.expires_at,
+        expired_at = NULL,
+        updated_at = NOW()
+      WHERE alerts.expired_at IS NOT NULL
+        OR (alerts.headline, alerts.description, alerts.severity, alerts.urgency,
+          alerts.certainty, alerts.areas, alerts.zones, alerts.onset_at, alerts.expires_at)
+        IS DISTINCT FROM (EXCLUDED.headline, EXCLUDED.description, EXCLUDED.severity,
+          EXCLUDED.urgency, EXCLUDED.certainty, EXCLUDED.areas, EXCLUDED.zones,
+          EXCLUDED.onset_at, EXCLUDED.expires_at)
+      RETURNING *, (xmax = 0) AS inserted
+    `;
+
+    const values = [
+      source_id,
+      alert_id,
+      event,
+      headline,
+      description,
+      severity,
+      urgency,
+      certainty,
+      msg_type,
+      areas,
+      zones,
+      url,
+      sent_at,
+      effective_at,
+      onset_at,
+      expires_at,
+    ];
+
+    const result = await db.query(query, values);
+
+    // No row back: the alert exists and nothing changed
+    if (result.rows.length === 0) {
+      const existing = await db.query('SELECT * FROM alerts WHERE alert_id = $1', [
+        alert_id,
+      ]);
+      return { alert: existing.rows[0], status: 'duplicate' };
+    }
+
+    const { inserted, ...alert } = result.rows[0];
+    return { alert, status: inserted ? 'inserted' : 'updated' };
+  }
+
+  /**
+   * Get active alerts: not expired and still in the NWS feed
+   * @param {Object} filters - severity (array of CAP severities), zone
+   *   (UGC code), limit
+   * @returns {Promise<Array>} Array of alerts, most severe first
+   */
+  static async getActive(filters = {}) {
+    const { severity, zone, limit = 50 } = filters;
+
+    let query = `
+      SELECT a.*, s.name as source_name
+      FROM alerts a
+      LEFT JOIN sources s ON a.source_id = s.id
+      WHERE a.expired_at IS NULL
+        AND (a.expires_at IS NULL OR a.expires_at > NOW())
+    `;
+
+    const values = [];
+    let paramIndex = 1;
+
+    if (severity && severity.length > 0) {
+      query += ` AND a.severity = ANY($${paramIndex})`;
+      values.push(severity);
+      paramIndex++;
+    }
+
+    if (zone) {
+      query += ` AND $${paramIndex} = ANY(a.zones)`;
+      values.push(zone);
+      paramIndex++;
+    }
+
+    query += `
+      ORDER BY ${SEVERITY_ORDER}, a.onset_at ASC NULLS FIRST, a.sent_at DESC
+      LIMIT $${paramIndex}
+    `;
+
+    values.push(limit);
+
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Get alert by ID
+   * @param {number} id - Alert ID
+   * @returns {Promise<Object>} Alert object
+   */
+  static async getById(id) {
+    const query = `
+      SELECT a.*, s.name as source_name
+      FROM alerts a
+      LEFT JOIN sources s ON a.source_id = s.id
+      WHERE a.id = $1
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Expire a source's active alerts that are no longer in its feed
+   * (cancelled, or replaced by an update with a new identifier)
+   * @param {number} sourceId - Source ID
+   * @param {Array<string>} seen - alert_id of every alert in the feed
+   * @returns {Promise<number>} Number of expired alerts
+   */
+  static async expireMissing(sourceId, seen) {
+    const query = `
+      UPDATE alerts
+      SET expired_at = NOW()
+      WHERE source_id = $1
+        AND expired_at IS NULL
+        AND NOT (alert_id = ANY($2::text[]))
+    `;
+
+    const result = await db.query(query, [sourceId, seen]);
+    return result.rowCount;
+  }
+}
+
+module.exports = Alert;
@@ -7,11 +7,16 @@ const db = require('../config/database');
 
 class Article {
   /**
-   * Create a new article
+   * Insert an article, or update the stored one when its content changed
+   * Listing pages only carry a title and excerpt, so an update never replaces
+   * a longer stored body (e.g. from enrichment) or a non-empty excerpt with
+   * an empty one. Social engagement (score, comment_count) is refreshed on
+   * every save but doesn't by itself make an article 'updated'.
    * @param {Object} articleData - Article data
-   * @returns {Promise<Object>} Created article
+   * @returns {Promise<Object>} { article, status } where status is
+   *   'inserted', 'updated' or 'duplicate' (already stored, unchanged)
    */
-  static async create(articleData) {
+  static async upsert(articleData) {
     const {
       source_id,
       title,
@@ -24,18 +29,33 @@ class Article {
       platform,
       image_url,
       published_at,
+      score = null,
+      comment_count = null,
+      video_id = null,
+      media_url = null,
+      media_type = null,
+      media_duration = null,
     } = articleData;
 
+    // xmax is 0 only for rows created by this statement
     const query = `
       INSERT INTO articles
-      (source_id, title, excerpt, content, url, author, category, content_type, platform, image_url, published_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      (source_id, title, excerpt, content, url, author, category, content_type, platform, image_url, published_at, score, comment_count, video_id, media_url, media_type, media_duration)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
       ON CONFLICT (url) DO UPDATE SET
         title = EXCLUDED.title,
-        excerpt = EXCLUDED.excerpt,
-        content = EXCLUDED.content,
+        excerpt = COALESCE(NULLIF(EXCLUDED.excerpt, ''), articles.excerpt),
+        content = CASE
+          WHEN length(COALESCE(EXCLUDED.content, '')) > length(COALESCE(articles.content, ''))
+          THEN EXCLUDED.content ELSE articles.content END,
+        score = COALESCE(EXCLUDED.score, articles.score),
+        comment_count = COALESCE(EXCLUDED.comment_count, articles.comment_count),
         updated_at = NOW()
-      RETURNING *
+      WHERE articles.title IS DISTINCT FROM EXCLUDED.title
+        OR (NULLIF(EXCLUDED.excerpt, '') IS NOT NULL
+          AND articles.excerpt IS DISTINCT FROM EXCLUDED.excerpt)
+        OR length(COALESCE(EXCLUDED.content, '')) > length(COALESCE(articles.content, ''))
+      RETURNING *, (xmax = 0) AS inserted
     `;
 
     const values = [
@@ -50,9 +70,83 @@ class Article {
       platform,
       image_url,
       published_at,
+      score,
+      comment_count,
+      video_id,
+      media_url,
+      media_type,
+      media_duration,
     ];
 
     const result = await db.query(query, values);
+
+    // No row back: the URL exists and nothing changed
+    if (result.rows.length === 0) {
+      const article =
+        score !== null || comment_count !== null
+          ? await Article.updateEngagement(url, { score, comment_count })
+          : await Article.findByUrl(url);
+      return { article, status: 'duplicate' };
+    }
+
+    const { inserted, ...article } = result.rows[0];
+    return { article, status: inserted ? 'inserted' : 'updated' };
+  }
+
+  /**
+   * Store the latest score and comment count of a social post
+   * Leaves updated_at alone: engagement changes aren't content changes
+   * @param {string} url - Article URL
+   * @param {Object} fields - score, comment_count (null keeps the stored value)
+   * @returns {Promise<Object>} Updated article
+   */
+  static async updateEngagement(url, { score, comment_count }) {
+    const query = `
+      UPDATE articles SET
+        score = COALESCE($2, score),
+        comment_count = COALESCE($3, comment_count)
+      WHERE url = $1
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [url, score, comment_count]);
+    return result.rows[0];
+  }
+
+  /**
+   * Fill in article details gathered from the article page
+   * Existing values win except for content (replaced when the page body is
+   * longer) and published_at (the page's own timestamp is more precise than
+   * the listing page or the scrape time).
+   * @param {number} id - Article ID
+   * @param {Object} fields - content, excerpt, author, image_url, published_at
+   * @returns {Promise<Object>} Updated article
+   */
+  static async enrich(id, fields) {
+    const { content, excerpt, author, image_url, published_at } = fields;
+
+    const query = `
+      UPDATE articles SET
+        content = CASE
+          WHEN $2::text IS NOT NULL AND length($2::text) > length(COALESCE(content, ''))
+          THEN $2::text ELSE content END,
+        excerpt = COALESCE(NULLIF(excerpt, ''), $3),
+        author = COALESCE(author, $4),
+        image_url = COALESCE(image_url, $5),
+        published_at = COALESCE($6, published_at),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [
+      id,
+      content,
+      excerpt,
+      author,
+      image_url,
+      published_at,
+    ]);
     return result.rows[0];
   }
 
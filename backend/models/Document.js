@@ -0,0 +1,231 @@
+/**
+ * Document Model
+ * Handles database operations for meeting agendas and minutes
+ * Each row is one PDF, keyed by its URL, with the extracted text
+ */
+
+const db = require('../config/database');
+
+// Must match idx_documents_search in schema.sql so searches use the index
+const SEARCH_VECTOR = `to_tsvector('english', d.title || ' ' || d.governing_body || ' ' || d.content)`;
+
+// ts_headline markers; the extracted text never contains control characters
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+class Document {
+  /**
+   * Insert a document, or update the stored one when it changed
+   * @param {Object} documentData - Document data
+   * @returns {Promise<Object>} { document, status } where status is
+   *   'inserted', 'updated' or 'duplicate' (already stored, unchanged)
+   */
+  static async upsert(documentData) {
+    const {
+      source_id,
+      url,
+      title,
+      governing_body,
+      document_type,
+      meeting_date = null,
+      content,
+      page_count = null,
+      category = null,
+    } = documentData;
+
+    // xmax is 0 only for rows created by this statement
+    const query = `
+      INSERT INTO documents
+      (source_id, url, title, governing_body, document_type, meeting_date, content, page_count, category)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (url) DO UPDATE SET
+        title = EXCLUDED.title,
+        governing_body = EXCLUDED.governing_body,
+        document_type = EXCLUDED.document_type,
+        meeting_date = COALESCE(EXCLUDED.meeting_date, documents.meeting_date),
+        content = EXCLUDED.content,
+        page_count = EXCLUDED.page_count,
+        category = EXCLUDED.category,
+        updated_at = NOW()
+      WHERE (documents.title, documents.governing_body, documents.document_type,
+          documents.content, documents.category)
+        IS DISTINCT FROM (EXCLUDED.title, EXCLUDED.governing_body,
+          EXCLUDED.document_type, EXCLUDED.content, EXCLUDED.category)
+        OR (EXCLUDED.meeting_date IS NOT NULL
+          AND documents.meeting_date IS DISTINCT FROM EXCLUDED.meeting_date)
+      RETURNING id, source_id, url, title, governing_body, document_type,
+        meeting_date, page_count, category, created_at, updated_at,
+        (xmax = 0) AS inserted
+    `;
+
+    const values = [
+      source_id,
+      url,
+      title,
+      governing_body,
+      document_type,
+      meeting_date,
+      content,
+      page_count,
+      category,
+    ];
+
+    const result = await db.query(query, values);
+
+    // No row back: the document exists and nothing changed
+    if (result.rows.length === 0) {
+      return { document: await Document.findByUrl(url), status: 'duplicate' };
+    }
+
+    const { inserted, ...document } = result.rows[0];
+    return { document, status: inserted ? 'inserted' : 'updated' };
+  }
+
+  /**
+   * Find a document by its PDF URL (without the text)
+   * @param {string} url - PDF URL
+   * @returns {Promise<Object|undefined>} Document or undefined
+   */
+  static async findByUrl(url) {
+    const query = `
+      SELECT id, source_id, url, title, governing_body, document_type,
+        meeting_date, page_count, category, created_at, updated_at
+      FROM documents
+      WHERE url = $1
+    `;
+
+    const result = await db.query(query, [url]);
+    return result.rows[0];
+  }
+
+  /**
+   * Search documents, or list the latest meetings when there's no query
+   * Results leave out the full text; with a query each one carries a
+   * snippet: HTML-escaped passages around the matches, wrapped in <mark>
+   * @param {Object} filters - search, governing_body (substring),
+   *   document_type, source_id, from, to (meeting dates), limit, offset
+   * @returns {Promise<Array>} Array of documents, best match (or latest
+   *   meeting) first
+   */
+  static async search(filters = {}) {
+    const {
+      search,
+      governing_body,
+      document_type,
+      source_id,
+      from,
+      to,
+      limit = 20,
+      offset = 0,
+    } = filters;
+
+    const values = [];
+    let paramIndex = 1;
+
+    let select = `
+      SELECT d.id, d.source_id, d.url, d.title, d.governing_body,
+        d.document_type, d.meeting_date, d.page_count, d.category,
+        d.created_at, s.name as source_name
+    `;
+    let where = 'WHERE 1=1';
+    let order = 'ORDER BY d.meeting_date DESC NULLS LAST, d.id DESC';
+
+    if (search) {
+      const queryParam = `plainto_tsquery('english', $${paramIndex})`;
+      values.push(search);
+      paramIndex++;
+
+      select += `,
+        ts_rank(${SEARCH_VECTOR}, ${queryParam}) AS rank,
+        ts_headline('english', d.content, ${queryParam},
+          'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxFragments=3, MaxWords=30, MinWords=10, FragmentDelimiter=" … "') AS snippet
+      `;
+      where += ` AND ${SEARCH_VECTOR} @@ ${queryParam}`;
+      order = 'ORDER BY rank DESC, d.meeting_date DESC NULLS LAST';
+    }
+
+    if (governing_body) {
+      where += ` AND d.governing_body ILIKE $${paramIndex}`;
+      values.push(`%${governing_body}%`);
+      paramIndex++;
+    }
+
+    if (document_type) {
+      where += ` AND d.document_type = $${paramIndex}`;
+      values.push(document_type);
+      paramIndex++;
+    }
+
+    if (source_id) {
+      where += ` AND d.source_id = $${paramIndex}`;
+      values.push(source_id);
+      paramIndex++;
+    }
+
+    if (from) {
+      where += ` AND d.meeting_date >= $${paramIndex}`;
+      values.push(from);
+      paramIndex++;
+    }
+
+    if (to) {
+      where += ` AND d.meeting_date <= $${paramIndex}`;
+      values.push(to);
+      paramIndex++;
+    }
+
+    const query = `
+      ${select}
+      FROM documents d
+      LEFT JOIN sources s ON d.source_id = s.id
+      ${where}
+      ${order}
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    values.push(limit, offset);
+
+    const result = await db.query(query, values);
+    return result.rows.map((row) =>
+      row.snippet === undefined ? row : { ...row, snippet: markSnippet(row.snippet) }
+    );
+  }
+
+  /**
+   * Get document by ID, with its full text
+   * @param {number} id - Document ID
+   * @returns {Promise<Object>} Document object
+   */
+  static async getById(id) {
+    const query = `
+      SELECT d.*, s.name as source_name
+      FROM documents d
+      LEFT JOIN sources s ON d.source_id = s.id
+      WHERE d.id = $1
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  }
+}
+
+/**
+ * Turn a ts_headline result into safe HTML
+ * @param {string} headline - Text with HIGHLIGHT_START/END around matches
+ * @returns {string} Escaped text with matches in <mark>
+ */
+function markSnippet(headline) {
+  return headline
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\s+/g, ' ')
+    .split(HIGHLIGHT_START)
+    .join('<mark>')
+    .split(HIGHLIGHT_END)
+    .join('</mark>')
+    .trim();
+}
+
+module.exports = Document;
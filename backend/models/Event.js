@@ -0,0 +1,211 @@
+/**
+ * Event Model
+ * Handles database operations for community calendar events
+ * Recurring events are stored one row per occurrence, keyed by
+ * (source_id, uid, starts_at)
+ */
+
+const db = require('../config/database');
+
+class Event {
+  /**
+   * Insert an event occurrence, or update the stored one when it changed
+   * @param {Object} eventData - Event data
+   * @returns {Promise<Object>} { event, status } where status is
+   *   'inserted', 'updated' or 'duplicate' (already stored, unchanged)
+   */
+  static async upsert(eventData) {
+    const {
+      source_id,
+      uid,
+      title,
+      description = null,
+      url = null,
+      location = null,
+      starts_at,
+      ends_at = null,
+      all_day = false,
+      timezone = null,
+      status = 'confirmed',
+      category = null,
+      image_url = null,
+    } = eventData;
+
+    // xmax is 0 only for rows created by this statement
+    const query = `
+      INSERT INTO events
+      (source_id, uid, title, description, url, location, starts_at, ends_at, all_day, timezone, status, category, image_url)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (source_id, uid, starts_at) DO UPDATE SET
+        title = EXCLUDED.title,
+        description = EXCLUDED.description,
+        url = EXCLUDED.url,
+        location = EXCLUDED.location,
+        ends_at = EXCLUDED.ends_at,
+        all_day = EXCLUDED.all_day,
+        timezone = EXCLUDED.timezone,
+        status = EXCLUDED.status,
+        category = EXCLUDED.category,
+        image_url = COALESCE(EXCLUDED.image_url, events.image_url),
+        updated_at = NOW()
+      WHERE (events.title, events.description, events.url, events.location,
+          events.ends_at, events.all_day, events.status, events.category)
+        IS DISTINCT FROM (EXCLUDED.title, EXCLUDED.description, EXCLUDED.url,
+          EXCLUDED.location, EXCLUDED.ends_at, EXCLUDED.all_day,
+          EXCLUDED.status, EXCLUDED.category)
+      RETURNING *, (xmax = 0) AS inserted
+    `;
+
+    const values = [
+      source_id,
+      uid,
+      title,
+      description,
+      url,
+      location,
+      starts_at,
+      ends_at,
+      all_day,
+      timezone,
+      status,
+      category,
+      image_url,
+    ];
+
+    const result = await db.query(query, values);
+
+    // No row back: the occurrence exists and nothing changed
+    if (result.rows.length === 0) {
+      const existing = await db.query(
+        'SELECT * FROM events WHERE source_id = $1 AND uid = $2 AND starts_at = $3',
+        [source_id, uid, starts_at]
+      );
+      return { event: existing.rows[0], status: 'duplicate' };
+    }
+
+    const { inserted, ...event } = result.rows[0];
+    return { event, status: inserted ? 'inserted' : 'updated' };
+  }
+
+  /**
+   * Get events that overlap a date range
+   * @param {Object} filters - from, to (Dates), location (substring),
+   *   source_id, category, include_cancelled, limit, offset
+   * @returns {Promise<Array>} Array of events, soonest first
+   */
+  static async getAll(filters = {}) {
+    const {
+      from,
+      to,
+      location,
+      source_id,
+      category,
+      include_cancelled = false,
+      limit = 100,
+      offset = 0,
+    } = filters;
+
+    let query = `
+      SELECT e.*, s.name as source_name
+      FROM events e
+      LEFT JOIN sources s ON e.source_id = s.id
+      WHERE 1=1
+    `;
+
+    const values = [];
+    let paramIndex = 1;
+
+    // Overlap, so multi-day events still show on their later days
+    if (from) {
+      query += ` AND COALESCE(e.ends_at, e.starts_at) >= $${paramIndex}`;
+      values.push(from);
+      paramIndex++;
+    }
+
+    if (to) {
+      query += ` AND e.starts_at < $${paramIndex}`;
+      values.push(to);
+      paramIndex++;
+    }
+
+    if (location) {
+      query += ` AND e.location ILIKE $${paramIndex}`;
+      values.push(`%${location}%`);
+      paramIndex++;
+    }
+
+    if (source_id) {
+      query += ` AND e.source_id = $${paramIndex}`;
+      values.push(source_id);
+      paramIndex++;
+    }
+
+    if (category) {
+      query += ` AND e.category = $${paramIndex}`;
+      values.push(category);
+      paramIndex++;
+    }
+
+    if (!include_cancelled) {
+      query += ` AND e.status <> 'cancelled'`;
+    }
+
+    query += `
+      ORDER BY e.starts_at ASC, e.title ASC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    values.push(limit, offset);
+
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Get event by ID
+   * @param {number} id - Event ID
+   * @returns {Promise<Object>} Event object
+   */
+  static async getById(id) {
+    const query = `
+      SELECT e.*, s.name as source_name
+      FROM events e
+      LEFT JOIN sources s ON e.source_id = s.id
+      WHERE e.id = $1
+    `;
+
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a source's upcoming occurrences that are no longer in its feed
+   * (removed events, rescheduled or excluded occurrences)
+   * @param {number} sourceId - Source ID
+   * @param {Date} from - Only occurrences starting at or after this time
+   * @param {Array<Object>} seen - { uid, starts_at } of every occurrence in
+   *   the feed's current window
+   * @returns {Promise<number>} Number of deleted events
+   */
+  static async removeMissing(sourceId, from, seen) {
+    const query = `
+      DELETE FROM events e
+      WHERE e.source_id = $1
+        AND e.starts_at >= $2
+        AND NOT EXISTS (
+          SELECT 1 FROM unnest($3::text[], $4::timestamptz[]) AS kept(uid, starts_at)
+          WHERE kept.uid = e.uid AND kept.starts_at = e.starts_at
+        )
+    `;
+
+    const result = await db.query(query, [
+      sourceId,
+      from,
+      seen.map((occurrence) => occurrence.uid),
+      seen.map((occurrence) => occurrence.starts_at),
+    ]);
+    return result.rowCount;
+  }
+}
+
+module.exports = Event;
@@ -0,0 +1,111 @@
+/**
+ * Hashtag Model
+ * Tracked social media hashtags; each one is scraped by its own Nitter
+ * source, so it runs on the normal per-source schedule
+ */
+
+const db = require('../config/database');
+
+// Nitter search page a new hashtag source starts from
+const NITTER_SEARCH_URL = 'https://nitter.net/search?f=tweets&q=';
+
+class Hashtag {
+  /**
+   * Get all tracked hashtags with their source's status
+   * @returns {Promise<Array>} Hashtags, oldest first
+   */
+  static async getAll() {
+    const query = `
+      SELECT h.*, s.name as source_name, s.last_successful_scrape,
+        COUNT(a.id) as post_count
+      FROM hashtags h
+      LEFT JOIN sources s ON h.source_id = s.id
+      LEFT JOIN articles a ON a.source_id = s.id
+      GROUP BY h.id, s.id
+      ORDER BY h.created_at
+    `;
+
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Start tracking a hashtag
+   * Re-adding a hashtag re-enables its old source (and keeps its posts)
+   * @param {string} tag - Hashtag including '#'
+   * @returns {Promise<Object|null>} Created hashtag, or null if already tracked
+   */
+  static async create(tag) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT id FROM hashtags WHERE lower(tag) = lower($1)',
+        [tag]
+      );
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const sourceResult = await client.query(
+        `INSERT INTO sources (name, url, type, scraper_type, enabled)
+         VALUES ($1, $2, 'social', 'nitter', true)
+         ON CONFLICT (name) DO UPDATE SET enabled = true, updated_at = NOW()
+         RETURNING id`,
+        [`Nitter ${tag}`, NITTER_SEARCH_URL + encodeURIComponent(tag)]
+      );
+
+      const result = await client.query(
+        `INSERT INTO hashtags (tag, source_id)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [tag, sourceResult.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stop tracking a hashtag
+   * Its source is disabled rather than deleted so collected posts remain
+   * @param {string} tag - Hashtag including '#'
+   * @returns {Promise<Object|null>} Removed hashtag, or null if not tracked
+   */
+  static async remove(tag) {
+    const result = await db.query(
+      'DELETE FROM hashtags WHERE lower(tag) = lower($1) RETURNING *',
+      [tag]
+    );
+    const hashtag = result.rows[0];
+
+    if (hashtag && hashtag.source_id) {
+      await db.query(
+        'UPDATE sources SET enabled = false, updated_at = NOW() WHERE id = $1',
+        [hashtag.source_id]
+      );
+    }
+
+    return hashtag || null;
+  }
+
+  /**
+   * Number of tracked hashtags
+   * @returns {Promise<number>}
+   */
+  static async count() {
+    const result = await db.query('SELECT COUNT(*) FROM hashtags');
+    return parseInt(result.rows[0].count, 10);
+  }
+}
+
+module.exports = Hashtag;
@@ -0,0 +1,64 @@
+/**
+ * HTTP Cache Model
+ * Stores validators (ETag / Last-Modified) and a content hash per fetched
+ * feed or listing URL, so unchanged pages can be skipped on the next cycle
+ */
+
+const db = require('../config/database');
+
+class HttpCache {
+  /**
+   * Find the cache entry for a URL
+   * @param {string} url - Feed or listing URL
+   * @returns {Promise<Object|null>} Cache entry
+   */
+  static async findByUrl(url) {
+    const query = 'SELECT * FROM http_cache WHERE url = $1';
+    const result = await db.query(query, [url]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store validators and content hash after a fetch
+   * @param {string} url - Feed or listing URL
+   * @param {Object} entry - etag, last_modified, content_hash
+   * @returns {Promise<Object>} Saved entry
+   */
+  static async save(url, entry) {
+    const { etag, last_modified, content_hash } = entry;
+
+    const query = `
+      INSERT INTO http_cache (url, etag, last_modified, content_hash)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (url) DO UPDATE SET
+        etag = EXCLUDED.etag,
+        last_modified = EXCLUDED.last_modified,
+        content_hash = EXCLUDED.content_hash,
+        changed_at = CASE
+          WHEN http_cache.content_hash IS DISTINCT FROM EXCLUDED.content_hash
+          THEN NOW() ELSE http_cache.changed_at END,
+        checked_at = NOW()
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [
+      url,
+      etag,
+      last_modified,
+      content_hash,
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Record that a URL was checked and found unchanged
+   * @param {string} url - Feed or listing URL
+   */
+  static async touch(url) {
+    await db.query('UPDATE http_cache SET checked_at = NOW() WHERE url = $1', [
+      url,
+    ]);
+  }
+}
+
+module.exports = HttpCache;
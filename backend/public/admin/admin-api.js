@@ -25,7 +25,8 @@ const AdminAPI = {
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || `HTTP ${response.status}`);
+                const message = data.error || `HTTP ${response.status}`;
+                throw new Error(data.details ? `${message}: ${data.details.join('; ')}` : message);
             }
 
             return data;
@@ -64,6 +65,27 @@ const AdminAPI = {
         });
     },
 
+    /**
+     * Dry-run a source without saving anything
+     * Optional overrides: { selectors, wait_selector }
+     */
+    async previewSource(sourceId, overrides = {}) {
+        return this.request(`/sources/${sourceId}/preview`, {
+            method: 'POST',
+            body: JSON.stringify(overrides)
+        });
+    },
+
+    /**
+     * Start a one-off archive backfill for a paginated source
+     */
+    async backfillSource(sourceId, maxPages) {
+        return this.request(`/sources/${sourceId}/backfill`, {
+            method: 'POST',
+            body: JSON.stringify({ maxPages })
+        });
+    },
+
     /**
      * Update source details (URL, name, scraper_type, etc.)
      */
@@ -74,6 +96,13 @@ const AdminAPI = {
         });
     },
 
+    /**
+     * Get default CSS selectors for HTML sources
+     */
+    async getDefaultSelectors() {
+        return this.request('/selectors/defaults');
+    },
+
     /**
      * Enable all sources
      */
@@ -84,7 +113,16 @@ const AdminAPI = {
     },
 
     /**
-     * Reset error counts
+     * Close a source's circuit breaker
+     */
+    async resetBreaker(sourceId) {
+        return this.request(`/sources/${sourceId}/reset-breaker`, {
+            method: 'POST'
+        });
+    },
+
+    /**
+     * Reset error counts and circuit breakers
      */
     async resetErrors() {
         return this.request('/sources/reset-errors', {
@@ -133,11 +171,20 @@ const AdminAPI = {
         const params = new URLSearchParams();
         if (options.limit) params.append('limit', options.limit);
         if (options.source_id) params.append('source_id', options.source_id);
+        if (options.status) params.append('status', options.status);
+        if (options.category) params.append('category', options.category);
 
         const query = params.toString();
         return this.request(`/logs${query ? '?' + query : ''}`);
     },
 
+    /**
+     * Get failed scrapes grouped by error category
+     */
+    async getErrorSummary(days = 7) {
+        return this.request(`/errors/summary?days=${days}`);
+    },
+
     /**
      * Get dashboard statistics
      */
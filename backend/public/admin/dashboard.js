@@ -10,7 +10,10 @@ const state = {
     currentJobId: null,
     pollingInterval: null,
     jobStartTime: null,
-    editingSourceId: null
+    editingSourceId: null,
+    selectorFields: [],
+    defaultSelectors: {},
+    logFilter: ''
 };
 
 // ============================================
@@ -38,11 +41,15 @@ function setupEventListeners() {
     document.getElementById('stopBtn').addEventListener('click', stopScraping);
     document.getElementById('clearResultsBtn').addEventListener('click', clearResults);
     document.getElementById('refreshLogsBtn').addEventListener('click', refreshLogs);
+    document.getElementById('logFilter').addEventListener('change', (e) => setLogFilter(e.target.value));
+    document.getElementById('errorSummary').addEventListener('click', handleErrorSummaryClick);
 
     // Modal buttons
     document.getElementById('modalCloseBtn').addEventListener('click', closeEditModal);
     document.getElementById('modalCancelBtn').addEventListener('click', closeEditModal);
     document.getElementById('modalSaveBtn').addEventListener('click', saveSourceEdit);
+    document.getElementById('modalPreviewBtn').addEventListener('click', previewSourceEdit);
+    document.getElementById('modalBackfillBtn').addEventListener('click', backfillSourceEdit);
 
     // Event delegation for dynamically generated source items
     document.getElementById('sourcesList').addEventListener('click', handleSourceClick);
@@ -50,6 +57,8 @@ function setupEventListeners() {
 
 function handleSourceClick(e) {
     const target = e.target;
+    // Button labels are rendered with surrounding whitespace
+    const action = target.textContent.trim();
 
     // Handle checkbox toggle
     if (target.classList.contains('source-checkbox')) {
@@ -58,26 +67,39 @@ function handleSourceClick(e) {
     }
 
     // Handle edit button
-    if (target.textContent === 'Edit') {
+    if (action === 'Edit') {
         const sourceId = parseInt(target.closest('.source-item').dataset.sourceId);
         openEditModal(sourceId);
     }
 
     // Handle enable/disable button
-    if (target.textContent === 'Enable' || target.textContent === 'Disable') {
+    if (action === 'Enable' || action === 'Disable') {
         const sourceId = parseInt(target.closest('.source-item').dataset.sourceId);
         toggleSourceEnabled(sourceId);
     }
 
     // Handle test button
-    if (target.textContent === 'Test') {
+    if (action === 'Test') {
         const sourceId = parseInt(target.closest('.source-item').dataset.sourceId);
         testSource(sourceId);
     }
+
+    // Handle circuit breaker reset button
+    if (action === 'Reset Breaker') {
+        const sourceId = parseInt(target.closest('.source-item').dataset.sourceId);
+        resetBreaker(sourceId);
+    }
+
+    // Handle preview (dry-run) button
+    if (action === 'Preview') {
+        const sourceId = parseInt(target.closest('.source-item').dataset.sourceId);
+        previewSource(sourceId);
+    }
 }
 
 async function init() {
     await loadDashboardStats();
+    await loadDefaultSelectors();
     await loadSources();
     await loadLogs();
 
@@ -127,6 +149,16 @@ async function loadSources() {
     }
 }
 
+async function loadDefaultSelectors() {
+    try {
+        const response = await AdminAPI.getDefaultSelectors();
+        state.selectorFields = response.data.fields;
+        state.defaultSelectors = response.data.defaults;
+    } catch (error) {
+        console.error('Error loading default selectors:', error);
+    }
+}
+
 function renderSources() {
     const container = document.getElementById('sourcesList');
 
@@ -145,11 +177,13 @@ function renderSources() {
                        ${state.selectedSources.has(source.id) ? 'checked' : ''}>
                 <span class="source-name">${source.name}</span>
                 <span class="source-badge badge-${source.scraper_type}">${source.scraper_type.toUpperCase()}</span>
+                ${source.breaker_state && source.breaker_state !== 'healthy' ? `<span class="breaker-badge breaker-${source.breaker_state}" title="${formatBreakerTitle(source)}">${formatBreakerState(source.breaker_state)}</span>` : ''}
             </div>
             <div class="source-meta">
                 <span>Articles: ${source.article_count || 0}</span>
-                <span>Errors: ${source.error_count || 0}</span>
+                <span>Errors: ${source.error_count || 0}${source.error_count && source.last_error_category ? ` (${formatCategory(source.last_error_category)})` : ''}</span>
                 <span>Last: ${source.last_successful_scrape ? formatTimeAgo(source.last_successful_scrape) : 'Never'}</span>
+                <span>Schedule: ${formatSchedule(source.schedule)}</span>
             </div>
             <div class="source-actions">
                 <button class="btn btn-sm btn-edit">
@@ -161,6 +195,13 @@ function renderSources() {
                 <button class="btn btn-sm btn-primary" ${!source.enabled ? 'disabled' : ''}>
                     Test
                 </button>
+                <button class="btn btn-sm">
+                    Preview
+                </button>
+                ${source.breaker_state && source.breaker_state !== 'healthy' ? `
+                <button class="btn btn-sm">
+                    Reset Breaker
+                </button>` : ''}
             </div>
         </div>
     `).join('');
@@ -168,6 +209,23 @@ function renderSources() {
     updateSelectedCount();
 }
 
+function formatBreakerState(breakerState) {
+    const labels = {
+        degraded: 'Degraded',
+        tripped: 'Paused',
+        half_open: 'Trial Run'
+    };
+    return labels[breakerState] || breakerState;
+}
+
+function formatBreakerTitle(source) {
+    const failures = `${source.consecutive_failures || 0} consecutive failures`;
+    if (source.breaker_state === 'tripped' && source.breaker_until) {
+        return `${failures}, paused until ${new Date(source.breaker_until).toLocaleString()}`;
+    }
+    return failures;
+}
+
 function toggleSourceSelection(sourceId) {
     if (state.selectedSources.has(sourceId)) {
         state.selectedSources.delete(sourceId);
@@ -197,8 +255,12 @@ async function testSource(sourceId) {
         const response = await AdminAPI.testSource(sourceId);
         const result = response.data;
 
-        if (result.articles > 0) {
-            showToast(`${source.name}: Found ${result.articles} articles`, 'success');
+        if (result.success === false) {
+            showToast(`${source.name}: ${result.message}`, 'warning');
+        } else if (result.articles > 0 || result.updated > 0) {
+            showToast(`${source.name}: ${result.articles} new, ${result.updated} updated articles`, 'success');
+        } else if (result.notModified) {
+            showToast(`${source.name}: Not modified since last scrape`, 'info');
         } else {
             showToast(`${source.name}: No articles found`, 'warning');
         }
@@ -211,6 +273,20 @@ async function testSource(sourceId) {
     }
 }
 
+async function previewSource(sourceId, overrides = {}) {
+    const source = state.sources.find(s => s.id === sourceId);
+    showToast(`Previewing ${source.name} (nothing will be saved)...`, 'info');
+
+    try {
+        const response = await AdminAPI.previewSource(sourceId, overrides);
+        displayPreview(response.data);
+        showToast(`${source.name}: ${response.data.items.length} items parsed, ${response.data.skipped.length} skipped`, 'success');
+    } catch (error) {
+        console.error('Error previewing source:', error);
+        showToast(`${source.name}: Preview failed - ${error.message}`, 'error');
+    }
+}
+
 async function enableAllSources() {
     try {
         await AdminAPI.enableAllSources();
@@ -222,6 +298,19 @@ async function enableAllSources() {
     }
 }
 
+async function resetBreaker(sourceId) {
+    const source = state.sources.find(s => s.id === sourceId);
+
+    try {
+        await AdminAPI.resetBreaker(sourceId);
+        showToast(`${source.name}: Circuit breaker reset`, 'success');
+        await loadSources();
+    } catch (error) {
+        console.error('Error resetting breaker:', error);
+        showToast('Failed to reset circuit breaker', 'error');
+    }
+}
+
 async function resetErrors() {
     try {
         await AdminAPI.resetErrors();
@@ -260,6 +349,59 @@ function openEditModal(sourceId) {
     document.getElementById('editSourceUrl').value = source.url;
     document.getElementById('editSourceType').value = source.scraper_type;
 
+    // Populate selector overrides; defaults show as placeholders
+    const selectors = source.selectors || {};
+    state.selectorFields.forEach(field => {
+        const input = document.getElementById(`selector-${field}`);
+        input.value = selectors[field] || '';
+        input.placeholder = state.defaultSelectors[field] || '';
+    });
+    document.getElementById('editWaitSelector').value = source.wait_selector || '';
+
+    const pagination = source.pagination || {};
+    document.getElementById('editNextSelector').value = pagination.nextSelector || '';
+    document.getElementById('editUrlTemplate').value = pagination.urlTemplate || '';
+    document.getElementById('editMaxPages').value = pagination.maxPages || '';
+    document.getElementById('editStopWhenKnown').checked = pagination.stopWhenKnown !== false;
+
+    const sitemap = source.sitemap || {};
+    document.getElementById('editSitemapPattern').value = sitemap.urlPattern || '';
+    document.getElementById('editSitemapMaxAge').value = sitemap.maxAgeHours || '';
+    document.getElementById('editSitemapMaxUrls').value = sitemap.maxUrls || '';
+    document.getElementById('editSitemapMaxSitemaps').value = sitemap.maxSitemaps || '';
+
+    const mastodon = source.mastodon || {};
+    document.getElementById('editMastodonHashtags').value = (mastodon.hashtags || []).join(', ');
+    document.getElementById('editMastodonAccounts').value = (mastodon.accounts || []).join(', ');
+    document.getElementById('editMastodonLimit').value = mastodon.limit || '';
+
+    const reddit = source.reddit || {};
+    document.getElementById('editRedditSubreddits').value = (reddit.subreddits || []).join(', ');
+    document.getElementById('editRedditKeywords').value = (reddit.keywords || []).join(', ');
+    document.getElementById('editRedditFlairs').value = (reddit.flairs || []).join(', ');
+    document.getElementById('editRedditListing').value = reddit.listing || 'new';
+    document.getElementById('editRedditFormat').value = reddit.format || 'json';
+    document.getElementById('editRedditLimit').value = reddit.limit || '';
+
+    const agenda = source.agenda || {};
+    document.getElementById('editAgendaMunicipality').value = agenda.municipality || '';
+    document.getElementById('editAgendaBody').value = agenda.body || '';
+    document.getElementById('editAgendaLinkPattern').value = agenda.linkPattern || '';
+    document.getElementById('editAgendaMaxDocuments').value = agenda.maxDocuments || '';
+
+    const alerts = source.alerts || {};
+    document.getElementById('editAlertZones').value = (alerts.zones || []).join(', ');
+
+    const schedule = source.schedule || {};
+    document.getElementById('editScheduleInterval').value = schedule.intervalMinutes || '';
+    document.getElementById('editScheduleCron').value = schedule.cron || '';
+    document.getElementById('editQuietStart').value = schedule.quietHours ? schedule.quietHours.start : '';
+    document.getElementById('editQuietEnd').value = schedule.quietHours ? schedule.quietHours.end : '';
+    document.getElementById('editScheduleJitter').value = schedule.jitterSeconds ?? '';
+
+    document.getElementById('editEnrichArticles').checked = !!source.enrich_articles;
+    document.getElementById('editEnrichBudget').value = source.enrich_budget ?? 10;
+
     // Show modal
     document.getElementById('editModal').classList.add('show');
 }
@@ -269,6 +411,146 @@ function closeEditModal() {
     state.editingSourceId = null;
 }
 
+/**
+ * Read selector, pagination, sitemap, Mastodon, Reddit, agenda and alert settings from the edit modal
+ * Only fields that override a default are sent; none at all clears the override
+ */
+function readScraperConfigInputs() {
+    const selectors = {};
+    state.selectorFields.forEach(field => {
+        const value = document.getElementById(`selector-${field}`).value.trim();
+        if (value) selectors[field] = value;
+    });
+
+    const nextSelector = document.getElementById('editNextSelector').value.trim();
+    const urlTemplate = document.getElementById('editUrlTemplate').value.trim();
+    const maxPages = parseInt(document.getElementById('editMaxPages').value);
+    const stopWhenKnown = document.getElementById('editStopWhenKnown').checked;
+
+    let pagination = null;
+    if (nextSelector || urlTemplate) {
+        pagination = { stopWhenKnown };
+        if (nextSelector) pagination.nextSelector = nextSelector;
+        if (urlTemplate) pagination.urlTemplate = urlTemplate;
+        if (maxPages) pagination.maxPages = maxPages;
+    }
+
+    const sitemap = {};
+    const urlPattern = document.getElementById('editSitemapPattern').value.trim();
+    const maxAgeHours = parseInt(document.getElementById('editSitemapMaxAge').value);
+    const maxUrls = parseInt(document.getElementById('editSitemapMaxUrls').value);
+    const maxSitemaps = parseInt(document.getElementById('editSitemapMaxSitemaps').value);
+    if (urlPattern) sitemap.urlPattern = urlPattern;
+    if (maxAgeHours) sitemap.maxAgeHours = maxAgeHours;
+    if (maxUrls) sitemap.maxUrls = maxUrls;
+    if (maxSitemaps) sitemap.maxSitemaps = maxSitemaps;
+
+    const mastodon = {};
+    const hashtags = splitList(document.getElementById('editMastodonHashtags').value);
+    const accounts = splitList(document.getElementById('editMastodonAccounts').value);
+    const limit = parseInt(document.getElementById('editMastodonLimit').value);
+    if (hashtags.length > 0) mastodon.hashtags = hashtags;
+    if (accounts.length > 0) mastodon.accounts = accounts;
+    if (limit) mastodon.limit = limit;
+
+    // Subreddits are required; without them the source has no Reddit settings
+    let reddit = null;
+    const subreddits = splitList(document.getElementById('editRedditSubreddits').value);
+    if (subreddits.length > 0) {
+        reddit = {
+            subreddits,
+            keywords: splitList(document.getElementById('editRedditKeywords').value),
+            flairs: splitList(document.getElementById('editRedditFlairs').value),
+            listing: document.getElementById('editRedditListing').value,
+            format: document.getElementById('editRedditFormat').value
+        };
+        const redditLimit = parseInt(document.getElementById('editRedditLimit').value);
+        if (redditLimit) reddit.limit = redditLimit;
+    }
+
+    const agenda = {};
+    const municipality = document.getElementById('editAgendaMunicipality').value.trim();
+    const body = document.getElementById('editAgendaBody').value.trim();
+    const linkPattern = document.getElementById('editAgendaLinkPattern').value.trim();
+    const maxDocuments = parseInt(document.getElementById('editAgendaMaxDocuments').value);
+    if (municipality) agenda.municipality = municipality;
+    if (body) agenda.body = body;
+    if (linkPattern) agenda.linkPattern = linkPattern;
+    if (maxDocuments) agenda.maxDocuments = maxDocuments;
+
+    // Zone codes are upper case; without zones the defaults apply
+    const zones = splitList(document.getElementById('editAlertZones').value)
+        .map(zone => zone.toUpperCase());
+
+    return {
+        selectors: Object.keys(selectors).length > 0 ? selectors : null,
+        wait_selector: document.getElementById('editWaitSelector').value.trim() || null,
+        pagination,
+        sitemap: Object.keys(sitemap).length > 0 ? sitemap : null,
+        mastodon: Object.keys(mastodon).length > 0 ? mastodon : null,
+        reddit,
+        agenda: Object.keys(agenda).length > 0 ? agenda : null,
+        alerts: zones.length > 0 ? { zones } : null
+    };
+}
+
+/**
+ * Read schedule settings from the edit modal (null means the default interval)
+ */
+function readScheduleInputs() {
+    const schedule = {};
+    const intervalMinutes = parseInt(document.getElementById('editScheduleInterval').value);
+    const cron = document.getElementById('editScheduleCron').value.trim();
+    const quietStart = document.getElementById('editQuietStart').value;
+    const quietEnd = document.getElementById('editQuietEnd').value;
+    const jitterSeconds = parseInt(document.getElementById('editScheduleJitter').value);
+    if (cron) schedule.cron = cron;
+    if (intervalMinutes) schedule.intervalMinutes = intervalMinutes;
+    if (quietStart && quietEnd) schedule.quietHours = { start: quietStart, end: quietEnd };
+    if (!isNaN(jitterSeconds)) schedule.jitterSeconds = jitterSeconds;
+
+    return Object.keys(schedule).length > 0 ? schedule : null;
+}
+
+/**
+ * Short schedule label for a source card
+ */
+function formatSchedule(schedule) {
+    if (!schedule) {
+        return 'Default';
+    }
+    const timing = schedule.cron ||
+        (schedule.intervalMinutes ? `Every ${schedule.intervalMinutes} min` : 'Default');
+    return schedule.quietHours
+        ? `${timing} (quiet ${schedule.quietHours.start}-${schedule.quietHours.end})`
+        : timing;
+}
+
+function previewSourceEdit() {
+    if (!state.editingSourceId) return;
+    previewSource(state.editingSourceId, readScraperConfigInputs());
+}
+
+async function backfillSourceEdit() {
+    const sourceId = state.editingSourceId;
+    if (!sourceId) return;
+
+    const maxPages = parseInt(document.getElementById('editBackfillPages').value) || 50;
+
+    try {
+        const response = await AdminAPI.backfillSource(sourceId, maxPages);
+        closeEditModal();
+        state.currentJobId = response.jobId;
+        state.jobStartTime = Date.now();
+        showScrapeStatus();
+        startPolling();
+        showToast(`Backfill started (up to ${maxPages} pages)`, 'success');
+    } catch (error) {
+        console.error('Error starting backfill:', error);
+        showToast(`Failed to start backfill: ${error.message}`, 'error');
+    }
+}
+
 async function saveSourceEdit() {
     const sourceId = state.editingSourceId;
     if (!sourceId) return;
@@ -276,6 +558,8 @@ async function saveSourceEdit() {
     const name = document.getElementById('editSourceName').value.trim();
     const url = document.getElementById('editSourceUrl').value.trim();
     const scraper_type = document.getElementById('editSourceType').value;
+    const enrich_articles = document.getElementById('editEnrichArticles').checked;
+    const enrich_budget = parseInt(document.getElementById('editEnrichBudget').value) || 0;
 
     if (!name || !url) {
         showToast('Name and URL are required', 'error');
@@ -283,7 +567,15 @@ async function saveSourceEdit() {
     }
 
     try {
-        await AdminAPI.updateSource(sourceId, { name, url, scraper_type });
+        await AdminAPI.updateSource(sourceId, {
+            name,
+            url,
+            scraper_type,
+            enrich_articles,
+            enrich_budget,
+            schedule: readScheduleInputs(),
+            ...readScraperConfigInputs()
+        });
         showToast('Source updated successfully', 'success');
         closeEditModal();
         await loadSources();
@@ -306,8 +598,9 @@ async function scrapeSelected() {
     const sourceIds = Array.from(state.selectedSources);
     const timeout = parseInt(document.getElementById('timeoutInput').value) * 1000;
     const maxArticles = parseInt(document.getElementById('maxArticlesInput').value);
+    const concurrency = parseInt(document.getElementById('concurrencyInput').value);
 
-    await startScrapeJob({ sourceIds, timeout, maxArticles });
+    await startScrapeJob({ sourceIds, timeout, maxArticles, concurrency });
 }
 
 async function scrapeAll() {
@@ -322,8 +615,14 @@ async function scrapeAll() {
 
     const timeout = parseInt(document.getElementById('timeoutInput').value) * 1000;
     const maxArticles = parseInt(document.getElementById('maxArticlesInput').value);
+    const concurrency = parseInt(document.getElementById('concurrencyInput').value);
 
-    await startScrapeJob({ sourceIds: enabledSourceIds, timeout, maxArticles });
+    await startScrapeJob({
+        sourceIds: enabledSourceIds,
+        timeout,
+        maxArticles,
+        concurrency
+    });
 }
 
 async function scrapeRSSOnly() {
@@ -394,7 +693,7 @@ async function updateScrapeStatus() {
             document.getElementById('progress').textContent =
                 `${job.progress.completed}/${job.progress.total}`;
             document.getElementById('articlesFound').textContent =
-                job.progress.articles || 0;
+                `${job.progress.articles || 0} new, ${job.progress.updated || 0} updated`;
             document.getElementById('currentSource').textContent =
                 job.progress.current || 'Complete';
             document.getElementById('progressFill').style.width = `${percentage}%`;
@@ -442,12 +741,54 @@ function displayResults(results) {
     container.innerHTML = results.details.map(detail => `
         <div class="result-item ${detail.status}">
             <strong>${detail.source}</strong>
-            <div>${detail.articles} articles (${detail.duration}ms)</div>
+            <div>${formatResultStatus(detail)}</div>
             ${detail.error ? `<div class="error-msg">${detail.error}</div>` : ''}
         </div>
     `).join('');
 }
 
+function formatResultStatus(detail) {
+    if (detail.status === 'skipped') return 'Paused (circuit breaker)';
+    if (detail.status === 'not_modified') return `Not modified (${detail.duration}ms)`;
+    return `${detail.articles} new, ${detail.updated || 0} updated (${detail.duration}ms)`;
+}
+
+function displayPreview(preview) {
+    const container = document.getElementById('resultsList');
+
+    const items = preview.items.map(item => `
+        <div class="result-item success">
+            <strong>${escapeHtml(item.title)}</strong>
+            <div class="preview-url">${escapeHtml(item.url)}</div>
+            <div class="preview-matches">${formatMatches(item.matched)}</div>
+        </div>
+    `).join('');
+
+    const skipped = preview.skipped.map(skip => `
+        <div class="result-item skipped">
+            <strong>Skipped: ${escapeHtml(skip.reason)}</strong>
+            <div>${escapeHtml(skip.title || skip.url || skip.message || '')}</div>
+            ${skip.matched ? `<div class="preview-matches">${formatMatches(skip.matched)}</div>` : ''}
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="result-item">
+            <strong>Preview: ${escapeHtml(preview.source)} (dry run)</strong>
+            <div>${preview.candidates} candidates, ${preview.items.length} parsed,
+                ${preview.skipped.length} skipped (${preview.duration}ms)</div>
+        </div>
+        ${items}
+        ${skipped}
+    `;
+}
+
+function formatMatches(matched) {
+    return Object.entries(matched || {})
+        .map(([field, selector]) => `${field}: <code>${escapeHtml(selector || '—')}</code>`)
+        .join(' · ');
+}
+
 function clearResults() {
     document.getElementById('resultsList').innerHTML =
         '<div class="empty-state">No scraping results yet</div>';
@@ -476,15 +817,85 @@ function checkForRunningJobs() {
 // ============================================
 
 async function loadLogs() {
+    // 'error' shows every failure; anything else is a single error category
+    const filter = state.logFilter;
+    const options = { limit: 20 };
+    if (filter === 'error') options.status = 'error';
+    else if (filter) options.category = filter;
+
     try {
-        const response = await AdminAPI.getLogs({ limit: 20 });
-        renderLogs(response.data);
+        const [logs, summary] = await Promise.all([
+            AdminAPI.getLogs(options),
+            AdminAPI.getErrorSummary()
+        ]);
+        renderErrorSummary(summary.data);
+        renderLogs(logs.data);
     } catch (error) {
         console.error('Error loading logs:', error);
         showToast('Failed to load logs', 'error');
     }
 }
 
+function setLogFilter(filter) {
+    state.logFilter = filter;
+    document.getElementById('logFilter').value = filter;
+    loadLogs();
+}
+
+/**
+ * Failed scrapes from the last week, one chip per error category
+ * Also keeps the filter dropdown's category options in sync
+ */
+function renderErrorSummary(summary) {
+    const select = document.getElementById('logFilter');
+    if (select.options.length <= 2) {
+        summary.categories.forEach(category => {
+            select.add(new Option(formatCategory(category), category));
+        });
+        select.value = state.logFilter;
+    }
+
+    const container = document.getElementById('errorSummary');
+    if (summary.groups.length === 0) {
+        container.innerHTML = `<small>No failed scrapes in the last ${summary.days} days</small>`;
+        return;
+    }
+
+    container.innerHTML = summary.groups.map(group => `
+        <button class="error-chip ${state.logFilter === group.category ? 'active' : ''}"
+                data-category="${group.category}"
+                title="${escapeHtml(group.latest_message || '')}">
+            ${formatCategory(group.category)}
+            <span class="error-chip-count">${group.count}</span>
+            <small>${group.sources.filter(Boolean).map(escapeHtml).join(', ')}</small>
+        </button>
+    `).join('');
+}
+
+function handleErrorSummaryClick(e) {
+    const chip = e.target.closest('.error-chip');
+    if (!chip) return;
+
+    const category = chip.dataset.category;
+    // Clicking the active chip clears the filter
+    setLogFilter(state.logFilter === category ? '' : category);
+}
+
+function formatCategory(category) {
+    const labels = {
+        dns: 'DNS',
+        timeout: 'Timeout',
+        network: 'Network',
+        http_4xx: 'HTTP 4xx',
+        http_5xx: 'HTTP 5xx',
+        parse_error: 'Parse error',
+        blocked: 'Blocked (robots.txt)',
+        no_items: 'No items',
+        unknown: 'Unknown'
+    };
+    return labels[category] || category;
+}
+
 function renderLogs(logs) {
     const container = document.getElementById('logsList');
 
@@ -500,7 +911,8 @@ function renderLogs(logs) {
                 <span class="log-time">${formatTimeAgo(log.started_at)}</span>
             </div>
             <div class="log-stats">
-                ${log.articles_found} articles (${log.duration_ms}ms)
+                ${log.status === 'not_modified' ? 'Not modified' : `${log.articles_new} new, ${log.articles_updated} updated of ${log.articles_found} found`} (${log.duration_ms}ms)
+                ${log.error_category ? `<span class="log-category">${formatCategory(log.error_category)}</span>` : ''}
                 ${log.error_message ? `- ${log.error_message}` : ''}
             </div>
         </div>
@@ -534,6 +946,16 @@ function formatTimeAgo(timestamp) {
     return `${days}d ago`;
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
 function showToast(message, type = 'info') {
     const toast = document.getElementById('toast');
     toast.textContent = message;
@@ -13,10 +13,69 @@ const fs = require('fs');
 const path = require('path');
 const { pool } = require('../config/database');
 const ScraperManager = require('../scrapers/ScraperManager');
+const CheerioScraper = require('../scrapers/news/CheerioScraper');
+const SitemapScraper = require('../scrapers/news/SitemapScraper');
+const MastodonScraper = require('../scrapers/social/MastodonScraper');
+const RedditScraper = require('../scrapers/social/RedditScraper');
+const AgendaScraper = require('../scrapers/documents/AgendaScraper');
+const NWSAlertScraper = require('../scrapers/alerts/NWSAlertScraper');
+const { ERROR_CATEGORIES } = require('../utils/errors');
+const { validateSchedule } = require('../utils/schedule');
+const nitterPool = require('../utils/nitterPool');
 
 // Store active scrape jobs in memory
 const scrapeJobs = new Map();
 
+/**
+ * Validate scraper configuration fields from a request body
+ * null/undefined values are allowed (they mean "no override")
+ * @param {Object} config - { selectors, wait_selector, pagination, sitemap,
+ *   mastodon, reddit, agenda, alerts }
+ * @returns {Array<string>} Validation errors
+ */
+function validateScraperConfig({
+  selectors,
+  wait_selector,
+  pagination,
+  sitemap,
+  mastodon,
+  reddit,
+  agenda,
+  alerts
+}) {
+  const errors = [];
+
+  if (selectors !== undefined && selectors !== null) {
+    errors.push(...CheerioScraper.validateSelectors(selectors));
+  }
+  if (wait_selector !== undefined && wait_selector !== null) {
+    const error = CheerioScraper.checkSelector(wait_selector);
+    if (error) {
+      errors.push(`wait_selector ${error}`);
+    }
+  }
+  if (pagination !== undefined && pagination !== null) {
+    errors.push(...CheerioScraper.validatePagination(pagination));
+  }
+  if (sitemap !== undefined && sitemap !== null) {
+    errors.push(...SitemapScraper.validateSitemap(sitemap));
+  }
+  if (mastodon !== undefined && mastodon !== null) {
+    errors.push(...MastodonScraper.validateMastodon(mastodon));
+  }
+  if (reddit !== undefined && reddit !== null) {
+    errors.push(...RedditScraper.validateReddit(reddit));
+  }
+  if (agenda !== undefined && agenda !== null) {
+    errors.push(...AgendaScraper.validateAgenda(agenda));
+  }
+  if (alerts !== undefined && alerts !== null) {
+    errors.push(...NWSAlertScraper.validateAlerts(alerts));
+  }
+
+  return errors;
+}
+
 /**
  * Database setup endpoint
  * Visit: /admin/setup
@@ -125,13 +184,18 @@ router.get('/scrape', async (req, res) => {
     res.write(`Total sources: ${results.total}\n`);
     res.write(`Successful: ${results.successful}\n`);
     res.write(`Failed: ${results.failed}\n`);
+    res.write(`Paused (circuit breaker): ${results.skipped}\n`);
     res.write(`New articles: ${results.articles}\n`);
+    res.write(`Updated articles: ${results.updated}\n`);
     res.write(`Duration: ${(results.duration / 1000).toFixed(2)}s\n\n`);
 
     res.write('Details:\n');
     results.details.forEach(detail => {
-      const status = detail.status === 'success' ? '✓' : '✗';
-      res.write(`${status} ${detail.source}: ${detail.articles} articles (${detail.duration}ms)\n`);
+      const status = { error: '✗', skipped: '⏸' }[detail.status] || '✓';
+      const articles = detail.status === 'not_modified'
+        ? 'not modified'
+        : `${detail.articles} new, ${detail.updated || 0} updated`;
+      res.write(`${status} ${detail.source}: ${articles} (${detail.duration}ms)\n`);
       if (detail.error) {
         res.write(`  Error: ${detail.error}\n`);
       }
@@ -257,6 +321,10 @@ router.patch('/api/sources/:id/toggle', async (req, res) => {
       });
     }
 
+    if (ScraperManager.scrapers.size > 0) {
+      await ScraperManager.reloadSource(parseInt(id));
+    }
+
     res.json({
       success: true,
       data: result.rows[0]
@@ -276,7 +344,63 @@ router.patch('/api/sources/:id/toggle', async (req, res) => {
 router.patch('/api/sources/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { url, name, scraper_type, enabled } = req.body;
+    const {
+      url,
+      name,
+      scraper_type,
+      enabled,
+      selectors,
+      wait_selector,
+      pagination,
+      sitemap,
+      mastodon,
+      reddit,
+      agenda,
+      alerts,
+      schedule,
+      enrich_articles,
+      enrich_budget
+    } = req.body;
+
+    // Validate scraper configuration before touching the database
+    const validationErrors = validateScraperConfig({
+      selectors,
+      wait_selector,
+      pagination,
+      sitemap,
+      mastodon,
+      reddit,
+      agenda,
+      alerts
+    });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scraper configuration',
+        details: validationErrors
+      });
+    }
+
+    if (
+      enrich_budget !== undefined &&
+      (!Number.isInteger(enrich_budget) || enrich_budget < 0 || enrich_budget > 100)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'enrich_budget must be an integer between 0 and 100'
+      });
+    }
+
+    if (schedule !== undefined && schedule !== null) {
+      const scheduleErrors = validateSchedule(schedule);
+      if (scheduleErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule',
+          details: scheduleErrors
+        });
+      }
+    }
 
     // Build dynamic update query based on provided fields
     const updates = [];
@@ -299,6 +423,52 @@ router.patch('/api/sources/:id', async (req, res) => {
       updates.push(`enabled = $${paramCount++}`);
       values.push(enabled);
     }
+    if (selectors !== undefined) {
+      // null clears the override so the scraper falls back to defaults
+      updates.push(`selectors = $${paramCount++}`);
+      values.push(selectors === null ? null : JSON.stringify(selectors));
+    }
+    if (wait_selector !== undefined) {
+      updates.push(`wait_selector = $${paramCount++}`);
+      values.push(wait_selector);
+    }
+    if (pagination !== undefined) {
+      updates.push(`pagination = $${paramCount++}`);
+      values.push(pagination === null ? null : JSON.stringify(pagination));
+    }
+    if (sitemap !== undefined) {
+      updates.push(`sitemap = $${paramCount++}`);
+      values.push(sitemap === null ? null : JSON.stringify(sitemap));
+    }
+    if (mastodon !== undefined) {
+      updates.push(`mastodon = $${paramCount++}`);
+      values.push(mastodon === null ? null : JSON.stringify(mastodon));
+    }
+    if (reddit !== undefined) {
+      updates.push(`reddit = $${paramCount++}`);
+      values.push(reddit === null ? null : JSON.stringify(reddit));
+    }
+    if (agenda !== undefined) {
+      updates.push(`agenda = $${paramCount++}`);
+      values.push(agenda === null ? null : JSON.stringify(agenda));
+    }
+    if (alerts !== undefined) {
+      updates.push(`alerts = $${paramCount++}`);
+      values.push(alerts === null ? null : JSON.stringify(alerts));
+    }
+    if (schedule !== undefined) {
+      // null falls back to the default interval
+      updates.push(`schedule = $${paramCount++}`);
+      values.push(schedule === null ? null : JSON.stringify(schedule));
+    }
+    if (enrich_articles !== undefined) {
+      updates.push(`enrich_articles = $${paramCount++}`);
+      values.push(!!enrich_articles);
+    }
+    if (enrich_budget !== undefined) {
+      updates.push(`enrich_budget = $${paramCount++}`);
+      values.push(enrich_budget);
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({
@@ -326,6 +496,11 @@ router.patch('/api/sources/:id', async (req, res) => {
       });
     }
 
+    // Pick up the new configuration without a restart
+    if (ScraperManager.scrapers.size > 0) {
+      await ScraperManager.reloadSource(parseInt(id));
+    }
+
     res.json({
       success: true,
       data: result.rows[0]
@@ -338,6 +513,20 @@ router.patch('/api/sources/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/api/selectors/defaults
+ * Default CSS selectors used when a source has no override
+ */
+router.get('/api/selectors/defaults', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fields: CheerioScraper.SELECTOR_FIELDS,
+      defaults: CheerioScraper.prototype.getDefaultSelectors()
+    }
+  });
+});
+
 /**
  * POST /admin/api/sources/:id/test
  * Test scrape a single source
@@ -366,13 +555,173 @@ router.post('/api/sources/:id/test', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/api/sources/:id/preview
+ * Dry-run a source: returns parsed items without saving anything
+ * Body (optional): { selectors, wait_selector, pagination, sitemap, mastodon,
+ *   reddit, agenda, alerts } to try unsaved overrides
+ */
+router.post('/api/sources/:id/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      selectors,
+      wait_selector,
+      pagination,
+      sitemap,
+      mastodon,
+      reddit,
+      agenda,
+      alerts
+    } = req.body || {};
+    const validationErrors = validateScraperConfig({
+      selectors,
+      wait_selector,
+      pagination,
+      sitemap,
+      mastodon,
+      reddit,
+      agenda,
+      alerts
+    });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scraper configuration',
+        details: validationErrors
+      });
+    }
+
+    const overrides = {};
+    if (selectors) overrides.selectors = selectors;
+    if (wait_selector) overrides.wait_selector = wait_selector;
+    if (pagination) overrides.pagination = pagination;
+    if (sitemap) overrides.sitemap = sitemap;
+    if (mastodon) overrides.mastodon = mastodon;
+    if (reddit) overrides.reddit = reddit;
+    if (agenda) overrides.agenda = agenda;
+    if (alerts) overrides.alerts = alerts;
+
+    const result = await ScraperManager.previewSource(parseInt(id), overrides);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/api/sources/:id/backfill
+ * Start a one-off archive backfill job for a paginated source
+ * Body: { maxPages } (default 50)
+ */
+router.post('/api/sources/:id/backfill', async (req, res) => {
+  try {
+    const sourceId = parseInt(req.params.id);
+    const maxPages = req.body && req.body.maxPages;
+
+    if (
+      maxPages !== undefined &&
+      (!Number.isInteger(maxPages) ||
+        maxPages < 1 ||
+        maxPages > CheerioScraper.MAX_BACKFILL_PAGES)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `maxPages must be an integer between 1 and ${CheerioScraper.MAX_BACKFILL_PAGES}`
+      });
+    }
+
+    const runningJob = Array.from(scrapeJobs.values()).find(job => job.status === 'running');
+    if (runningJob) {
+      return res.status(409).json({
+        success: false,
+        error: 'A scrape job is already running',
+        jobId: runningJob.id
+      });
+    }
+
+    const jobId = `backfill-${Date.now()}`;
+    const job = {
+      id: jobId,
+      status: 'running',
+      progress: {
+        total: 1,
+        completed: 0,
+        current: null,
+        articles: 0
+      },
+      results: null,
+      startedAt: new Date(),
+      completedAt: null
+    };
+
+    scrapeJobs.set(jobId, job);
+
+    // Run backfill asynchronously; it can take many minutes
+    (async () => {
+      try {
+        const result = await ScraperManager.backfillSource(sourceId, { maxPages });
+
+        job.status = 'completed';
+        job.progress.completed = 1;
+        job.progress.articles = result.articles;
+        job.progress.updated = result.updated;
+        job.results = {
+          ...result,
+          details: [{
+            source: result.source,
+            status: 'success',
+            articles: result.articles,
+            updated: result.updated,
+            duration: result.duration,
+            error: null
+          }]
+        };
+        job.completedAt = new Date();
+      } catch (error) {
+        job.status = 'error';
+        job.error = error.message;
+        job.completedAt = new Date();
+      }
+    })();
+
+    res.json({
+      success: true,
+      jobId,
+      status: 'running'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /admin/api/scrape/start
  * Start a scrape job with options
  */
 router.post('/api/scrape/start', async (req, res) => {
   try {
-    const { sourceIds, timeout, maxArticles } = req.body;
+    const { sourceIds, timeout, maxArticles, concurrency } = req.body;
+
+    if (
+      concurrency !== undefined &&
+      (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 10)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: 'concurrency must be an integer between 1 and 10'
+      });
+    }
 
     // Check if scrape is already running
     const runningJob = Array.from(scrapeJobs.values()).find(job => job.status === 'running');
@@ -415,13 +764,24 @@ router.post('/api/scrape/start', async (req, res) => {
         let results;
         if (sourceIds && sourceIds.length > 0) {
           // Scrape selected sources
-          results = await ScraperManager.scrapeSelected(sourceIds, { timeout, maxArticles });
+          results = await ScraperManager.scrapeSelected(sourceIds, {
+            timeout,
+            maxArticles,
+            concurrency
+          });
         } else {
           // Scrape all
-          results = await ScraperManager.scrapeAll();
+          results = await ScraperManager.scrapeAll({
+            timeout,
+            maxArticles,
+            concurrency
+          });
         }
 
         job.status = 'completed';
+        job.progress.completed = results.details ? results.details.length : 0;
+        job.progress.articles = results.articles || 0;
+        job.progress.updated = results.updated || 0;
         job.results = results;
         job.completedAt = new Date();
       } catch (error) {
@@ -468,11 +828,13 @@ router.get('/api/scrape/status/:jobId', (req, res) => {
 /**
  * GET /admin/api/logs
  * Get recent scrape logs
+ * Query: limit, source_id, status ('success', 'not_modified', 'error'),
+ * category (an error category)
  */
 router.get('/api/logs', async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
-    const sourceId = req.query.source_id;
+    const { source_id: sourceId, status, category } = req.query;
 
     let query = `
       SELECT
@@ -482,10 +844,22 @@ router.get('/api/logs', async (req, res) => {
       LEFT JOIN sources s ON sl.source_id = s.id
     `;
 
+    const conditions = [];
     const params = [];
     if (sourceId) {
-      query += ' WHERE sl.source_id = $1';
       params.push(sourceId);
+      conditions.push(`sl.source_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`sl.status = $${params.length}`);
+    }
+    if (category) {
+      params.push(category);
+      conditions.push(`sl.error_category = $${params.length}`);
+    }
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
     }
 
     query += ' ORDER BY sl.started_at DESC LIMIT $' + (params.length + 1);
@@ -505,6 +879,70 @@ router.get('/api/logs', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/api/errors/summary
+ * Failed scrapes grouped by error category
+ * Query: days (default 7, max 90)
+ */
+router.get('/api/errors/summary', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+
+    const result = await pool.query(`
+      SELECT
+        COALESCE(sl.error_category, 'unknown') as category,
+        COUNT(*) as count,
+        COUNT(DISTINCT sl.source_id) as source_count,
+        array_agg(DISTINCT s.name) as sources,
+        MAX(sl.started_at) as last_seen,
+        (array_agg(sl.error_message ORDER BY sl.started_at DESC))[1] as latest_message
+      FROM scrape_logs sl
+      LEFT JOIN sources s ON sl.source_id = s.id
+      WHERE sl.status = 'error'
+        AND sl.started_at > NOW() - make_interval(days => $1)
+      GROUP BY COALESCE(sl.error_category, 'unknown')
+      ORDER BY count DESC
+    `, [days]);
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        categories: ERROR_CATEGORIES,
+        groups: result.rows
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/api/nitter/instances
+ * Nitter instance pool: health, latency and ranking used by hashtag scrapes
+ * Query: probe=true to re-probe stale instances first
+ */
+router.get('/api/nitter/instances', async (req, res) => {
+  try {
+    if (req.query.probe === 'true') {
+      await nitterPool.probeStale();
+    }
+
+    res.json({
+      success: true,
+      data: nitterPool.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /admin/api/stats
  * Get dashboard statistics
@@ -524,7 +962,7 @@ router.get('/api/stats', async (req, res) => {
     const successRate = await pool.query(`
       SELECT
         COUNT(*) as total,
-        COUNT(CASE WHEN status = 'success' THEN 1 END) as successful,
+        COUNT(CASE WHEN status IN ('success', 'not_modified') THEN 1 END) as successful,
         AVG(duration_ms) as avg_duration
       FROM (
         SELECT * FROM scrape_logs
@@ -540,9 +978,10 @@ router.get('/api/stats', async (req, res) => {
         s.name,
         s.enabled,
         s.error_count,
+        s.breaker_state,
         s.last_successful_scrape,
         COUNT(sl.id) as scrape_count,
-        COUNT(CASE WHEN sl.status = 'success' THEN 1 END) as successful_scrapes
+        COUNT(CASE WHEN sl.status IN ('success', 'not_modified') THEN 1 END) as successful_scrapes
       FROM sources s
       LEFT JOIN scrape_logs sl ON s.id = sl.source_id
       GROUP BY s.id
@@ -614,6 +1053,9 @@ router.post('/api/scrape/rss-only', async (req, res) => {
 
         const results = await ScraperManager.scrapeSelected(sourceIds);
         job.status = 'completed';
+        job.progress.completed = results.details ? results.details.length : 0;
+        job.progress.articles = results.articles || 0;
+        job.progress.updated = results.updated || 0;
         job.results = results;
         job.completedAt = new Date();
       } catch (error) {
@@ -661,15 +1103,51 @@ router.post('/api/sources/enable-all', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/api/sources/:id/reset-breaker
+ * Close a source's circuit breaker so it is scraped again next cycle
+ */
+router.post('/api/sources/:id/reset-breaker', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`
+      UPDATE sources
+      SET consecutive_failures = 0, breaker_state = 'healthy', breaker_trips = 0,
+          breaker_until = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Source not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /admin/api/sources/reset-errors
- * Reset error counts for all sources
+ * Reset error counts and circuit breakers for all sources
  */
 router.post('/api/sources/reset-errors', async (req, res) => {
   try {
     const result = await pool.query(`
       UPDATE sources
-      SET error_count = 0, last_error = NULL, updated_at = NOW()
+      SET error_count = 0, last_error = NULL, last_error_category = NULL,
+          consecutive_failures = 0, breaker_state = 'healthy', breaker_trips = 0,
+          breaker_until = NULL, updated_at = NOW()
       RETURNING *
     `);
 
@@ -6,7 +6,29 @@
 const express = require('express');
 const router = express.Router();
 const Article = require('../models/Article');
+const Event = require('../models/Event');
+const Document = require('../models/Document');
+const Alert = require('../models/Alert');
+const Hashtag = require('../models/Hashtag');
+const ScraperManager = require('../scrapers/ScraperManager');
 const logger = require('../utils/logger');
+const { TIMEZONE } = require('../utils/schedule');
+const { parseIsoInZone } = require('../utils/timezone');
+
+// Hashtags: letters, digits and underscores, like Twitter's own
+const HASHTAG_PATTERN = /^#?(\w{2,50})$/;
+// Each hashtag is a scraped source; keep the set small
+const MAX_HASHTAGS = 20;
+// Default and longest /api/events windows
+const DEFAULT_EVENT_DAYS = 30;
+const MAX_EVENT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Meeting dates in /api/documents filters
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DOCUMENT_TYPES = ['agenda', 'minutes'];
+// CAP severities accepted by /api/alerts
+const ALERT_SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+const ZONE_PATTERN = /^[A-Z]{2}[CZ]\d{3}$/;
 
 /**
  * GET /api/news
@@ -80,6 +102,255 @@ router.get('/news/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/events
+ * Get calendar events that overlap a date range
+ * Query params: from, to (ISO dates or date-times; dates without an offset
+ * are local to SCRAPE_TIMEZONE; default now to 30 days out), location
+ * (substring), source_id, category, limit, offset
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { location, source_id, category, limit = 100, offset = 0 } = req.query;
+
+    const from = req.query.from
+      ? parseIsoInZone(req.query.from, TIMEZONE)
+      : { date: new Date() };
+    const to = req.query.to
+      ? parseIsoInZone(req.query.to, TIMEZONE)
+      : from && { date: new Date(from.date.getTime() + DEFAULT_EVENT_DAYS * DAY_MS) };
+
+    if (
+      !from ||
+      !to ||
+      to.date <= from.date ||
+      to.date - from.date > MAX_EVENT_DAYS * DAY_MS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date range (from must be before to, at most ${MAX_EVENT_DAYS} days apart)`,
+      });
+    }
+
+    const filters = {
+      from: from.date,
+      to: to.date,
+      location,
+      source_id: source_id ? parseInt(source_id) : undefined,
+      category,
+      limit: Math.min(parseInt(limit) || 100, 500), // Max 500 events
+      offset: parseInt(offset) || 0,
+    };
+
+    const events = await Event.getAll(filters);
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events,
+    });
+  } catch (error) {
+    logger.error('Error fetching events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch events',
+    });
+  }
+});
+
+/**
+ * GET /api/events/:id
+ * Get single event by ID
+ */
+router.get('/events/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const event = await Event.getById(parseInt(id));
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    logger.error('Error fetching event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch event',
+    });
+  }
+});
+
+/**
+ * GET /api/documents
+ * Search meeting agendas and minutes, or list the latest without search
+ * Query params: search (full text; results carry an HTML snippet with the
+ * matches in <mark>), governing_body (substring), type ('agenda' or
+ * 'minutes'), source_id, from, to (meeting dates, YYYY-MM-DD), limit, offset
+ */
+router.get('/documents', async (req, res) => {
+  try {
+    const {
+      search,
+      governing_body,
+      type,
+      source_id,
+      from,
+      to,
+      limit = 20,
+      offset = 0,
+    } = req.query;
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates (YYYY-MM-DD)',
+      });
+    }
+    if (type && !DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${DOCUMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const filters = {
+      search: search && search.trim() ? search.trim() : undefined,
+      governing_body,
+      document_type: type,
+      source_id: source_id ? parseInt(source_id) : undefined,
+      from,
+      to,
+      limit: Math.min(parseInt(limit) || 20, 100), // Max 100 documents
+      offset: parseInt(offset) || 0,
+    };
+
+    const documents = await Document.search(filters);
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents,
+    });
+  } catch (error) {
+    logger.error('Error fetching documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents',
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id
+ * Get single document by ID, with its full text
+ */
+router.get('/documents/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const document = await Document.getById(parseInt(id));
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document,
+    });
+  } catch (error) {
+    logger.error('Error fetching document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch document',
+    });
+  }
+});
+
+/**
+ * GET /api/alerts
+ * Active National Weather Service alerts, most severe first
+ * Query params: severity (comma-separated CAP severities, e.g.
+ * 'Extreme,Severe' for warnings), zone (UGC code, e.g. ALZ266), limit
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    const { zone, limit = 50 } = req.query;
+    const severity = req.query.severity
+      ? req.query.severity.split(',').map((value) => value.trim())
+      : [];
+
+    if (severity.some((value) => !ALERT_SEVERITIES.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        error: `severity must be one or more of: ${ALERT_SEVERITIES.join(', ')}`,
+      });
+    }
+    if (zone && !ZONE_PATTERN.test(zone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'zone must be a zone or county code (e.g. ALZ266, ALC003)',
+      });
+    }
+
+    const alerts = await Alert.getActive({
+      severity,
+      zone,
+      limit: Math.min(parseInt(limit) || 50, 100), // Max 100 alerts
+    });
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts,
+    });
+  } catch (error) {
+    logger.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alerts',
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get single alert by ID (expired alerts included)
+ */
+router.get('/alerts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const alert = await Alert.getById(parseInt(id));
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert,
+    });
+  } catch (error) {
+    logger.error('Error fetching alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert',
+    });
+  }
+});
+
 /**
  * GET /api/sources
  * Get list of all news sources
@@ -176,6 +447,112 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hashtags
+ * Get tracked social media hashtags
+ */
+router.get('/hashtags', async (req, res) => {
+  try {
+    const hashtags = await Hashtag.getAll();
+
+    res.json({
+      success: true,
+      count: hashtags.length,
+      data: hashtags,
+    });
+  } catch (error) {
+    logger.error('Error fetching hashtags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch hashtags',
+    });
+  }
+});
+
+/**
+ * POST /api/hashtags
+ * Start tracking a hashtag
+ * Body: { tag } - with or without the leading '#'
+ */
+router.post('/hashtags', async (req, res) => {
+  try {
+    const match = HASHTAG_PATTERN.exec(String((req.body || {}).tag || '').trim());
+
+    if (!match) {
+      return res.status(400).json({
+        success: false,
+        error: 'Hashtag must be 2-50 letters, numbers or underscores',
+      });
+    }
+
+    if ((await Hashtag.count()) >= MAX_HASHTAGS) {
+      return res.status(400).json({
+        success: false,
+        error: `No more than ${MAX_HASHTAGS} hashtags can be tracked`,
+      });
+    }
+
+    const hashtag = await Hashtag.create(`#${match[1]}`);
+
+    if (!hashtag) {
+      return res.status(409).json({
+        success: false,
+        error: 'Hashtag is already tracked',
+      });
+    }
+
+    // Start scraping it on the normal schedule
+    if (ScraperManager.scrapers.size > 0) {
+      await ScraperManager.reloadSource(hashtag.source_id);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: hashtag,
+    });
+  } catch (error) {
+    logger.error('Error adding hashtag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add hashtag',
+    });
+  }
+});
+
+/**
+ * DELETE /api/hashtags/:tag
+ * Stop tracking a hashtag (without the leading '#', e.g. /api/hashtags/Foley)
+ */
+router.delete('/hashtags/:tag', async (req, res) => {
+  try {
+    const match = HASHTAG_PATTERN.exec(req.params.tag);
+    const hashtag = match ? await Hashtag.remove(`#${match[1]}`) : null;
+
+    if (!hashtag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Hashtag not found',
+      });
+    }
+
+    // Its source is now disabled; drop the scraper and its schedule
+    if (hashtag.source_id && ScraperManager.scrapers.size > 0) {
+      await ScraperManager.reloadSource(hashtag.source_id);
+    }
+
+    res.json({
+      success: true,
+      data: hashtag,
+    });
+  } catch (error) {
+    logger.error('Error removing hashtag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove hashtag',
+    });
+  }
+});
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -3,10 +3,45 @@
  * Provides common functionality for all scrapers
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const Article = require('../models/Article');
+const Event = require('../models/Event');
+const Document = require('../models/Document');
+const Alert = require('../models/Alert');
+const HttpCache = require('../models/HttpCache');
 const logger = require('../utils/logger');
+const requestScheduler = require('../utils/requestScheduler');
+const {
+  NoItemsError,
+  isRetryable,
+  getRetryDelay,
+} = require('../utils/errors');
+const { extractMainContent } = require('../utils/contentExtractor');
+const {
+  RobotsBlockedError,
+  MAX_CRAWL_DELAY,
+  getRobotsRules,
+  isAllowed,
+} = require('../utils/robots');
+const {
+  extractJsonLd,
+  findByType,
+  readName,
+  readImage,
+  readText,
+} = require('../utils/jsonLd');
+
+// schema.org types that describe a news story, most specific first
+const ARTICLE_TYPES = [
+  'NewsArticle',
+  'ReportageNewsArticle',
+  'AnalysisNewsArticle',
+  'Article',
+  'BlogPosting',
+  'Report',
+];
 
 class BaseScraper {
   constructor(sourceName, sourceConfig) {
@@ -14,45 +49,333 @@ class BaseScraper {
     this.sourceUrl = sourceConfig.url;
     this.sourceId = sourceConfig.id;
     this.scraperType = sourceConfig.scraper_type;
+    // Enrichment: visit new article pages for body and metadata
+    this.enrich = !!sourceConfig.enrich_articles;
+    this.enrichBudget = Number.isInteger(sourceConfig.enrich_budget)
+      ? sourceConfig.enrich_budget
+      : 10;
+    // Per-source timing for the scheduler (see utils/schedule.js)
+    this.schedule = sourceConfig.schedule || null;
     this.delay = parseInt(process.env.SCRAPE_DELAY_MS) || 2000;
+    // Retries for timeouts, dropped connections, 5xx and 429
+    const maxRetries = parseInt(process.env.SCRAPE_MAX_RETRIES);
+    this.maxRetries = Number.isInteger(maxRetries) ? maxRetries : 2;
+    this.retryDelay = parseInt(process.env.SCRAPE_RETRY_DELAY_MS) || 1000;
     this.userAgent =
       process.env.USER_AGENT ||
       'BaldwinNewsBot/1.0 (+https://baldwincountynews.com/about)';
+
+    // Dry-run state: when set, nothing is written to the database
+    this.dryRun = false;
+    this.preview = null;
+    // Skipped items per reason for the current run
+    this.skipCounts = {};
+    // Save outcomes for the current run: inserted, updated, duplicate
+    this.saveCounts = { inserted: 0, updated: 0, duplicate: 0 };
+
+    // Conditional requests: skip feeds and listings that haven't changed
+    this.useHttpCache = true;
+    this.notModified = false;
+    this.pendingHttpCache = [];
+  }
+
+  /**
+   * Reset per-run state; called at the start of scrape()
+   */
+  startRun() {
+    this.skipCounts = {};
+    this.saveCounts = { inserted: 0, updated: 0, duplicate: 0 };
+    this.candidates = 0;
+    this.notModified = false;
+    this.pendingHttpCache = [];
+  }
+
+  /**
+   * Count items found in a feed or on a listing page (known ones included)
+   * @param {number} count - Items found
+   */
+  countCandidates(count) {
+    this.candidates = (this.candidates || 0) + count;
+
+    if (this.preview) {
+      this.preview.candidates += count;
+    }
+  }
+
+  /**
+   * Fail the run when the source yielded no items at all, which usually
+   * means a changed layout or a dead feed URL. Dry runs just report 0.
+   * @param {string} url - Feed or page URL that came back empty
+   * @throws {NoItemsError}
+   */
+  checkItemsFound(url) {
+    if (this.candidates === 0 && !this.notModified && !this.dryRun) {
+      throw new NoItemsError(this.sourceName, url);
+    }
+  }
+
+  /**
+   * Switch this scraper into dry-run mode
+   * Articles are collected in this.preview instead of being saved
+   */
+  startPreview() {
+    this.dryRun = true;
+    this.preview = {
+      candidates: 0,
+      items: [],
+      skipped: [],
+    };
+  }
+
+  /**
+   * Article counts for the current run
+   * @returns {Object} { found, new, updated, duplicate } - found is the
+   *   number of items the source listed
+   */
+  getRunCounts() {
+    return {
+      found: this.candidates || 0,
+      new: this.saveCounts.inserted,
+      updated: this.saveCounts.updated,
+      duplicate: this.saveCounts.duplicate,
+    };
+  }
+
+  /**
+   * Record why an item was skipped
+   * @param {string} reason - Short machine-readable reason
+   * @param {Object} details - Extra context (title, url, message, ...);
+   *   details.count records a batch of items skipped for the same reason
+   * @returns {null} Always null, so callers can `return this.skipItem(...)`
+   */
+  skipItem(reason, details = {}) {
+    logger.debug(`Skipping (${reason}): ${details.url || details.title || ''}`);
+    this.skipCounts[reason] =
+      (this.skipCounts[reason] || 0) + (details.count || 1);
+
+    if (this.preview) {
+      this.preview.skipped.push({ reason, ...details });
+    }
+
+    return null;
   }
 
   /**
    * Fetch HTML content from URL
    * @param {string} url - URL to fetch
+   * @param {Object} options - Extra axios options (e.g. responseType)
    * @returns {Promise<string>} HTML content
+   * @throws {RobotsBlockedError} When robots.txt disallows the URL
+   */
+  async fetchHTML(url, options = {}) {
+    const response = await this.request(url, options);
+    return response.data;
+  }
+
+  /**
+   * Perform a GET request
+   * Checks robots.txt first, then waits for the host's turn in the shared
+   * request scheduler. Timeouts, dropped connections, 5xx and 429 responses
+   * are retried up to maxRetries times with jittered backoff (or the
+   * server's Retry-After).
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Extra axios options (headers, validateStatus, ...)
+   * @returns {Promise<Object>} Axios response
+   * @throws {RobotsBlockedError} When robots.txt disallows the URL
    */
-  async fetchHTML(url) {
+  async request(url, options = {}) {
     try {
-      logger.info(`Fetching: ${url}`);
-
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': this.userAgent,
-          Accept:
-            'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          DNT: '1',
-          Connection: 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        },
-        timeout: 30000,
-      });
+      for (let attempt = 1; ; attempt++) {
+        try {
+          // Inside the loop so a failed robots.txt fetch is retried too
+          const robots = await this.checkRobots(url);
+
+          return await this.scheduleRequest(url, robots, () => {
+            logger.info(`Fetching: ${url}`);
 
-      // Respectful delay
-      await this.sleep(this.delay);
+            return axios.get(url, {
+              ...options,
+              headers: {
+                'User-Agent': this.userAgent,
+                Accept:
+                  'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.5',
+                'Accept-Encoding': 'gzip, deflate',
+                DNT: '1',
+                Connection: 'keep-alive',
+                'Upgrade-Insecure-Requests': '1',
+                ...options.headers,
+              },
+              timeout: 30000,
+            });
+          });
+        } catch (error) {
+          const delay =
+            attempt <= this.maxRetries && isRetryable(error)
+              ? getRetryDelay(error, attempt, this.retryDelay)
+              : null;
+          if (delay === null) {
+            throw error;
+          }
 
-      return response.data;
+          logger.warn(
+            `Retrying ${url} in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries + 1}): ${error.message}`
+          );
+          await this.sleep(delay);
+        }
+      }
     } catch (error) {
       logger.error(`Error fetching ${url}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Fetch a feed or listing page with a conditional request
+   * Sends the stored ETag / Last-Modified back as If-None-Match /
+   * If-Modified-Since. A 304, or a body whose hash matches the last fetch
+   * (for servers without validators), means nothing changed: this.notModified
+   * is set and null is returned. New validators are only stored by
+   * commitHttpCache() once the run has gone through, so a failed run is
+   * retried in full. Dry runs and backfills always fetch the full page.
+   * @param {string} url - Feed or listing URL
+   * @param {Object} options - Extra axios options (e.g. responseType)
+   * @returns {Promise<string|Buffer|null>} Body, or null when not modified
+   */
+  async fetchConditional(url, options = {}) {
+    if (this.dryRun || !this.useHttpCache) {
+      return this.fetchHTML(url, options);
+    }
+
+    const cached = await HttpCache.findByUrl(url);
+    const headers = { ...options.headers };
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.last_modified) {
+      headers['If-Modified-Since'] = cached.last_modified;
+    }
+
+    const response = await this.request(url, {
+      ...options,
+      headers,
+      validateStatus: (status) =>
+        (status >= 200 && status < 300) || status === 304,
+    });
+
+    if (response.status === 304) {
+      await HttpCache.touch(url);
+      return this.markNotModified(url, '304');
+    }
+
+    const entry = {
+      url,
+      etag: response.headers.etag || null,
+      last_modified: response.headers['last-modified'] || null,
+      content_hash: hashBody(response.data),
+      errorsAtFetch: this.skipCounts.error || 0,
+    };
+
+    if (cached && cached.content_hash === entry.content_hash) {
+      // Same bytes as last time; just refresh the validators
+      await HttpCache.save(url, entry);
+      return this.markNotModified(url, 'content unchanged');
+    }
+
+    this.pendingHttpCache.push(entry);
+    return response.data;
+  }
+
+  /**
+   * Record that a conditional fetch found nothing new
+   * @param {string} url - Feed or listing URL
+   * @param {string} reason - '304' or 'content unchanged'
+   * @returns {null} Always null, like fetchConditional when not modified
+   */
+  markNotModified(url, reason) {
+    logger.info(`Not modified (${reason}): ${url}`);
+    this.notModified = true;
+    return null;
+  }
+
+  /**
+   * Store validators from this run's conditional fetches
+   * Entries whose items hit errors are dropped, so those items are
+   * fetched again on the next cycle.
+   */
+  async commitHttpCache() {
+    const pending = this.pendingHttpCache;
+    this.pendingHttpCache = [];
+
+    if (this.dryRun) {
+      return;
+    }
+
+    for (const entry of pending) {
+      if ((this.skipCounts.error || 0) > entry.errorsAtFetch) {
+        logger.warn(`Not caching ${entry.url}: some items failed`);
+        continue;
+      }
+      await HttpCache.save(entry.url, entry);
+    }
+  }
+
+  /**
+   * Check robots.txt for a URL before fetching it
+   * @param {string} url - URL about to be fetched
+   * @returns {Promise<Object>} robots.txt rules for the URL's host
+   * @throws {RobotsBlockedError} When our user agent may not fetch the URL,
+   *   or the host's Crawl-delay is over MAX_CRAWL_DELAY
+   */
+  async checkRobots(url) {
+    const rules = await getRobotsRules(url, this.userAgent);
+
+    if (rules.crawlDelay !== null && rules.crawlDelay > MAX_CRAWL_DELAY) {
+      logger.warn(
+        `Crawl-delay ${rules.crawlDelay}s for ${new URL(url).host} is over ${MAX_CRAWL_DELAY}s; skipping this run`
+      );
+      throw new RobotsBlockedError(url, `Crawl-delay ${rules.crawlDelay}s`);
+    }
+
+    if (!isAllowed(rules, url)) {
+      throw new RobotsBlockedError(
+        url,
+        rules.disallowAll ? 'robots.txt unavailable' : null
+      );
+    }
+
+    return rules;
+  }
+
+  /**
+   * Run a request through the shared per-host scheduler
+   * Requests to the same host are spaced out and capped in concurrency
+   * across every scraper; requests to other hosts don't wait
+   * @param {string} url - Request URL
+   * @param {Object} robots - robots.txt rules from checkRobots
+   * @param {Function} task - Performs the request, returns a promise
+   * @returns {Promise<*>} Result of task
+   */
+  scheduleRequest(url, robots, task) {
+    return requestScheduler.schedule(url, task, {
+      interval: this.getCrawlDelay(robots),
+    });
+  }
+
+  /**
+   * Delay between requests to a host
+   * The host's Crawl-delay replaces SCRAPE_DELAY_MS when robots.txt sets
+   * one, up to MAX_CRAWL_DELAY (checkRobots skips hosts asking for more)
+   * @param {Object} robots - robots.txt rules from checkRobots
+   * @returns {number} Delay in milliseconds
+   */
+  getCrawlDelay(robots) {
+    if (robots && robots.crawlDelay !== null) {
+      return Math.min(robots.crawlDelay, MAX_CRAWL_DELAY) * 1000;
+    }
+    return this.delay;
+  }
+
   /**
    * Parse HTML with Cheerio
    * @param {string} html - HTML string
@@ -87,78 +410,204 @@ class BaseScraper {
 
   /**
    * Extract metadata from article
+   * JSON-LD (schema.org NewsArticle and friends) is tried first, then
+   * Open Graph / Twitter / standard meta tags, then page markup.
+   * metadata.strategies records which strategy produced each field.
    * @param {CheerioStatic} $ - Cheerio instance
    * @param {string} url - Article URL
    * @returns {Object} Article metadata
    */
   extractMetadata($, url) {
-    const metadata = {
-      title: null,
-      excerpt: null,
-      author: null,
-      published_at: null,
-      image_url: null,
+    const jsonLd = extractJsonLd($);
+    const article = findByType(jsonLd, ARTICLE_TYPES) || {};
+    const meta = (selector) => $(selector).attr('content');
+
+    // Candidate strategies per field, in priority order
+    const candidatesByField = {
+      title: [
+        ['json-ld', () => readText(article.headline) || readText(article.name)],
+        ['og', () => meta('meta[property="og:title"]')],
+        ['twitter', () => meta('meta[name="twitter:title"]')],
+        ['html', () => $('title').text()],
+        ['html', () => $('h1').first().text()],
+      ],
+      excerpt: [
+        ['json-ld', () => readText(article.description)],
+        ['og', () => meta('meta[property="og:description"]')],
+        ['meta', () => meta('meta[name="description"]')],
+        ['twitter', () => meta('meta[name="twitter:description"]')],
+      ],
+      author: [
+        ['json-ld', () => readName(jsonLd, article.author || article.creator)],
+        ['meta', () => meta('meta[name="author"]')],
+        ['og', () => meta('meta[property="article:author"]')],
+        ['html', () => $('.author').first().text()],
+        ['html', () => $('[rel="author"]').first().text()],
+      ],
+      published_at: [
+        ['json-ld', () => readText(article.datePublished)],
+        ['og', () => meta('meta[property="article:published_time"]')],
+        ['html', () => $('time').first().attr('datetime')],
+      ],
+      modified_at: [
+        ['json-ld', () => readText(article.dateModified)],
+        ['og', () => meta('meta[property="article:modified_time"]')],
+      ],
+      image_url: [
+        ['json-ld', () => readImage(jsonLd, article.image || article.thumbnailUrl)],
+        ['og', () => meta('meta[property="og:image"]')],
+        ['twitter', () => meta('meta[name="twitter:image"]')],
+      ],
     };
 
-    // Try common meta tags
-    metadata.title =
-      $('meta[property="og:title"]').attr('content') ||
-      $('meta[name="twitter:title"]').attr('content') ||
-      $('title').text() ||
-      $('h1').first().text();
-
-    metadata.excerpt =
-      $('meta[property="og:description"]').attr('content') ||
-      $('meta[name="description"]').attr('content') ||
-      $('meta[name="twitter:description"]').attr('content');
-
-    metadata.author =
-      $('meta[name="author"]').attr('content') ||
-      $('meta[property="article:author"]').attr('content') ||
-      $('.author').first().text() ||
-      $('[rel="author"]').first().text();
-
-    metadata.published_at =
-      $('meta[property="article:published_time"]').attr('content') ||
-      $('time').first().attr('datetime');
-
-    metadata.image_url =
-      $('meta[property="og:image"]').attr('content') ||
-      $('meta[name="twitter:image"]').attr('content');
-
-    // Clean up
-    if (metadata.title) metadata.title = metadata.title.trim();
-    if (metadata.excerpt) metadata.excerpt = metadata.excerpt.trim();
-    if (metadata.author) metadata.author = metadata.author.trim();
+    const metadata = { strategies: {} };
+
+    for (const [field, candidates] of Object.entries(candidatesByField)) {
+      metadata[field] = null;
+
+      for (const [strategy, read] of candidates) {
+        const value = read();
+        if (typeof value === 'string' && value.trim()) {
+          // Clean up
+          metadata[field] = value.trim();
+          metadata.strategies[field] = strategy;
+          break;
+        }
+      }
+    }
+
     if (metadata.image_url)
       metadata.image_url = this.getAbsoluteUrl(
         metadata.image_url,
-        this.sourceUrl
+        url || this.sourceUrl
       );
 
     return metadata;
   }
 
+  /**
+   * Extract the main article body from an article page
+   * @param {CheerioStatic} $ - Cheerio instance
+   * @param {string} url - Page URL, used to absolutize links and images
+   * @returns {string} Sanitized article HTML, or '' if none found
+   */
+  extractContent($, url) {
+    return extractMainContent($, { baseUrl: url || this.sourceUrl }).html;
+  }
+
+  /**
+   * Enrichment stage: visit newly saved articles and fill in page data
+   * Fills content, image, author and published date from the article page.
+   * Only runs when the source has enrichment enabled, and visits at most
+   * enrichBudget pages per run.
+   * @param {Array<Object>} articles - Articles returned by scrape()
+   * @returns {Promise<number>} Number of articles enriched
+   */
+  async enrichArticles(articles) {
+    if (!this.enrich || articles.length === 0) {
+      return 0;
+    }
+
+    const batch = articles.slice(0, this.enrichBudget);
+    logger.info(
+      `Enriching ${batch.length}/${articles.length} articles from ${this.sourceName}`
+    );
+
+    let enriched = 0;
+    for (const article of batch) {
+      try {
+        const fields = await this.fetchArticleDetails(article.url);
+
+        if (this.dryRun) {
+          // Show what would be filled in without writing it
+          article.enrichment = fields;
+        } else {
+          Object.assign(article, await Article.enrich(article.id, fields));
+        }
+
+        enriched++;
+      } catch (error) {
+        logger.warn(`Could not enrich ${article.url}: ${error.message}`);
+      }
+    }
+
+    return enriched;
+  }
+
+  /**
+   * Fetch an article page and pull out its body and metadata
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} title, content, excerpt, author, image_url,
+   *   published_at and metadata_strategies (which strategy produced each field)
+   */
+  async fetchArticleDetails(url) {
+    const html = await this.fetchHTML(url);
+    const $ = this.parseHTML(html);
+    const metadata = this.extractMetadata($, url);
+
+    // Fall back to dateModified when a page only publishes that
+    let published_at = null;
+    const dateString = metadata.published_at || metadata.modified_at;
+    if (dateString) {
+      const date = new Date(dateString);
+      published_at = isNaN(date.getTime()) ? null : date;
+    }
+
+    return {
+      title: metadata.title ? metadata.title.substring(0, 500) : null,
+      content: this.extractContent($, url) || null,
+      excerpt: metadata.excerpt ? metadata.excerpt.substring(0, 1000) : null,
+      author: metadata.author ? metadata.author.substring(0, 200) : null,
+      image_url: metadata.image_url || null,
+      published_at,
+      metadata_strategies: metadata.strategies,
+    };
+  }
+
   /**
    * Save article to database
+   * Counts the outcome in this.saveCounts; unchanged articles that are
+   * already stored are skipped as already_exists.
+   * In dry-run mode the article is only recorded in this.preview
    * @param {Object} articleData - Article data
-   * @returns {Promise<Object>} Saved article
+   * @param {Object} matched - Which selector or field produced each value
+   * @returns {Promise<Object|null>} Inserted or updated article, or null
    */
-  async saveArticle(articleData) {
+  async saveArticle(articleData, matched = {}) {
+    const { title, url } = articleData;
+
+    if (this.dryRun) {
+      // Nothing is written, so report stored URLs as known
+      if (await Article.findByUrl(url)) {
+        return this.skipItem('already_exists', { title, url, matched });
+      }
+
+      const item = { ...articleData, matched };
+      this.preview.items.push(item);
+      return item;
+    }
+
     try {
-      const article = await Article.create({
+      const { article, status } = await Article.upsert({
         source_id: this.sourceId,
         content_type: 'news',
         category: 'local', // Default category
         ...articleData,
       });
+      this.saveCounts[status]++;
+
+      if (status === 'duplicate') {
+        return this.skipItem('already_exists', { title, url });
+      }
 
       // Extract and save tags
       if (articleData.tags && articleData.tags.length > 0) {
         await Article.addTags(article.id, articleData.tags);
       }
 
-      logger.info(`Saved article: ${article.title}`);
+      logger.info(
+        `${status === 'inserted' ? 'Saved' : 'Updated'} article: ${article.title}`
+      );
       return article;
     } catch (error) {
       logger.error(`Error saving article: ${error.message}`);
@@ -166,6 +615,124 @@ class BaseScraper {
     }
   }
 
+  /**
+   * Save a calendar event occurrence to database
+   * Counts the outcome in this.saveCounts like saveArticle; unchanged
+   * occurrences are skipped as already_exists.
+   * In dry-run mode the event is only recorded in this.preview
+   * @param {Object} eventData - Event data (see Event.upsert)
+   * @returns {Promise<Object|null>} Inserted or updated event, or null
+   */
+  async saveEvent(eventData) {
+    const { title, url, starts_at } = eventData;
+
+    if (this.dryRun) {
+      const item = { ...eventData };
+      this.preview.items.push(item);
+      return item;
+    }
+
+    try {
+      const { event, status } = await Event.upsert({
+        source_id: this.sourceId,
+        ...eventData,
+      });
+      this.saveCounts[status]++;
+
+      if (status === 'duplicate') {
+        return this.skipItem('already_exists', { title, url, starts_at });
+      }
+
+      logger.info(
+        `${status === 'inserted' ? 'Saved' : 'Updated'} event: ${event.title}`
+      );
+      return event;
+    } catch (error) {
+      logger.error(`Error saving event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a meeting document (agenda or minutes) to database
+   * Counts the outcome in this.saveCounts like saveArticle; unchanged
+   * documents are skipped as already_exists.
+   * In dry-run mode the document is only recorded in this.preview
+   * @param {Object} documentData - Document data (see Document.upsert)
+   * @returns {Promise<Object|null>} Inserted or updated document, or null
+   */
+  async saveDocument(documentData) {
+    const { title, url } = documentData;
+
+    if (this.dryRun) {
+      // The full text of a long agenda would swamp the preview
+      const item = {
+        ...documentData,
+        content: documentData.content.substring(0, 1000),
+      };
+      this.preview.items.push(item);
+      return item;
+    }
+
+    try {
+      const { document, status } = await Document.upsert({
+        source_id: this.sourceId,
+        ...documentData,
+      });
+      this.saveCounts[status]++;
+
+      if (status === 'duplicate') {
+        return this.skipItem('already_exists', { title, url });
+      }
+
+      logger.info(
+        `${status === 'inserted' ? 'Saved' : 'Updated'} document: ${document.title}`
+      );
+      return document;
+    } catch (error) {
+      logger.error(`Error saving document: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a weather alert to database
+   * Counts the outcome in this.saveCounts like saveArticle; unchanged
+   * alerts are skipped as already_exists.
+   * In dry-run mode the alert is only recorded in this.preview
+   * @param {Object} alertData - Alert data (see Alert.upsert)
+   * @returns {Promise<Object|null>} Inserted or updated alert, or null
+   */
+  async saveAlert(alertData) {
+    const { headline, url } = alertData;
+
+    if (this.dryRun) {
+      const item = { ...alertData, title: headline || alertData.event };
+      this.preview.items.push(item);
+      return item;
+    }
+
+    try {
+      const { alert, status } = await Alert.upsert({
+        source_id: this.sourceId,
+        ...alertData,
+      });
+      this.saveCounts[status]++;
+
+      if (status === 'duplicate') {
+        return this.skipItem('already_exists', { title: headline, url });
+      }
+
+      logger.info(
+        `${status === 'inserted' ? 'Saved' : 'Updated'} alert: ${alert.headline || alert.event}`
+      );
+      return alert;
+    } catch (error) {
+      logger.error(`Error saving alert: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Sleep for specified milliseconds
    * @param {number} ms - Milliseconds to sleep
@@ -260,4 +827,17 @@ class BaseScraper {
   }
 }
 
+/**
+ * SHA-256 of a response body (string, Buffer or parsed JSON)
+ * @param {*} data - Axios response data
+ * @returns {string} Hex digest
+ */
+function hashBody(data) {
+  const body =
+    typeof data === 'string' || Buffer.isBuffer(data)
+      ? data
+      : JSON.stringify(data);
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
 module.exports = BaseScraper;
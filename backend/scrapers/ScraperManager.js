@@ -6,14 +6,46 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const db = require('../config/database');
+const { classifyError } = require('../utils/errors');
+const {
+  TIMEZONE,
+  normalizeSchedule,
+  isIntervalDue,
+  isQuietHours,
+  getJitterDelay,
+  describeSchedule,
+} = require('../utils/schedule');
+const { checkBreaker, afterFailure } = require('../utils/circuitBreaker');
 const RSSScraper = require('./news/RSSScraper');
 const CheerioScraper = require('./news/CheerioScraper');
+const PuppeteerScraper = require('./news/PuppeteerScraper');
+const SitemapScraper = require('./news/SitemapScraper');
+const NitterScraper = require('./social/NitterScraper');
+const MastodonScraper = require('./social/MastodonScraper');
+const RedditScraper = require('./social/RedditScraper');
+const YouTubeScraper = require('./media/YouTubeScraper');
+const ICalScraper = require('./events/ICalScraper');
+const EventPageScraper = require('./events/EventPageScraper');
+const AgendaScraper = require('./documents/AgendaScraper');
+const NWSAlertScraper = require('./alerts/NWSAlertScraper');
 
 class ScraperManager {
   constructor() {
     this.scrapers = new Map();
     this.isRunning = false;
-    this.schedules = [];
+    // Sources scraped at the same time during a cycle
+    this.concurrency = parseInt(process.env.SCRAPE_CONCURRENCY) || 3;
+    // Sources being scraped right now (by a cycle or the scheduler)
+    this.activeSources = new Set();
+
+    // Scheduler state: sourceId -> cron task, start time of the last run
+    this.schedulerRunning = false;
+    this.schedules = new Map();
+    this.lastRuns = new Map();
+    // Scheduled runs waiting on jitter or a free slot, and the slot queue
+    this.pendingRuns = new Set();
+    this.dueQueue = [];
+    this.scheduledActive = 0;
   }
 
   /**
@@ -56,6 +88,36 @@ class ScraperManager {
     }
   }
 
+  /**
+   * Rebuild the scraper for one source after its configuration changed
+   * @param {number} sourceId - Source ID
+   * @returns {Promise<BaseScraper|null>} New scraper instance, if any
+   */
+  async reloadSource(sourceId) {
+    const result = await db.query('SELECT * FROM sources WHERE id = $1', [
+      sourceId,
+    ]);
+    const source = result.rows[0];
+
+    this.scrapers.delete(sourceId);
+
+    let scraper = null;
+    if (source && source.enabled) {
+      scraper = this.createScraper(source);
+      if (scraper) {
+        this.scrapers.set(source.id, scraper);
+        logger.info(`Reloaded scraper for: ${source.name}`);
+      }
+    }
+
+    // Follow the source's (possibly changed) schedule
+    if (this.schedulerRunning) {
+      this.scheduleSource(sourceId);
+    }
+
+    return scraper;
+  }
+
   /**
    * Create appropriate scraper based on source type
    * @param {Object} source - Source configuration
@@ -67,6 +129,17 @@ class ScraperManager {
       url: source.url,
       scraper_type: source.scraper_type,
       rss_url: source.rss_url,
+      selectors: source.selectors,
+      pagination: source.pagination,
+      wait_selector: source.wait_selector,
+      sitemap: source.sitemap,
+      mastodon: source.mastodon,
+      reddit: source.reddit,
+      agenda: source.agenda,
+      alerts: source.alerts,
+      schedule: source.schedule,
+      enrich_articles: source.enrich_articles,
+      enrich_budget: source.enrich_budget,
     };
 
     switch (source.scraper_type) {
@@ -77,11 +150,34 @@ class ScraperManager {
         return new CheerioScraper(source.name, config);
 
       case 'puppeteer':
-        // TODO: Implement Puppeteer scraper for JavaScript-heavy sites
-        logger.warn(
-          `Puppeteer scraper not yet implemented for ${source.name}`
-        );
-        return null;
+        return new PuppeteerScraper(source.name, config);
+
+      case 'sitemap':
+        return new SitemapScraper(source.name, config);
+
+      case 'nitter':
+        return new NitterScraper(source.name, config);
+
+      case 'mastodon':
+        return new MastodonScraper(source.name, config);
+
+      case 'reddit':
+        return new RedditScraper(source.name, config);
+
+      case 'youtube':
+        return new YouTubeScraper(source.name, config);
+
+      case 'ical':
+        return new ICalScraper(source.name, config);
+
+      case 'event_page':
+        return new EventPageScraper(source.name, config);
+
+      case 'agenda':
+        return new AgendaScraper(source.name, config);
+
+      case 'nws_alerts':
+        return new NWSAlertScraper(source.name, config);
 
       default:
         logger.warn(
@@ -93,349 +189,570 @@ class ScraperManager {
 
   /**
    * Run all scrapers
+   * @param {Object} options - Scraping options (see runCycle)
    * @returns {Promise<Object>} Scraping results
    */
-  async scrapeAll() {
-    if (this.isRunning) {
-      logger.warn('Scraping already in progress, skipping...');
-      return { success: false, message: 'Scraping already in progress' };
-    }
-
-    this.isRunning = true;
-    const startTime = Date.now();
-    const results = {
-      total: this.scrapers.size,
-      successful: 0,
-      failed: 0,
-      articles: 0,
-      details: [],
-    };
-
-    logger.info('='.repeat(50));
-    logger.info('Starting scraping cycle...');
-    logger.info('='.repeat(50));
-
-    for (const [sourceId, scraper] of this.scrapers.entries()) {
-      const scrapeStart = Date.now();
-      let status = 'error';
-      let articlesFound = 0;
-      let errorMessage = null;
-
-      try {
-        logger.info(`\nScraping: ${scraper.sourceName}`);
+  scrapeAll(options = {}) {
+    return this.runCycle(
+      Array.from(this.scrapers.keys()),
+      options,
+      'Starting scraping cycle...'
+    );
+  }
 
-        // Update last_scraped timestamp
-        await this.updateSourceTimestamp(sourceId, 'last_scraped');
+  /**
+   * Run specific scraper by source ID
+   * Refused while a scheduled or cycle run of the same source is going:
+   * both would share the scraper's per-run state
+   * @param {number} sourceId - Source ID
+   * @returns {Promise<Object>} Scraping result ({ success: false, message }
+   *   when the source is already running)
+   */
+  async scrapeSingle(sourceId) {
+    const scraper = this.scrapers.get(sourceId);
 
-        // Run scraper
-        const articles = await scraper.scrape();
-        articlesFound = articles.length;
+    if (!scraper) {
+      throw new Error(`No scraper found for source ID: ${sourceId}`);
+    }
 
-        if (articles.length > 0) {
-          status = 'success';
-          results.successful++;
-          results.articles += articlesFound;
-          logger.info(
-            `✓ ${scraper.sourceName}: Found ${articlesFound} new articles`
-          );
+    if (this.activeSources.has(sourceId)) {
+      logger.warn(`${scraper.sourceName} is already being scraped, skipping`);
+      return {
+        success: false,
+        source: scraper.sourceName,
+        message: 'Already running',
+      };
+    }
+    this.activeSources.add(sourceId);
+    this.lastRuns.set(sourceId, new Date());
 
-          // Update last successful scrape
-          await this.updateSourceTimestamp(
-            sourceId,
-            'last_successful_scrape'
-          );
-          await this.updateSourceCount(sourceId, articlesFound);
-        } else {
-          status = 'success';
-          results.successful++;
-          logger.info(`✓ ${scraper.sourceName}: No new articles`);
-        }
-      } catch (error) {
-        status = 'error';
-        errorMessage = error.message;
-        results.failed++;
-        logger.error(`✗ ${scraper.sourceName}: ${error.message}`);
-
-        // Update error count
-        await this.updateSourceError(sourceId, error.message);
-      }
+    logger.info(`Running scraper for: ${scraper.sourceName}`);
 
-      const duration = Date.now() - scrapeStart;
+    try {
+      const articles = await scraper.scrape();
+      await scraper.enrichArticles(articles);
+      await this.updateSourceTimestamp(sourceId, 'last_scraped');
+      await this.updateSourceTimestamp(sourceId, 'last_successful_scrape');
+      const counts = scraper.getRunCounts();
+      await this.updateSourceCount(sourceId, counts.new);
+      // A manual test that works closes the breaker
+      await this.resetBreaker(sourceId);
 
-      // Log scrape operation
-      await this.logScrape(
+      return {
+        success: true,
+        source: scraper.sourceName,
+        articles: counts.new,
+        updated: counts.updated,
+        duplicates: counts.duplicate,
+        notModified: scraper.notModified,
+      };
+    } catch (error) {
+      await this.updateSourceError(
         sourceId,
-        status,
-        articlesFound,
-        duration,
-        errorMessage
+        error.message,
+        classifyError(error)
       );
+      throw error;
+    } finally {
+      this.activeSources.delete(sourceId);
+    }
+  }
 
-      results.details.push({
-        source: scraper.sourceName,
-        status,
-        articles: articlesFound,
-        duration,
-        error: errorMessage,
-      });
+  /**
+   * Dry-run a source: run the full extraction without writing anything
+   * Builds a fresh scraper from the database row, so disabled sources and
+   * unsaved selector overrides can be tried out too
+   * @param {number} sourceId - Source ID
+   * @param {Object} overrides - Optional config overrides (selectors, wait_selector)
+   * @returns {Promise<Object>} Parsed items, skipped items and timing
+   */
+  async previewSource(sourceId, overrides = {}) {
+    const result = await db.query('SELECT * FROM sources WHERE id = $1', [
+      sourceId,
+    ]);
+    const source = result.rows[0];
+
+    if (!source) {
+      throw new Error(`Source not found: ${sourceId}`);
     }
 
-    const totalDuration = Date.now() - startTime;
+    const scraper = this.createScraper({ ...source, ...overrides });
+    if (!scraper) {
+      throw new Error(
+        `Unsupported scraper type for preview: ${source.scraper_type}`
+      );
+    }
 
-    logger.info('='.repeat(50));
-    logger.info('Scraping cycle complete!');
-    logger.info(`Total time: ${(totalDuration / 1000).toFixed(2)}s`);
-    logger.info(`Successful: ${results.successful}/${results.total}`);
-    logger.info(`Failed: ${results.failed}/${results.total}`);
-    logger.info(`New articles: ${results.articles}`);
-    logger.info('='.repeat(50));
+    logger.info(`Previewing scraper for: ${scraper.sourceName}`);
 
-    this.isRunning = false;
+    const start = Date.now();
+    scraper.startPreview();
+    const items = await scraper.scrape();
+    await scraper.enrichArticles(items);
 
     return {
-      success: true,
-      duration: totalDuration,
-      ...results,
+      dryRun: true,
+      source: scraper.sourceName,
+      scraper_type: source.scraper_type,
+      selectors: scraper.selectors || null,
+      duration: Date.now() - start,
+      ...scraper.preview,
     };
   }
 
   /**
-   * Run specific scraper by source ID
+   * One-off archive backfill: walk deep into a source's listing pages
+   * Known articles don't stop the walk, so gaps left by outages get filled
    * @param {number} sourceId - Source ID
-   * @returns {Promise<Object>} Scraping result
+   * @param {Object} options - { maxPages } (default 50)
+   * @returns {Promise<Object>} Backfill result
    */
-  async scrapeSingle(sourceId) {
-    const scraper = this.scrapers.get(sourceId);
+  async backfillSource(sourceId, options = {}) {
+    const result = await db.query('SELECT * FROM sources WHERE id = $1', [
+      sourceId,
+    ]);
+    const source = result.rows[0];
+
+    if (!source) {
+      throw new Error(`Source not found: ${sourceId}`);
+    }
 
-    if (!scraper) {
-      throw new Error(`No scraper found for source ID: ${sourceId}`);
+    const scraper = this.createScraper(source);
+    if (!scraper || typeof scraper.startBackfill !== 'function') {
+      throw new Error(
+        `Backfill is not supported for scraper type: ${source.scraper_type}`
+      );
     }
 
-    logger.info(`Running scraper for: ${scraper.sourceName}`);
+    scraper.startBackfill(options.maxPages || 50);
+    logger.info(
+      `Backfilling ${scraper.sourceName} (up to ${scraper.pagination.maxPages} pages)`
+    );
 
-    try {
-      const articles = await scraper.scrape();
-      await this.updateSourceTimestamp(sourceId, 'last_scraped');
-      await this.updateSourceTimestamp(sourceId, 'last_successful_scrape');
-      await this.updateSourceCount(sourceId, articles.length);
+    const start = Date.now();
+    let articles = [];
+    let errorMessage = null;
+    let errorCategory = null;
 
-      return {
-        success: true,
-        source: scraper.sourceName,
-        articles: articles.length,
-      };
+    try {
+      articles = await scraper.scrape();
+      await scraper.enrichArticles(articles);
+      if (articles.length > 0) {
+        await this.updateSourceCount(sourceId, scraper.getRunCounts().new);
+      }
     } catch (error) {
-      await this.updateSourceError(sourceId, error.message);
-      throw error;
+      errorMessage = error.message;
+      errorCategory = classifyError(error);
+      await this.updateSourceError(sourceId, error.message, errorCategory);
     }
+
+    const duration = Date.now() - start;
+    const counts = scraper.getRunCounts();
+    await this.logScrape(
+      sourceId,
+      errorMessage ? 'error' : 'success',
+      counts,
+      duration,
+      errorMessage,
+      errorCategory
+    );
+
+    if (errorMessage) {
+      throw new Error(errorMessage);
+    }
+
+    return {
+      success: true,
+      source: scraper.sourceName,
+      articles: counts.new,
+      updated: counts.updated,
+      duration,
+    };
   }
 
   /**
    * Run scrapers for selected sources only
    * @param {Array<number>} sourceIds - Array of source IDs to scrape
-   * @param {Object} options - Scraping options
+   * @param {Object} options - Scraping options (see runCycle)
+   * @returns {Promise<Object>} Scraping results
+   */
+  scrapeSelected(sourceIds, options = {}) {
+    return this.runCycle(
+      sourceIds,
+      options,
+      `Starting scraping cycle for ${sourceIds.length} sources...`
+    );
+  }
+
+  /**
+   * Run a scraping cycle over several sources with a bounded worker pool
+   * Up to `concurrency` sources run at once; requests to a shared host are
+   * still spaced out by the request scheduler. Once maxArticles is reached or
+   * the timeout fires, no further sources are started.
+   * @param {Array<number>} sourceIds - Source IDs to scrape
+   * @param {Object} options - { timeout, maxArticles, concurrency }
+   * @param {string} banner - Log line for the start of the cycle
    * @returns {Promise<Object>} Scraping results
    */
-  async scrapeSelected(sourceIds, options = {}) {
+  async runCycle(sourceIds, options, banner) {
     if (this.isRunning) {
       logger.warn('Scraping already in progress, skipping...');
       return { success: false, message: 'Scraping already in progress' };
     }
 
     this.isRunning = true;
-    const startTime = Date.now();
-    const { timeout, maxArticles } = options;
-
-    const results = {
-      total: sourceIds.length,
-      successful: 0,
-      failed: 0,
-      articles: 0,
-      details: [],
-    };
-
-    logger.info('='.repeat(50));
-    logger.info(`Starting scraping cycle for ${sourceIds.length} sources...`);
-    logger.info('='.repeat(50));
-
-    // Wrap scraping logic in timeout if specified
-    const scrapePromise = (async () => {
-      for (const sourceId of sourceIds) {
-        const scraper = this.scrapers.get(sourceId);
-
-        if (!scraper) {
-          logger.warn(`No scraper found for source ID: ${sourceId}`);
-          results.failed++;
-          continue;
-        }
-
-        const scrapeStart = Date.now();
-        let status = 'error';
-        let articlesFound = 0;
-        let errorMessage = null;
+    try {
+      const startTime = Date.now();
+      const { timeout, maxArticles } = options;
+      const concurrency = options.concurrency || this.concurrency;
+
+      const results = {
+        total: sourceIds.length,
+        successful: 0,
+        failed: 0,
+        skipped: 0,
+        articles: 0,
+        updated: 0,
+        details: [],
+      };
 
-        try {
-          logger.info(`\nScraping: ${scraper.sourceName}`);
-
-          // Update last_scraped timestamp
-          await this.updateSourceTimestamp(sourceId, 'last_scraped');
-
-          // Run scraper
-          const articles = await scraper.scrape();
-          articlesFound = articles.length;
-
-          if (articles.length > 0) {
-            status = 'success';
-            results.successful++;
-            results.articles += articlesFound;
-            logger.info(
-              `✓ ${scraper.sourceName}: Found ${articlesFound} new articles`
-            );
-
-            // Update last successful scrape
-            await this.updateSourceTimestamp(
-              sourceId,
-              'last_successful_scrape'
-            );
-            await this.updateSourceCount(sourceId, articlesFound);
-          } else {
-            status = 'success';
-            results.successful++;
-            logger.info(`✓ ${scraper.sourceName}: No new articles`);
+      logger.info('='.repeat(50));
+      logger.info(banner);
+      logger.info(`Running up to ${concurrency} sources in parallel`);
+      logger.info('='.repeat(50));
+
+      let stopped = false;
+      const scrapePromise = runPool(
+        sourceIds,
+        concurrency,
+        async (sourceId) => {
+          // One source's failure (even recording it) mustn't end the cycle
+          try {
+            await this.scrapeSource(sourceId, results);
+          } catch (error) {
+            logger.error(`✗ Source ${sourceId}: ${error.message}`);
+            results.failed++;
           }
 
           // Check if we've hit max articles limit
-          if (maxArticles && results.articles >= maxArticles) {
+          if (maxArticles && results.articles >= maxArticles && !stopped) {
             logger.info(`\nReached max articles limit (${maxArticles}), stopping...`);
-            break;
+            stopped = true;
           }
-        } catch (error) {
-          status = 'error';
-          errorMessage = error.message;
-          results.failed++;
-          logger.error(`✗ ${scraper.sourceName}: ${error.message}`);
+        },
+        () => stopped
+      ).then(() => results);
+
+      // Apply timeout if specified
+      let finalResults;
+      if (timeout) {
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Scraping timeout')), timeout);
+        });
 
-          // Update error count
-          await this.updateSourceError(sourceId, error.message);
+        try {
+          finalResults = await Promise.race([scrapePromise, timeoutPromise]);
+        } catch (error) {
+          logger.warn(`Scraping stopped due to timeout (${timeout}ms)`);
+          stopped = true;
+          finalResults = results; // Return partial results
+          finalResults.timedOut = true;
+        } finally {
+          clearTimeout(timer);
         }
+      } else {
+        finalResults = await scrapePromise;
+      }
 
-        const duration = Date.now() - scrapeStart;
+      const totalDuration = Date.now() - startTime;
 
-        // Log scrape operation
-        await this.logScrape(
-          sourceId,
-          status,
-          articlesFound,
-          duration,
-          errorMessage
-        );
+      logger.info('='.repeat(50));
+      logger.info('Scraping cycle complete!');
+      logger.info(`Total time: ${(totalDuration / 1000).toFixed(2)}s`);
+      logger.info(`Successful: ${finalResults.successful}/${finalResults.total}`);
+      logger.info(`Failed: ${finalResults.failed}/${finalResults.total}`);
+      logger.info(`Paused (circuit open): ${finalResults.skipped}`);
+      logger.info(`New articles: ${finalResults.articles}`);
+      logger.info(`Updated articles: ${finalResults.updated}`);
+      logger.info('='.repeat(50));
+
+      return {
+        success: true,
+        duration: totalDuration,
+        ...finalResults,
+      };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Scrape one source as part of a cycle and record the outcome
+   * @param {number} sourceId - Source ID
+   * @param {Object} results - Cycle results to add to
+   */
+  async scrapeSource(sourceId, results) {
+    const scraper = this.scrapers.get(sourceId);
 
+    if (!scraper) {
+      logger.warn(`No scraper found for source ID: ${sourceId}`);
+      results.failed++;
+      return;
+    }
+
+    // A scheduled run and a manual cycle may both reach the same source
+    if (this.activeSources.has(sourceId)) {
+      logger.warn(`${scraper.sourceName} is already being scraped, skipping`);
+      return;
+    }
+    this.activeSources.add(sourceId);
+    this.lastRuns.set(sourceId, new Date());
+
+    try {
+      // Persistently failing sources are paused until their cool-down ends
+      const breaker = await this.getBreaker(sourceId);
+      const { allowed, trial } = checkBreaker(breaker);
+
+      if (!allowed) {
+        const until = new Date(breaker.breaker_until);
+        logger.info(
+          `⏸ ${scraper.sourceName}: Paused after ${breaker.consecutive_failures} failures until ${until.toISOString()}`
+        );
+        results.skipped++;
         results.details.push({
           source: scraper.sourceName,
-          status,
-          articles: articlesFound,
-          duration,
-          error: errorMessage,
+          status: 'skipped',
+          articles: 0,
+          duration: 0,
+          error: `Paused after ${breaker.consecutive_failures} consecutive failures until ${until.toISOString()}`,
+          errorCategory: null,
         });
+        return;
       }
 
-      return results;
-    })();
-
-    // Apply timeout if specified
-    let finalResults;
-    if (timeout) {
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Scraping timeout')), timeout)
-      );
-
-      try {
-        finalResults = await Promise.race([scrapePromise, timeoutPromise]);
-      } catch (error) {
-        logger.warn(`Scraping stopped due to timeout (${timeout}ms)`);
-        finalResults = results; // Return partial results
-        finalResults.timedOut = true;
+      if (trial) {
+        logger.info(`${scraper.sourceName}: Trial run after cool-down`);
+        await this.setBreakerState(sourceId, 'half_open');
       }
-    } else {
-      finalResults = await scrapePromise;
+
+      await this.runSource(sourceId, scraper, results);
+    } finally {
+      this.activeSources.delete(sourceId);
     }
+  }
+
+  /**
+   * Scrape one source and record the outcome (see scrapeSource)
+   * @param {number} sourceId - Source ID
+   * @param {BaseScraper} scraper - Scraper for the source
+   * @param {Object} results - Cycle results to add to
+   */
+  async runSource(sourceId, scraper, results) {
+    const scrapeStart = Date.now();
+    let status = 'error';
+    let errorMessage = null;
+    let errorCategory = null;
 
-    const totalDuration = Date.now() - startTime;
+    try {
+      logger.info(`\nScraping: ${scraper.sourceName}`);
 
-    logger.info('='.repeat(50));
-    logger.info('Scraping cycle complete!');
-    logger.info(`Total time: ${(totalDuration / 1000).toFixed(2)}s`);
-    logger.info(`Successful: ${finalResults.successful}/${finalResults.total}`);
-    logger.info(`Failed: ${finalResults.failed}/${finalResults.total}`);
-    logger.info(`New articles: ${finalResults.articles}`);
-    logger.info('='.repeat(50));
+      // Update last_scraped timestamp
+      await this.updateSourceTimestamp(sourceId, 'last_scraped');
 
-    this.isRunning = false;
+      // Run scraper, then fill in article pages for new items
+      const articles = await scraper.scrape();
+      await scraper.enrichArticles(articles);
+      const counts = scraper.getRunCounts();
+
+      if (articles.length > 0) {
+        status = 'success';
+        results.successful++;
+        logger.info(
+          `✓ ${scraper.sourceName}: ${counts.new} new, ${counts.updated} updated articles`
+        );
 
-    return {
-      success: true,
-      duration: totalDuration,
-      ...finalResults,
-    };
+        // Update last successful scrape
+        await this.updateSourceTimestamp(
+          sourceId,
+          'last_successful_scrape'
+        );
+        await this.updateSourceCount(sourceId, counts.new);
+      } else if (scraper.notModified) {
+        status = 'not_modified';
+        results.successful++;
+        logger.info(`✓ ${scraper.sourceName}: Not modified`);
+      } else {
+        status = 'success';
+        results.successful++;
+        logger.info(`✓ ${scraper.sourceName}: No new articles`);
+      }
+
+      await this.resetBreaker(sourceId);
+    } catch (error) {
+      status = 'error';
+      errorMessage = error.message;
+      errorCategory = classifyError(error);
+      results.failed++;
+      logger.error(`✗ ${scraper.sourceName}: ${error.message}`);
+
+      // Update error count
+      await this.updateSourceError(sourceId, error.message, errorCategory);
+    }
+
+    const duration = Date.now() - scrapeStart;
+    // Articles saved before a failure still count
+    const counts = scraper.getRunCounts();
+    results.articles += counts.new;
+    results.updated += counts.updated;
+
+    // Log scrape operation
+    await this.logScrape(
+      sourceId,
+      status,
+      counts,
+      duration,
+      errorMessage,
+      errorCategory
+    );
+
+    results.details.push({
+      source: scraper.sourceName,
+      status,
+      found: counts.found,
+      articles: counts.new,
+      updated: counts.updated,
+      duplicates: counts.duplicate,
+      duration,
+      error: errorMessage,
+      errorCategory,
+    });
   }
 
   /**
-   * Schedule automated scraping
+   * Start scheduled scraping
+   * Every source gets its own timer: a cron task for sources with a cron
+   * expression, otherwise a once-a-minute check against its interval.
+   * Due sources wait a random jitter and then share `concurrency` slots.
    */
-  startScheduler() {
-    logger.info('Starting scraping scheduler...');
-
-    // Scrape every 30 minutes during business hours (6am-10pm)
-    const businessHours = cron.schedule(
-      '*/30 6-22 * * *',
-      async () => {
-        logger.info('Scheduled scrape (business hours) triggered');
-        await this.scrapeAll();
-      },
-      {
-        scheduled: false,
-        timezone: 'America/Chicago', // Alabama time zone
-      }
-    );
-
-    // Scrape every 2 hours overnight (10pm-6am)
-    const nightHours = cron.schedule(
-      '0 */2 22-5 * * *',
-      async () => {
-        logger.info('Scheduled scrape (night hours) triggered');
-        await this.scrapeAll();
-      },
-      {
-        scheduled: false,
-        timezone: 'America/Chicago',
-      }
-    );
+  async startScheduler() {
+    if (this.schedulerRunning) {
+      logger.warn('Scheduler already running');
+      return;
+    }
 
-    // Start schedules
-    businessHours.start();
-    nightHours.start();
+    logger.info(`Starting scraping scheduler (${TIMEZONE})...`);
 
-    this.schedules.push(businessHours, nightHours);
+    // Carry interval progress over from before the restart
+    const result = await db.query(
+      'SELECT id, last_scraped FROM sources WHERE enabled = true'
+    );
+    result.rows
+      .filter((row) => row.last_scraped)
+      .forEach((row) => this.lastRuns.set(row.id, row.last_scraped));
 
-    logger.info('Scheduler started successfully');
-    logger.info('- Business hours (6am-10pm): Every 30 minutes');
-    logger.info('- Night hours (10pm-6am): Every 2 hours');
+    this.schedulerRunning = true;
+    for (const sourceId of this.scrapers.keys()) {
+      this.scheduleSource(sourceId);
+    }
 
-    // Run initial scrape
-    logger.info('Running initial scrape...');
-    this.scrapeAll();
+    logger.info(`Scheduler started for ${this.schedules.size} sources`);
   }
 
   /**
-   * Stop scheduler
+   * Stop scheduled scraping; runs already in progress finish normally
    */
   stopScheduler() {
     logger.info('Stopping scraping scheduler...');
-    this.schedules.forEach((schedule) => schedule.stop());
-    this.schedules = [];
+    this.schedulerRunning = false;
+    this.schedules.forEach((task) => task.stop());
+    this.schedules.clear();
+    this.dueQueue = [];
     logger.info('Scheduler stopped');
   }
 
+  /**
+   * (Re)create the timer for one source, or drop it if the source is gone
+   * @param {number} sourceId - Source ID
+   */
+  scheduleSource(sourceId) {
+    const existing = this.schedules.get(sourceId);
+    if (existing) {
+      existing.stop();
+      this.schedules.delete(sourceId);
+    }
+
+    const scraper = this.scrapers.get(sourceId);
+    if (!this.schedulerRunning || !scraper) {
+      return;
+    }
+
+    const schedule = normalizeSchedule(scraper.schedule);
+    const task = cron.schedule(
+      schedule.cron || '* * * * *',
+      () => this.onScheduleTick(sourceId, schedule),
+      { timezone: TIMEZONE }
+    );
+
+    this.schedules.set(sourceId, task);
+    logger.info(`- ${scraper.sourceName}: ${describeSchedule(schedule)}`);
+  }
+
+  /**
+   * Queue a source if it is due and outside its quiet hours
+   * @param {number} sourceId - Source ID
+   * @param {Object} schedule - Normalized schedule
+   */
+  onScheduleTick(sourceId, schedule) {
+    if (this.pendingRuns.has(sourceId) || this.activeSources.has(sourceId)) {
+      return;
+    }
+    if (!schedule.cron && !isIntervalDue(schedule, this.lastRuns.get(sourceId))) {
+      return;
+    }
+    if (isQuietHours(schedule.quietHours)) {
+      return;
+    }
+
+    this.pendingRuns.add(sourceId);
+    setTimeout(() => {
+      if (!this.schedulerRunning) {
+        this.pendingRuns.delete(sourceId);
+        return;
+      }
+      this.dueQueue.push(sourceId);
+      this.runDueSources();
+    }, getJitterDelay(schedule));
+  }
+
+  /**
+   * Start queued scheduled runs while slots are free
+   */
+  runDueSources() {
+    while (this.dueQueue.length > 0 && this.scheduledActive < this.concurrency) {
+      const sourceId = this.dueQueue.shift();
+      const results = {
+        successful: 0,
+        failed: 0,
+        skipped: 0,
+        articles: 0,
+        updated: 0,
+        details: [],
+      };
+
+      this.scheduledActive++;
+      this.scrapeSource(sourceId, results)
+        .catch((error) => {
+          logger.error(`Scheduled scrape of source ${sourceId} failed:`, error);
+        })
+        .finally(() => {
+          this.scheduledActive--;
+          this.pendingRuns.delete(sourceId);
+          this.runDueSources();
+        });
+    }
+  }
+
   /**
    * Update source timestamp
    */
@@ -459,24 +776,128 @@ class ScraperManager {
   /**
    * Update source error
    */
-  async updateSourceError(sourceId, errorMessage) {
+  async updateSourceError(sourceId, errorMessage, errorCategory = null) {
+    const result = await db.query(
+      `UPDATE sources
+       SET error_count = error_count + 1,
+           consecutive_failures = consecutive_failures + 1,
+           last_error = $1, last_error_category = $2
+       WHERE id = $3
+       RETURNING name, consecutive_failures, breaker_state, breaker_trips`,
+      [errorMessage, errorCategory, sourceId]
+    );
+    const source = result.rows[0];
+    if (!source) return;
+
+    const breaker = afterFailure(source);
     await db.query(
-      'UPDATE sources SET error_count = error_count + 1, last_error = $1 WHERE id = $2',
-      [errorMessage, sourceId]
+      `UPDATE sources
+       SET breaker_state = $1, breaker_trips = $2, breaker_until = $3
+       WHERE id = $4`,
+      [breaker.breaker_state, breaker.breaker_trips, breaker.breaker_until, sourceId]
+    );
+
+    if (breaker.breaker_state === 'tripped') {
+      logger.warn(
+        `Circuit breaker tripped for ${source.name} after ${source.consecutive_failures} failures, paused until ${breaker.breaker_until.toISOString()}`
+      );
+    }
+  }
+
+  /**
+   * Get circuit breaker state for a source
+   * @param {number} sourceId - Source ID
+   * @returns {Promise<Object|null>} breaker_state, breaker_until,
+   *   consecutive_failures, breaker_trips
+   */
+  async getBreaker(sourceId) {
+    const result = await db.query(
+      `SELECT breaker_state, breaker_until, consecutive_failures, breaker_trips
+       FROM sources WHERE id = $1`,
+      [sourceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Set circuit breaker state for a source
+   * @param {number} sourceId - Source ID
+   * @param {string} state - healthy, degraded, tripped or half_open
+   */
+  async setBreakerState(sourceId, state) {
+    await db.query('UPDATE sources SET breaker_state = $1 WHERE id = $2', [
+      state,
+      sourceId,
+    ]);
+  }
+
+  /**
+   * Close the circuit breaker after a successful run
+   * @param {number} sourceId - Source ID
+   */
+  async resetBreaker(sourceId) {
+    await db.query(
+      `UPDATE sources
+       SET consecutive_failures = 0, breaker_state = 'healthy',
+           breaker_trips = 0, breaker_until = NULL
+       WHERE id = $1`,
+      [sourceId]
     );
   }
 
   /**
    * Log scrape operation
+   * `counts` is the scraper's getRunCounts(): { found, new, updated }
    */
-  async logScrape(sourceId, status, articlesFound, duration, errorMessage) {
+  async logScrape(
+    sourceId,
+    status,
+    counts,
+    duration,
+    errorMessage,
+    errorCategory = null
+  ) {
     await db.query(
       `INSERT INTO scrape_logs
-       (source_id, status, articles_found, articles_new, duration_ms, error_message, completed_at)
-       VALUES ($1, $2, $3, $3, $4, $5, NOW())`,
-      [sourceId, status, articlesFound, duration, errorMessage]
+       (source_id, status, articles_found, articles_new, articles_updated, duration_ms, error_message, error_category, completed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+      [
+        sourceId,
+        status,
+        counts.found,
+        counts.new,
+        counts.updated,
+        duration,
+        errorMessage,
+        errorCategory,
+      ]
     );
   }
+
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight
+ * @param {Array} items - Work items, started in order
+ * @param {number} concurrency - Maximum workers running at once
+ * @param {Function} worker - async (item) => void
+ * @param {Function} shouldStop - Checked before starting each item
+ * @returns {Promise<void>} Resolves when every started item has finished
+ */
+async function runPool(items, concurrency, worker, shouldStop) {
+  const queue = [...items];
+
+  const runNext = async () => {
+    while (queue.length > 0 && !shouldStop()) {
+      await worker(queue.shift());
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(concurrency, queue.length) },
+    runNext
+  );
+  await Promise.all(workers);
 }
 
 // Export singleton instance
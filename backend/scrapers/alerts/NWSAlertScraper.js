@@ -0,0 +1,237 @@
+/**
+ * NWS Alert Scraper
+ * Reads the National Weather Service active alerts Atom feed (CAP fields
+ * in the cap: namespace) for a set of forecast zones and counties.
+ * Alerts that leave the feed (cancelled or replaced) are expired; an empty
+ * feed just means quiet weather.
+ * Used for: watches, warnings and advisories for Baldwin County
+ */
+
+const cheerio = require('cheerio');
+const BaseScraper = require('../BaseScraper');
+const Alert = require('../../models/Alert');
+const logger = require('../../utils/logger');
+const { ParseError } = require('../../utils/errors');
+
+class NWSAlertScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // The source URL is the NWS API, e.g. https://api.weather.gov
+    const alerts = sourceConfig.alerts || {};
+    this.zones = alerts.zones || NWSAlertScraper.DEFAULT_ZONES;
+    // Alerts have no article pages to enrich
+    this.enrich = false;
+  }
+
+  /**
+   * Validate a per-source alerts configuration
+   * @param {Object} alerts - { zones }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateAlerts(alerts) {
+    if (typeof alerts !== 'object' || alerts === null || Array.isArray(alerts)) {
+      return ['alerts must be an object'];
+    }
+
+    const errors = [];
+    const allowed = ['zones'];
+
+    Object.keys(alerts)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`Unknown alerts field: ${key}`));
+
+    const { zones } = alerts;
+    if (
+      !Array.isArray(zones) ||
+      zones.length === 0 ||
+      zones.length > NWSAlertScraper.MAX_ZONES ||
+      zones.some((zone) => !NWSAlertScraper.ZONE_PATTERN.test(zone))
+    ) {
+      errors.push(
+        `zones must be a list of 1 to ${NWSAlertScraper.MAX_ZONES} zone or county codes (e.g. ALZ266, ALC003)`
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Scrape the active alerts feed
+   * @returns {Promise<Array>} Array of saved alerts
+   */
+  async scrape() {
+    logger.info(`Scraping NWS alerts: ${this.sourceName}`);
+    const alerts = [];
+    this.startRun();
+
+    try {
+      const feedUrl = this.getFeedUrl();
+      const xml = await this.fetchConditional(feedUrl, {
+        headers: { Accept: 'application/atom+xml' },
+        responseType: 'text',
+      });
+      if (xml === null) {
+        return alerts;
+      }
+
+      const $ = cheerio.load(xml, { xmlMode: true });
+      if ($('feed').length === 0) {
+        throw new ParseError(`Not an Atom feed: ${feedUrl}`, feedUrl);
+      }
+
+      const entries = $('feed > entry').toArray();
+      logger.info(`Found ${entries.length} alerts for ${this.sourceName}`);
+      this.countCandidates(entries.length);
+
+      const seen = [];
+      for (const entry of entries) {
+        const alertId = $(entry).children('id').text().trim();
+        try {
+          const alert = await this.processEntry($, $(entry));
+          if (alertId) seen.push(alertId);
+          if (alert) {
+            alerts.push(alert);
+          }
+        } catch (error) {
+          logger.error(`Error processing alert ${alertId}:`, error.message);
+          this.skipItem('error', { url: alertId, message: error.message });
+        }
+      }
+
+      // No checkItemsFound: most of the time there are no alerts at all
+
+      // Only expire when every alert was saved; a failed one would look
+      // like it had left the feed
+      if (!this.dryRun && !this.skipCounts.error) {
+        const expired = await Alert.expireMissing(this.sourceId, seen);
+        if (expired > 0) {
+          logger.info(`Expired ${expired} alerts no longer issued for ${this.sourceName}`);
+        }
+      }
+
+      await this.commitHttpCache();
+
+      logger.info(
+        `Successfully processed ${alerts.length} alerts from ${this.sourceName}`
+      );
+      return alerts;
+    } catch (error) {
+      logger.error(`Error scraping NWS alerts ${this.sourceName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active alerts feed for the configured zones
+   * @returns {string} Feed URL
+   */
+  getFeedUrl() {
+    const url = new URL('/alerts/active.atom', this.sourceUrl);
+    // Zone codes are validated; keep the commas readable in logs
+    url.search = `zone=${this.zones.join(',')}`;
+    return url.href;
+  }
+
+  /**
+   * Turn an Atom entry into an alert
+   * @param {CheerioStatic} $ - Cheerio instance (XML mode)
+   * @param {Cheerio} $entry - <entry> element
+   * @returns {Promise<Object|null>} Saved alert or null
+   */
+  async processEntry($, $entry) {
+    const text = (selector) => $entry.children(selector).first().text().trim();
+
+    const alertId = text('id');
+    const event = text('cap\\:event');
+    const headline = text('title') || null;
+    const url = $entry.children('link').attr('href') || alertId;
+
+    if (!alertId || !event) {
+      return this.skipItem('no_event', { title: headline, url });
+    }
+
+    // Tests and exercises go out on the same feed
+    if (text('cap\\:status') !== 'Actual') {
+      return this.skipItem('not_actual', { title: headline, url });
+    }
+
+    // A cancellation replaces the alert it cancels, which then drops out
+    // of the feed and is expired
+    const msgType = text('cap\\:msgType');
+    if (msgType === 'Cancel') {
+      return this.skipItem('cancelled', { title: headline, url });
+    }
+
+    const expiresAt = parseDate(text('cap\\:expires'));
+    if (expiresAt && expiresAt <= new Date()) {
+      return this.skipItem('expired', { title: headline, url });
+    }
+
+    const alertData = {
+      alert_id: alertId.substring(0, 500),
+      event: event.substring(0, 200),
+      headline: headline ? headline.substring(0, 1000) : null,
+      description: text('summary') || null,
+      severity: text('cap\\:severity') || null,
+      urgency: text('cap\\:urgency') || null,
+      certainty: text('cap\\:certainty') || null,
+      msg_type: msgType || null,
+      areas: text('cap\\:areaDesc') || null,
+      zones: readGeocodes($, $entry, 'UGC'),
+      url,
+      sent_at: parseDate(text('cap\\:sent')),
+      effective_at: parseDate(text('cap\\:effective')),
+      onset_at: parseDate(text('cap\\:onset')),
+      expires_at: expiresAt,
+    };
+
+    return await this.saveAlert(alertData);
+  }
+}
+
+/**
+ * Read the values of one kind of CAP geocode
+ * <cap:geocode> holds alternating <valueName> and <value> elements
+ * @param {CheerioStatic} $ - Cheerio instance (XML mode)
+ * @param {Cheerio} $entry - <entry> element
+ * @param {string} name - valueName, e.g. 'UGC' or 'SAME'
+ * @returns {Array<string>} Values
+ */
+function readGeocodes($, $entry, name) {
+  const values = [];
+  let current = null;
+
+  $entry
+    .find('cap\\:geocode')
+    .children()
+    .each((i, el) => {
+      const value = $(el).text().trim();
+      if (el.name === 'valueName') {
+        current = value;
+      } else if (el.name === 'value' && current === name && value) {
+        values.push(...value.split(/\s+/));
+      }
+    });
+
+  return [...new Set(values)];
+}
+
+/**
+ * Parse a CAP date-time
+ * @param {string} value - ISO 8601 with offset, e.g. 2026-10-18T03:12:00-05:00
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Baldwin Inland, Central and Coastal forecast zones, and the county
+NWSAlertScraper.DEFAULT_ZONES = ['ALZ262', 'ALZ264', 'ALZ266', 'ALC003'];
+NWSAlertScraper.ZONE_PATTERN = /^[A-Z]{2}[CZ]\d{3}$/;
+
+// Upper bound for per-source alert settings
+NWSAlertScraper.MAX_ZONES = 20;
+
+module.exports = NWSAlertScraper;
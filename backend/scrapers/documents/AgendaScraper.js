@@ -0,0 +1,426 @@
+/**
+ * Agenda Scraper
+ * Reads a municipal agenda page (CivicPlus AgendaCenter or any page that
+ * links PDFs), downloads new agenda and minutes PDFs and stores their text
+ * (see utils/pdfText.js) with the meeting date and governing body, so
+ * readers can search the agenda items themselves.
+ * Used for: city council, planning commission and county commission agendas
+ */
+
+const BaseScraper = require('../BaseScraper');
+const Document = require('../../models/Document');
+const logger = require('../../utils/logger');
+const { ParseError } = require('../../utils/errors');
+const { extractPdfText } = require('../../utils/pdfText');
+
+// PDF files, CivicPlus AgendaCenter files and DocumentCenter downloads
+const DEFAULT_LINK_PATTERN =
+  /\.pdf(?:$|[?#])|\/AgendaCenter\/ViewFile\/|\/DocumentCenter\/View\//i;
+
+// Governing bodies, most specific first; the first match names the body
+const BODY_PATTERNS = [
+  [/planning\s+(?:and|&)\s+zoning\s+commission/i, 'Planning and Zoning Commission'],
+  [/planning\s+commission/i, 'Planning Commission'],
+  [/board\s+of\s+zoning\s+adjustments?/i, 'Board of Zoning Adjustment'],
+  [/board\s+of\s+adjustments?/i, 'Board of Adjustment'],
+  [/county\s+commission/i, 'County Commission'],
+  [/board\s+of\s+education|school\s+board/i, 'Board of Education'],
+  [/historic(?:al)?\s+(?:preservation|district)\s+commission/i, 'Historic Preservation Commission'],
+  [/design\s+review\s+(?:board|committee)/i, 'Design Review Board'],
+  [/parks?\s+(?:and|&)\s+rec(?:reation)?\s+(?:board|committee)/i, 'Parks and Recreation Board'],
+  [/utilit(?:y|ies)\s+board/i, 'Utilities Board'],
+  [/library\s+board/i, 'Library Board'],
+  [/industrial\s+development\s+board/i, 'Industrial Development Board'],
+  [/airport\s+authority/i, 'Airport Authority'],
+  [/city\s+council|town\s+council/i, 'City Council'],
+];
+
+// Land-use items file under development; everything else is politics
+const DEVELOPMENT_PATTERN =
+  /\b(?:zoning|rezon\w*|subdivision|variance|site\s+plan|annex\w*|plat|planned\s+unit\s+development|PUD|land\s+use|conditional\s+use|building\s+permit|development)\b/i;
+
+const MONTHS = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+  'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
+];
+
+class AgendaScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    const agenda = sourceConfig.agenda || {};
+    this.agenda = {
+      municipality: agenda.municipality || null,
+      body: agenda.body || 'City Council',
+      linkPattern: agenda.linkPattern
+        ? new RegExp(agenda.linkPattern, 'i')
+        : DEFAULT_LINK_PATTERN,
+      maxDocuments: agenda.maxDocuments || 10,
+    };
+    // Documents have no article pages to enrich
+    this.enrich = false;
+    // PDFs left over by maxDocuments are picked up on later runs, so the
+    // agenda page is read even when it hasn't changed
+    this.useHttpCache = false;
+  }
+
+  /**
+   * Validate a per-source agenda configuration
+   * @param {Object} agenda - { municipality, body, linkPattern, maxDocuments }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateAgenda(agenda) {
+    if (typeof agenda !== 'object' || agenda === null || Array.isArray(agenda)) {
+      return ['agenda must be an object'];
+    }
+
+    const errors = [];
+    const allowed = ['municipality', 'body', 'linkPattern', 'maxDocuments'];
+
+    Object.keys(agenda)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`Unknown agenda field: ${key}`));
+
+    const { municipality, body, linkPattern, maxDocuments } = agenda;
+
+    for (const [field, value] of Object.entries({ municipality, body })) {
+      if (
+        value !== undefined &&
+        value !== null &&
+        (typeof value !== 'string' || !value.trim() || value.length > 100)
+      ) {
+        errors.push(`${field} must be a non-empty string of at most 100 characters`);
+      }
+    }
+
+    if (linkPattern !== undefined && linkPattern !== null) {
+      try {
+        if (typeof linkPattern !== 'string') throw new Error();
+        new RegExp(linkPattern);
+      } catch {
+        errors.push('linkPattern must be a valid regular expression');
+      }
+    }
+
+    if (
+      maxDocuments !== undefined &&
+      (!Number.isInteger(maxDocuments) ||
+        maxDocuments < 1 ||
+        maxDocuments > AgendaScraper.MAX_DOCUMENTS)
+    ) {
+      errors.push(
+        `maxDocuments must be an integer between 1 and ${AgendaScraper.MAX_DOCUMENTS}`
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Scrape the agenda page
+   * @returns {Promise<Array>} Array of saved documents
+   */
+  async scrape() {
+    logger.info(`Scraping agenda page: ${this.sourceName}`);
+    const documents = [];
+    this.startRun();
+
+    try {
+      const html = await this.fetchHTML(this.sourceUrl);
+      const $ = this.parseHTML(html);
+      const links = this.collectLinks($);
+      logger.info(`Found ${links.length} documents on ${this.sourceName}`);
+      this.countCandidates(links.length);
+
+      let downloads = 0;
+      for (const link of links) {
+        try {
+          if (await Document.findByUrl(link.url)) {
+            this.skipItem('already_exists', { title: link.text, url: link.url });
+            continue;
+          }
+
+          if (downloads >= this.agenda.maxDocuments) {
+            logger.info(
+              `Reached ${this.agenda.maxDocuments} documents for ${this.sourceName}; the rest wait for the next run`
+            );
+            break;
+          }
+          downloads++;
+
+          const document = await this.processLink(link);
+          if (document) {
+            documents.push(document);
+          }
+        } catch (error) {
+          logger.error(`Error processing document ${link.url}:`, error.message);
+          this.skipItem('error', { url: link.url, message: error.message });
+        }
+      }
+
+      this.checkItemsFound(this.sourceUrl);
+
+      logger.info(
+        `Successfully processed ${documents.length} documents from ${this.sourceName}`
+      );
+      return documents;
+    } catch (error) {
+      logger.error(`Error scraping agenda page ${this.sourceName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the document links on the agenda page, in page order
+   * @param {CheerioStatic} $ - Cheerio instance
+   * @returns {Array<Object>} { url, text, context, heading }
+   */
+  collectLinks($) {
+    const links = new Map();
+
+    $('a[href]').each((i, el) => {
+      const href = $(el).attr('href');
+      const url = this.getAbsoluteUrl(href, this.sourceUrl).replace(/#.*$/, '');
+
+      // AgendaCenter offers an HTML rendering of each agenda too
+      if (!this.agenda.linkPattern.test(url) || /[?&]html=true\b/i.test(url)) {
+        return;
+      }
+      if (links.has(url) || !/^https?:/i.test(url)) {
+        return;
+      }
+
+      const row = $(el).closest('tr, li, .catAgendaRow, p');
+      links.set(url, {
+        url,
+        text: this.cleanText($(el)) || $(el).attr('title') || '',
+        context: row.length ? this.cleanText(row).substring(0, 500) : '',
+        heading: findHeading($, el),
+      });
+    });
+
+    return [...links.values()];
+  }
+
+  /**
+   * Download one PDF and save its text
+   * @param {Object} link - Link from collectLinks
+   * @returns {Promise<Object|null>} Saved document or null
+   */
+  async processLink(link) {
+    let pdf;
+    try {
+      pdf = await this.fetchHTML(link.url, {
+        headers: { Accept: 'application/pdf,*/*;q=0.8' },
+        responseType: 'arraybuffer',
+        maxContentLength: AgendaScraper.MAX_PDF_BYTES,
+      });
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        return this.skipItem('too_large', { url: link.url });
+      }
+      throw error;
+    }
+
+    let extracted;
+    try {
+      extracted = extractPdfText(Buffer.from(pdf));
+    } catch (error) {
+      if (error instanceof ParseError) {
+        return this.skipItem('unreadable', { url: link.url, message: error.message });
+      }
+      throw error;
+    }
+
+    // Scanned agendas are images; there's nothing to search
+    const content = extracted.text.trim();
+    if (!content) {
+      return this.skipItem('no_text', { url: link.url });
+    }
+
+    // The letterhead names the body and the meeting date
+    const head = content.substring(0, 1000);
+    const meetingDate =
+      parseMeetingDate(link.text) ||
+      parseMeetingDate(decodeUrl(link.url)) ||
+      parseMeetingDate(link.context) ||
+      parseMeetingDate(head);
+
+    const body = this.readGoverningBody([
+      link.text,
+      link.context,
+      link.heading,
+      head,
+    ]);
+    // AgendaCenter rows link both files, so the row text can't decide this
+    const isMinutes =
+      /minutes/i.test(`${link.text} ${decodeUrl(link.url)}`) ||
+      /\bminutes\b/i.test(head.substring(0, 300));
+    const documentType = isMinutes ? 'minutes' : 'agenda';
+
+    const documentData = {
+      url: link.url,
+      title: [
+        `${body} ${documentType === 'minutes' ? 'Minutes' : 'Agenda'}`,
+        meetingDate ? formatMeetingDate(meetingDate) : null,
+      ]
+        .filter(Boolean)
+        .join(' – ')
+        .substring(0, 500),
+      governing_body: body.substring(0, 200),
+      document_type: documentType,
+      meeting_date: meetingDate,
+      content,
+      page_count: extracted.pages.length,
+      category: DEVELOPMENT_PATTERN.test(content) ? 'development' : 'politics',
+    };
+
+    return await this.saveDocument(documentData);
+  }
+
+  /**
+   * Name the governing body from the first text that mentions one,
+   * prefixed with the source's municipality
+   * @param {Array<string>} texts - Link text, table row, section heading,
+   *   start of the document
+   * @returns {string} e.g. 'Orange Beach City Council'
+   */
+  readGoverningBody(texts) {
+    let body = this.agenda.body;
+
+    for (const text of texts) {
+      const match = BODY_PATTERNS.find(([pattern]) => pattern.test(text || ''));
+      if (match) {
+        body = match[1];
+        break;
+      }
+    }
+
+    const { municipality } = this.agenda;
+    return municipality && !body.toLowerCase().includes(municipality.toLowerCase())
+      ? `${municipality} ${body}`
+      : body;
+  }
+}
+
+/**
+ * Text of the nearest heading above an element (the AgendaCenter category
+ * name, or the section a plain page lists the link under)
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {CheerioElement} el - Link element
+ * @returns {string}
+ */
+function findHeading($, el) {
+  let node = $(el);
+
+  for (let depth = 0; depth < 6 && node.length; depth++) {
+    const heading = node.prevAll('h1, h2, h3, h4, h5').first();
+    if (heading.length) {
+      return heading.text().trim().replace(/\s+/g, ' ');
+    }
+    node = node.parent();
+  }
+
+  return '';
+}
+
+/**
+ * A URL's path and query, decoded, with separators as spaces
+ * @param {string} url - Document URL
+ * @returns {string}
+ */
+function decodeUrl(url) {
+  let text = url;
+  try {
+    text = decodeURIComponent(url);
+  } catch {
+    // Keep the raw URL
+  }
+  return text.replace(/[_+]/g, ' ');
+}
+
+/**
+ * Find the first meeting date in a piece of text
+ * Understands "March 9, 2026", "Mar 9 2026", "2026-03-09", "3/9/2026",
+ * "03-09-26" and AgendaCenter file names ("_03092026-1234")
+ * @param {string} text - Link text, file name, table row or document text
+ * @returns {string|null} 'YYYY-MM-DD' or null
+ */
+function parseMeetingDate(text) {
+  if (!text) return null;
+
+  const candidates = [];
+
+  const named = text.match(
+    /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?[\s-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s-]+(\d{4})\b/i
+  );
+  if (named) {
+    candidates.push({
+      index: named.index,
+      date: [named[3], MONTHS.indexOf(named[1].toLowerCase()) + 1, named[2]],
+    });
+  }
+
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) {
+    candidates.push({ index: iso.index, date: [iso[1], iso[2], iso[3]] });
+  }
+
+  const numeric = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/);
+  if (numeric) {
+    const year = numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3];
+    candidates.push({ index: numeric.index, date: [year, numeric[1], numeric[2]] });
+  }
+
+  const compact = text.match(/\s(\d{2})(\d{2})(\d{4})-\d+/);
+  if (compact) {
+    candidates.push({ index: compact.index, date: [compact[3], compact[1], compact[2]] });
+  }
+
+  // Earliest in the text wins: "Mar 9, 2026 — Posted Mar 5, 2026"
+  candidates.sort((a, b) => a.index - b.index);
+  for (const { date } of candidates) {
+    const valid = toIsoDate(...date.map(Number));
+    if (valid) return valid;
+  }
+
+  return null;
+}
+
+/**
+ * Check and format a calendar date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string|null} 'YYYY-MM-DD', or null for impossible dates
+ */
+function toIsoDate(year, month, day) {
+  if (year < 2000 || year > 2100) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Format a meeting date for titles
+ * @param {string} isoDate - 'YYYY-MM-DD'
+ * @returns {string} e.g. 'March 9, 2026'
+ */
+function formatMeetingDate(isoDate) {
+  return new Date(`${isoDate}T12:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+// Upper bound for per-source agenda settings
+AgendaScraper.MAX_DOCUMENTS = 50;
+
+// Agenda packets with scanned exhibits can run to hundreds of MB
+AgendaScraper.MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+module.exports = AgendaScraper;
@@ -0,0 +1,223 @@
+/**
+ * Event Page Scraper
+ * Reads schema.org Event JSON-LD from a page: a single event page, or an
+ * events listing that marks up each event (directly or in an ItemList).
+ * Dates without a UTC offset are taken as local to SCRAPE_TIMEZONE.
+ * Used for: venue, library and tourism sites without an iCal feed
+ */
+
+const BaseScraper = require('../BaseScraper');
+const logger = require('../../utils/logger');
+const {
+  extractJsonLd,
+  findAllByType,
+  hasType,
+  resolve,
+  readImage,
+  readText,
+} = require('../../utils/jsonLd');
+const { TIMEZONE } = require('../../utils/schedule');
+const { parseIsoInZone } = require('../../utils/timezone');
+
+// schema.org Event and its subtypes
+const EVENT_TYPES = [
+  'Event',
+  'BusinessEvent',
+  'ChildrensEvent',
+  'ComedyEvent',
+  'CourseInstance',
+  'DanceEvent',
+  'EducationEvent',
+  'ExhibitionEvent',
+  'Festival',
+  'FoodEvent',
+  'LiteraryEvent',
+  'MusicEvent',
+  'SaleEvent',
+  'ScreeningEvent',
+  'SocialEvent',
+  'SportsEvent',
+  'TheaterEvent',
+  'VisualArtsEvent',
+];
+
+// eventStatus -> events.status (EventScheduled and EventRescheduled are
+// confirmed; a rescheduled event carries its new startDate)
+const EVENT_STATUSES = {
+  EventCancelled: 'cancelled',
+  EventPostponed: 'tentative',
+};
+
+class EventPageScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // Events have no article pages to enrich
+    this.enrich = false;
+  }
+
+  /**
+   * Scrape the events page
+   * @returns {Promise<Array>} Array of saved events
+   */
+  async scrape() {
+    logger.info(`Scraping event page: ${this.sourceName}`);
+    const events = [];
+    this.startRun();
+
+    try {
+      const html = await this.fetchConditional(this.sourceUrl);
+      if (html === null) {
+        return events;
+      }
+
+      const $ = this.parseHTML(html);
+      const jsonLd = extractJsonLd($);
+      const nodes = findEventNodes(jsonLd);
+      logger.info(`Found ${nodes.length} events on ${this.sourceName}`);
+      this.countCandidates(nodes.length);
+
+      for (const node of nodes) {
+        try {
+          const event = await this.processEvent(jsonLd, node);
+          if (event) {
+            events.push(event);
+          }
+        } catch (error) {
+          logger.error(`Error processing event ${node.name}:`, error.message);
+          this.skipItem('error', { title: node.name, message: error.message });
+        }
+      }
+
+      this.checkItemsFound(this.sourceUrl);
+      await this.commitHttpCache();
+
+      logger.info(
+        `Successfully processed ${events.length} events from ${this.sourceName}`
+      );
+      return events;
+    } catch (error) {
+      logger.error(`Error scraping event page ${this.sourceName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn an Event node into an event
+   * @param {Object} jsonLd - Result of extractJsonLd, for @id references
+   * @param {Object} node - schema.org Event
+   * @returns {Promise<Object|null>} Saved event or null
+   */
+  async processEvent(jsonLd, node) {
+    const title = readText(node.name);
+    if (!title) {
+      return this.skipItem('no_title', { url: readText(node.url) });
+    }
+
+    const start = parseIsoInZone(readText(node.startDate), TIMEZONE);
+    if (!start) {
+      return this.skipItem('no_date', { title, startDate: node.startDate });
+    }
+    const end = parseIsoInZone(readText(node.endDate), TIMEZONE);
+
+    const link = readText(node.url)
+      ? this.getAbsoluteUrl(readText(node.url), this.sourceUrl)
+      : null;
+    // Shown as a link; keep only web pages
+    const url = link && /^https?:\/\//i.test(link) ? link : null;
+    const image = readImage(jsonLd, node.image);
+    const description = readText(node.description);
+    const status = readText(node.eventStatus);
+
+    const eventData = {
+      // Pages rarely give a stable id; the event's own URL is the next best
+      uid: (readText(node['@id']) || url || `${this.sourceUrl}#${title}`).substring(0, 500),
+      title: title.substring(0, 500),
+      description,
+      url: url || this.sourceUrl,
+      location: readLocation(jsonLd, node.location),
+      starts_at: start.date,
+      ends_at: end && end.date > start.date ? end.date : null,
+      all_day: start.allDay,
+      timezone: TIMEZONE,
+      status: (status && EVENT_STATUSES[status.replace(/^.*\//, '')]) || 'confirmed',
+      category: this.categorizeArticle(title, description || ''),
+      image_url: image ? this.getAbsoluteUrl(image, this.sourceUrl) : null,
+    };
+
+    return await this.saveEvent(eventData);
+  }
+}
+
+/**
+ * Every Event node on a page, including those inside ItemLists
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @returns {Array<Object>} Event nodes (each once)
+ */
+function findEventNodes(jsonLd) {
+  const isEvent = (node) =>
+    node && typeof node === 'object' && EVENT_TYPES.some((type) => hasType(node, type));
+
+  const nodes = findAllByType(jsonLd, EVENT_TYPES);
+
+  findAllByType(jsonLd, ['ItemList']).forEach((list) => {
+    const items = Array.isArray(list.itemListElement)
+      ? list.itemListElement
+      : [list.itemListElement];
+
+    items.forEach((element) => {
+      // Either the Event itself or a ListItem wrapping it
+      const item = resolve(jsonLd, element && element.item ? element.item : element);
+      if (isEvent(item)) nodes.push(item);
+    });
+  });
+
+  return [...new Set(nodes)];
+}
+
+/**
+ * Read an event location: a Place (name and PostalAddress), a
+ * VirtualLocation, plain text, or a list of them
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @param {*} value - location value
+ * @returns {string|null} Location text
+ */
+function readLocation(jsonLd, value) {
+  const values = Array.isArray(value) ? value : [value];
+
+  const parts = values
+    .map((item) => resolve(jsonLd, item))
+    .map((item) => {
+      if (typeof item === 'string') return item.trim();
+      if (!item || typeof item !== 'object') return null;
+      if (hasType(item, 'VirtualLocation')) return readText(item.name) || 'Online';
+
+      const name = readText(item.name);
+      const address = readAddress(resolve(jsonLd, item.address));
+      // Avoid "City Hall, City Hall" when the address repeats the name
+      return name && address && !address.startsWith(name)
+        ? `${name}, ${address}`
+        : name || address;
+    })
+    .filter(Boolean);
+
+  const location = parts.join('; ');
+  return location ? location.substring(0, 500) : null;
+}
+
+/**
+ * Read a PostalAddress (or plain text) as one line
+ * @param {*} address - address value
+ * @returns {string|null}
+ */
+function readAddress(address) {
+  if (typeof address === 'string') return address.trim() || null;
+  if (!address || typeof address !== 'object') return null;
+
+  const line = ['streetAddress', 'addressLocality', 'addressRegion']
+    .map((field) => readText(address[field]))
+    .filter(Boolean)
+    .join(', ');
+  return line || null;
+}
+
+module.exports = EventPageScraper;
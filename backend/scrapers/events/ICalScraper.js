@@ -0,0 +1,149 @@
+/**
+ * iCal Scraper
+ * Reads an ICS calendar feed (Google Calendar, Outlook, CivicPlus and most
+ * city CMSes publish one) and stores every occurrence between the start of
+ * today and EVENT_HORIZON_DAYS ahead. Recurring events are expanded
+ * (see utils/ical.js); occurrences that disappear from the feed are deleted.
+ * Used for: city and chamber of commerce community calendars
+ */
+
+const BaseScraper = require('../BaseScraper');
+const Event = require('../../models/Event');
+const logger = require('../../utils/logger');
+const { parseICS, expandEvents } = require('../../utils/ical');
+const { TIMEZONE } = require('../../utils/schedule');
+const { zonedTimeToUtc, toWallTime } = require('../../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ICalScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // webcal:// is how calendar sites link subscriptions; it's plain HTTPS
+    this.feedUrl = (sourceConfig.rss_url || sourceConfig.url).replace(
+      /^webcal:\/\//i,
+      'https://'
+    );
+    this.horizonDays = parseInt(process.env.EVENT_HORIZON_DAYS) || 90;
+    // Events have no article pages to enrich
+    this.enrich = false;
+    // The window moves every day, so an unchanged feed can still have
+    // occurrences we haven't stored yet
+    this.useHttpCache = false;
+  }
+
+  /**
+   * Scrape the calendar feed
+   * @returns {Promise<Array>} Array of saved event occurrences
+   */
+  async scrape() {
+    logger.info(`Scraping iCal feed: ${this.sourceName}`);
+    const events = [];
+    this.startRun();
+
+    try {
+      const text = await this.fetchHTML(this.feedUrl, {
+        headers: { Accept: 'text/calendar, */*;q=0.8' },
+        responseType: 'text',
+      });
+
+      const calendar = parseICS(text, { timezone: TIMEZONE });
+      const { from, to } = this.getWindow();
+      const occurrences = expandEvents(calendar.events, from, to);
+      logger.info(
+        `Found ${calendar.events.length} events (${occurrences.length} occurrences) in ${this.sourceName}`
+      );
+      this.countCandidates(occurrences.length);
+
+      const seen = [];
+      for (const occurrence of occurrences) {
+        try {
+          const event = await this.processOccurrence(occurrence);
+          seen.push({ uid: occurrence.uid, starts_at: occurrence.start });
+          if (event) {
+            events.push(event);
+          }
+        } catch (error) {
+          logger.error(
+            `Error processing event ${occurrence.uid}:`,
+            error.message
+          );
+          this.skipItem('error', { url: occurrence.url, message: error.message });
+        }
+      }
+
+      // No checkItemsFound: a calendar can be quiet for the whole window,
+      // and it still has to be pruned. A dead feed URL fails in parseICS.
+
+      // Only prune when every occurrence was saved; a partial run would
+      // delete the ones that failed
+      if (!this.dryRun && !this.skipCounts.error) {
+        const removed = await Event.removeMissing(this.sourceId, from, seen);
+        if (removed > 0) {
+          logger.info(`Removed ${removed} events no longer in ${this.sourceName}`);
+        }
+      }
+
+      logger.info(
+        `Successfully processed ${events.length} events from ${this.sourceName}`
+      );
+      return events;
+    } catch (error) {
+      logger.error(`Error scraping iCal feed ${this.sourceName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * The range of occurrences kept: local midnight today to the horizon
+   * @returns {Object} { from, to } as Dates
+   */
+  getWindow() {
+    const wallNow = toWallTime(new Date(), TIMEZONE);
+    const from = zonedTimeToUtc(wallNow - (wallNow % DAY_MS), TIMEZONE);
+    return {
+      from,
+      to: new Date(from.getTime() + this.horizonDays * DAY_MS),
+    };
+  }
+
+  /**
+   * Save one occurrence
+   * @param {Object} occurrence - Occurrence from expandEvents
+   * @returns {Promise<Object|null>} Saved event or null
+   */
+  async processOccurrence(occurrence) {
+    const title = occurrence.summary;
+    if (!occurrence.uid) {
+      return this.skipItem('no_uid', { title });
+    }
+    if (!title) {
+      return this.skipItem('no_title', { url: occurrence.url });
+    }
+
+    const description = occurrence.description || null;
+    // The feed's URL property is shown as a link; keep only web pages
+    const url = occurrence.url ? this.getAbsoluteUrl(occurrence.url, this.feedUrl) : null;
+
+    const eventData = {
+      uid: occurrence.uid.substring(0, 500),
+      title: title.substring(0, 500),
+      description,
+      url: url && /^https?:\/\//i.test(url) ? url : null,
+      location: occurrence.location ? occurrence.location.substring(0, 500) : null,
+      starts_at: occurrence.start,
+      ends_at: occurrence.end,
+      all_day: occurrence.allDay,
+      timezone: occurrence.timezone,
+      status: occurrence.status,
+      category: this.categorizeArticle(
+        `${title} ${occurrence.categories.join(' ')}`,
+        description || ''
+      ),
+    };
+
+    return await this.saveEvent(eventData);
+  }
+}
+
+module.exports = ICalScraper;
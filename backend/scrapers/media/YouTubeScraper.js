@@ -0,0 +1,121 @@
+/**
+ * YouTube Scraper
+ * Reads a YouTube channel's Atom feed (no API key needed):
+ *   https://www.youtube.com/feeds/videos.xml?channel_id=UC...
+ * (playlist_id=... works too). Videos are saved as media items with their
+ * thumbnail and video ID so the frontend can embed them.
+ * Used for: local TV stations and city channels
+ */
+
+const cheerio = require('cheerio');
+const BaseScraper = require('../BaseScraper');
+const logger = require('../../utils/logger');
+const { ParseError } = require('../../utils/errors');
+
+class YouTubeScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    this.feedUrl = sourceConfig.rss_url || sourceConfig.url;
+  }
+
+  /**
+   * Scrape the channel feed
+   * @returns {Promise<Array>} Array of videos
+   */
+  async scrape() {
+    logger.info(`Scraping YouTube feed: ${this.sourceName}`);
+    const videos = [];
+    this.startRun();
+
+    try {
+      const xml = await this.fetchConditional(this.feedUrl);
+      if (xml === null) {
+        return videos;
+      }
+
+      const $ = cheerio.load(xml, { xmlMode: true });
+      if ($('feed').length === 0) {
+        throw new ParseError(`Not an Atom feed: ${this.feedUrl}`, this.feedUrl);
+      }
+
+      const entries = $('feed > entry');
+      logger.info(`Found ${entries.length} videos in YouTube feed`);
+      this.countCandidates(entries.length);
+
+      for (let i = 0; i < entries.length; i++) {
+        try {
+          const video = await this.processEntry($, $(entries[i]));
+          if (video) {
+            videos.push(video);
+          }
+        } catch (error) {
+          logger.error(`Error processing YouTube entry ${i}:`, error.message);
+          this.skipItem('error', { message: error.message });
+        }
+      }
+
+      this.checkItemsFound(this.feedUrl);
+      await this.commitHttpCache();
+
+      logger.info(
+        `Successfully processed ${videos.length} videos from ${this.sourceName}`
+      );
+      return videos;
+    } catch (error) {
+      logger.error(`Error scraping YouTube feed ${this.sourceName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a feed entry into a media item
+   * @param {CheerioStatic} $ - Cheerio instance (XML mode)
+   * @param {Cheerio} $entry - <entry> element
+   * @returns {Promise<Object|null>} Saved video or null
+   */
+  async processEntry($, $entry) {
+    const text = (selector) => $entry.find(selector).first().text().trim();
+
+    const videoId = text('yt\\:videoId');
+    const title = text('title') || text('media\\:group media\\:title');
+    if (!videoId || !YouTubeScraper.VIDEO_ID_PATTERN.test(videoId)) {
+      return this.skipItem('no_link', { title });
+    }
+    if (!title) {
+      return this.skipItem('no_title', { url: videoId });
+    }
+
+    const url =
+      $entry.find('link[rel="alternate"]').attr('href') ||
+      `https://www.youtube.com/watch?v=${videoId}`;
+    const description = text('media\\:group media\\:description');
+    const thumbnail = $entry.find('media\\:group media\\:thumbnail').first();
+    const published = new Date(text('published'));
+
+    const articleData = {
+      title: title.substring(0, 500),
+      excerpt: description.substring(0, 1000),
+      content: description,
+      url,
+      author: text('author name') || null,
+      category: this.categorizeArticle(title, description),
+      content_type: 'media',
+      platform: 'youtube',
+      image_url: thumbnail.attr('url') || null,
+      video_id: videoId,
+      published_at: isNaN(published.getTime()) ? new Date() : published,
+      tags: this.extractTags(title, description),
+    };
+
+    return await this.saveArticle(articleData, {
+      title: 'title',
+      date: 'published',
+      image: thumbnail.length ? 'media:thumbnail' : null,
+    });
+  }
+}
+
+// YouTube video IDs: 11 URL-safe base64 characters
+YouTubeScraper.VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+module.exports = YouTubeScraper;
@@ -4,14 +4,158 @@
  * Used for: Baldwin Times, Gulf Coast News, Foley Observer, etc.
  */
 
+const cheerio = require('cheerio');
 const BaseScraper = require('../BaseScraper');
-const Article = require('../../models/Article');
 const logger = require('../../utils/logger');
 
 class CheerioScraper extends BaseScraper {
   constructor(sourceName, sourceConfig) {
     super(sourceName, sourceConfig);
-    this.selectors = sourceConfig.selectors || this.getDefaultSelectors();
+    // Per-source selectors override the defaults field by field
+    this.selectors = {
+      ...this.getDefaultSelectors(),
+      ...(sourceConfig.selectors || {}),
+    };
+
+    // Listing pagination; without a next link or URL template only the
+    // first page is read
+    const pagination = sourceConfig.pagination || {};
+    this.pagination = {
+      nextSelector: pagination.nextSelector || null,
+      urlTemplate: pagination.urlTemplate || null,
+      maxPages: pagination.maxPages || 3,
+      stopWhenKnown: pagination.stopWhenKnown !== false,
+    };
+  }
+
+  /**
+   * Validate a per-source pagination configuration
+   * @param {Object} pagination - { nextSelector, urlTemplate, maxPages, stopWhenKnown }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validatePagination(pagination) {
+    if (
+      typeof pagination !== 'object' ||
+      pagination === null ||
+      Array.isArray(pagination)
+    ) {
+      return ['pagination must be an object'];
+    }
+
+    const errors = [];
+    const allowed = ['nextSelector', 'urlTemplate', 'maxPages', 'stopWhenKnown'];
+    const { nextSelector, urlTemplate, maxPages, stopWhenKnown } = pagination;
+
+    Object.keys(pagination)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`Unknown pagination field: ${key}`));
+
+    if (nextSelector !== undefined && nextSelector !== null) {
+      const error = CheerioScraper.checkSelector(nextSelector);
+      if (error) errors.push(`nextSelector ${error}`);
+    }
+    if (urlTemplate !== undefined && urlTemplate !== null) {
+      if (typeof urlTemplate !== 'string' || !urlTemplate.includes('{n}')) {
+        errors.push('urlTemplate must be a string containing {n}');
+      }
+    }
+    if (
+      maxPages !== undefined &&
+      (!Number.isInteger(maxPages) ||
+        maxPages < 1 ||
+        maxPages > CheerioScraper.MAX_PAGES)
+    ) {
+      errors.push(
+        `maxPages must be an integer between 1 and ${CheerioScraper.MAX_PAGES}`
+      );
+    }
+    if (stopWhenKnown !== undefined && typeof stopWhenKnown !== 'boolean') {
+      errors.push('stopWhenKnown must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Switch this scraper into archive backfill mode for one run
+   * Walks up to maxPages listing pages and keeps going past known articles
+   * @param {number} maxPages - Number of listing pages to walk
+   */
+  startBackfill(maxPages) {
+    if (!this.hasPagination()) {
+      throw new Error(
+        `${this.sourceName} has no pagination configured (next link or URL template)`
+      );
+    }
+
+    this.pagination = {
+      ...this.pagination,
+      maxPages: Math.min(maxPages, CheerioScraper.MAX_BACKFILL_PAGES),
+      stopWhenKnown: false,
+    };
+    // The archive is worth walking even if the first page hasn't changed
+    this.useHttpCache = false;
+  }
+
+  /**
+   * Whether the source has a way to reach listing page 2
+   * @returns {boolean}
+   */
+  hasPagination() {
+    return !!(this.pagination.nextSelector || this.pagination.urlTemplate);
+  }
+
+  /**
+   * Validate a per-source selector configuration
+   * @param {Object} selectors - Selector configuration to check
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateSelectors(selectors) {
+    if (
+      typeof selectors !== 'object' ||
+      selectors === null ||
+      Array.isArray(selectors)
+    ) {
+      return ['selectors must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [field, selector] of Object.entries(selectors)) {
+      if (!CheerioScraper.SELECTOR_FIELDS.includes(field)) {
+        errors.push(`Unknown selector field: ${field}`);
+        continue;
+      }
+
+      const error = CheerioScraper.checkSelector(selector);
+      if (error) {
+        errors.push(`${field} ${error}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a single CSS selector is usable
+   * @param {string} selector - CSS selector
+   * @returns {string|null} Problem description, or null when valid
+   */
+  static checkSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) {
+      return 'must be a non-empty string';
+    }
+    if (selector.length > 255) {
+      return 'is too long (max 255 characters)';
+    }
+
+    try {
+      cheerio.load('').root().find(selector);
+    } catch (error) {
+      return `is not a valid CSS selector: ${error.message}`;
+    }
+
+    return null;
   }
 
   /**
@@ -32,37 +176,55 @@ class CheerioScraper extends BaseScraper {
 
   /**
    * Scrape news articles
+   * Follows listing pagination until maxPages, the end of the archive, or
+   * (unless backfilling) a page where every article is already known
    * @returns {Promise<Array>} Array of articles
    */
   async scrape() {
-    logger.info(`Scraping with Cheerio: ${this.sourceName}`);
+    logger.info(`Scraping with ${this.scraperType || 'cheerio'}: ${this.sourceName}`);
+
     const articles = [];
+    const visited = new Set();
+    const maxPages = this.hasPagination() ? this.pagination.maxPages : 1;
+    let pageUrl = this.sourceUrl;
+    let page = 1;
+
+    this.startRun();
 
     try {
-      const html = await this.fetchHTML(this.sourceUrl);
-      const $ = this.parseHTML(html);
+      while (pageUrl && page <= maxPages && !visited.has(pageUrl)) {
+        visited.add(pageUrl);
 
-      const articleElements = $(this.selectors.articleList);
-      logger.info(
-        `Found ${articleElements.length} potential articles on page`
-      );
+        // An unchanged first page means the whole listing is unchanged
+        const html = await this.fetchPage(pageUrl, page === 1);
+        if (html === null) {
+          break;
+        }
+        const $ = this.parseHTML(html);
 
-      for (let i = 0; i < articleElements.length; i++) {
-        try {
-          const article = await this.processArticleElement(
-            $,
-            $(articleElements[i])
-          );
-          if (article) {
-            articles.push(article);
-          }
-        } catch (error) {
-          logger.error(`Error processing article ${i}:`, error.message);
+        const knownBefore = this.skipCounts.already_exists || 0;
+        const pageArticles = await this.extractArticles($, pageUrl);
+        const known = (this.skipCounts.already_exists || 0) - knownBefore;
+        articles.push(...pageArticles);
+
+        if (
+          this.pagination.stopWhenKnown &&
+          pageArticles.length === 0 &&
+          known > 0
+        ) {
+          logger.info(`Page ${page} had only known articles, stopping`);
+          break;
         }
+
+        pageUrl = this.getNextPageUrl($, pageUrl, page);
+        page++;
       }
 
+      this.checkItemsFound(this.sourceUrl);
+      await this.commitHttpCache();
+
       logger.info(
-        `Successfully processed ${articles.length} articles from ${this.sourceName}`
+        `Successfully processed ${articles.length} articles from ${this.sourceName} (${visited.size} page${visited.size !== 1 ? 's' : ''})`
       );
       return articles;
     } catch (error) {
@@ -74,60 +236,156 @@ class CheerioScraper extends BaseScraper {
     }
   }
 
+  /**
+   * Fetch a listing page
+   * @param {string} url - Page URL
+   * @param {boolean} conditional - Use a conditional request (first page)
+   * @returns {Promise<string|null>} HTML content, or null when not modified
+   */
+  fetchPage(url, conditional = false) {
+    return conditional ? this.fetchConditional(url) : this.fetchHTML(url);
+  }
+
+  /**
+   * Work out the URL of the next listing page
+   * @param {CheerioStatic} $ - Cheerio instance for the current page
+   * @param {string} currentUrl - Current page URL
+   * @param {number} page - Current page number (1-based)
+   * @returns {string|null} Next page URL, or null at the end
+   */
+  getNextPageUrl($, currentUrl, page) {
+    const { nextSelector, urlTemplate } = this.pagination;
+
+    if (nextSelector) {
+      const href = $(nextSelector).first().attr('href');
+      return href ? this.getAbsoluteUrl(href, currentUrl) : null;
+    }
+
+    if (urlTemplate) {
+      return this.getAbsoluteUrl(
+        urlTemplate.replace(/\{n\}/g, String(page + 1)),
+        this.sourceUrl
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract and save articles from a parsed listing page
+   * @param {CheerioStatic} $ - Cheerio instance
+   * @param {string} pageUrl - Listing page URL, for resolving relative links
+   * @returns {Promise<Array>} Array of saved articles
+   */
+  async extractArticles($, pageUrl = this.sourceUrl) {
+    const articles = [];
+    const articleElements = $(this.selectors.articleList);
+    logger.info(
+      `Found ${articleElements.length} potential articles on page`
+    );
+
+    this.countCandidates(articleElements.length);
+
+    for (let i = 0; i < articleElements.length; i++) {
+      try {
+        const article = await this.processArticleElement(
+          $,
+          $(articleElements[i]),
+          pageUrl
+        );
+        if (article) {
+          articles.push(article);
+        }
+      } catch (error) {
+        logger.error(`Error processing article ${i}:`, error.message);
+        this.skipItem('error', { index: i, message: error.message });
+      }
+    }
+
+    return articles;
+  }
+
+  /**
+   * Find the first element for a selector field within an article element
+   * @param {CheerioElement} $article - Article element
+   * @param {string} field - Selector field name (title, link, ...)
+   * @returns {Object} { $el, matched } where matched is the alternative
+   *   from the selector list that the element satisfied, or null
+   */
+  findField($article, field) {
+    const selectorList = this.selectors[field];
+    const $el = $article.find(selectorList).first();
+
+    if (!$el.length) {
+      return { $el, matched: null };
+    }
+
+    const matched =
+      splitSelectorList(selectorList).find((alternative) => {
+        try {
+          return $el.is(alternative);
+        } catch {
+          return false;
+        }
+      }) || selectorList;
+
+    return { $el, matched };
+  }
+
   /**
    * Process individual article element
    * @param {CheerioStatic} $ - Cheerio instance
    * @param {CheerioElement} $article - Article element
+   * @param {string} pageUrl - Listing page URL, for resolving relative links
    * @returns {Promise<Object|null>} Processed article or null
    */
-  async processArticleElement($, $article) {
+  async processArticleElement($, $article, pageUrl = this.sourceUrl) {
+    const matched = {};
+
     // Extract title
-    const $title = $article.find(this.selectors.title).first();
-    const title = this.cleanText($title);
+    const titleMatch = this.findField($article, 'title');
+    const title = this.cleanText(titleMatch.$el);
+    matched.title = titleMatch.matched;
 
     if (!title || title.length < 10) {
-      logger.debug('Skipping: No valid title found');
-      return null;
+      return this.skipItem('no_title', { title, matched });
     }
 
     // Extract link
-    const $link = $article.find(this.selectors.link).first();
-    let url = $link.attr('href');
+    const linkMatch = this.findField($article, 'link');
+    let url = linkMatch.$el.attr('href');
+    matched.link = linkMatch.matched;
 
     if (!url) {
-      logger.debug('Skipping: No link found');
-      return null;
+      return this.skipItem('no_link', { title, matched });
     }
 
-    url = this.getAbsoluteUrl(url, this.sourceUrl);
-
-    // Check if already exists
-    const existing = await Article.findByUrl(url);
-    if (existing) {
-      logger.debug(`Article already exists: ${url}`);
-      return null;
-    }
+    url = this.getAbsoluteUrl(url, pageUrl);
 
     // Extract excerpt
-    const $excerpt = $article.find(this.selectors.excerpt).first();
-    const excerpt = this.cleanText($excerpt);
+    const excerptMatch = this.findField($article, 'excerpt');
+    const excerpt = this.cleanText(excerptMatch.$el);
+    matched.excerpt = excerptMatch.matched;
 
     // Extract date
-    const $date = $article.find(this.selectors.date).first();
-    let published_at = $date.attr('datetime') || $date.text();
+    const dateMatch = this.findField($article, 'date');
+    let published_at = dateMatch.$el.attr('datetime') || dateMatch.$el.text();
+    matched.date = dateMatch.matched;
     published_at = published_at
       ? new Date(published_at)
       : new Date();
 
     // Extract author
-    const $author = $article.find(this.selectors.author).first();
-    const author = this.cleanText($author) || null;
+    const authorMatch = this.findField($article, 'author');
+    const author = this.cleanText(authorMatch.$el) || null;
+    matched.author = authorMatch.matched;
 
     // Extract image
-    const $image = $article.find(this.selectors.image).first();
-    let image_url = $image.attr('src') || $image.attr('data-src');
+    const imageMatch = this.findField($article, 'image');
+    let image_url = imageMatch.$el.attr('src') || imageMatch.$el.attr('data-src');
+    matched.image = imageMatch.matched;
     if (image_url) {
-      image_url = this.getAbsoluteUrl(image_url, this.sourceUrl);
+      image_url = this.getAbsoluteUrl(image_url, pageUrl);
     }
 
     // Categorize
@@ -148,37 +406,20 @@ class CheerioScraper extends BaseScraper {
     };
 
     // Save to database
-    return await this.saveArticle(articleData);
+    return await this.saveArticle(articleData, matched);
   }
 
   /**
    * Scrape full article content from article page
    * @param {string} url - Article URL
-   * @returns {Promise<string>} Full article content
+   * @returns {Promise<string>} Full article content as sanitized HTML
    */
   async scrapeArticleContent(url) {
     try {
       const html = await this.fetchHTML(url);
       const $ = this.parseHTML(html);
 
-      // Try common content selectors
-      const contentSelectors = [
-        'article .content',
-        '.article-content',
-        '.entry-content',
-        '.post-content',
-        '[itemprop="articleBody"]',
-        'main article',
-      ];
-
-      for (const selector of contentSelectors) {
-        const $content = $(selector);
-        if ($content.length) {
-          return this.cleanText($content);
-        }
-      }
-
-      return '';
+      return this.extractContent($, url);
     } catch (error) {
       logger.error(
         `Error scraping article content from ${url}:`,
@@ -189,4 +430,55 @@ class CheerioScraper extends BaseScraper {
   }
 }
 
+/**
+ * Split a selector list on its top-level commas
+ * Commas inside brackets, parentheses or quotes are left alone
+ * @param {string} selectorList - e.g. 'h2, h3, a[title="x,y"]'
+ * @returns {Array<string>} Individual selectors
+ */
+function splitSelectorList(selectorList) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of selectorList) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+}
+
+// Fields a source may override in its selector configuration
+CheerioScraper.SELECTOR_FIELDS = [
+  'articleList',
+  'title',
+  'link',
+  'excerpt',
+  'date',
+  'author',
+  'image',
+];
+
+// Page limits for regular runs and one-off archive backfills
+CheerioScraper.MAX_PAGES = 20;
+CheerioScraper.MAX_BACKFILL_PAGES = 200;
+
 module.exports = CheerioScraper;
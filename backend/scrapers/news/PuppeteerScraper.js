@@ -0,0 +1,107 @@
+/**
+ * Puppeteer Scraper
+ * Scrapes news from pages that render their article lists client-side
+ * Renders the page in headless Chromium, then reuses the Cheerio extraction
+ * Used for: city sites whose news lists are built with JavaScript
+ */
+
+const puppeteer = require('puppeteer');
+const CheerioScraper = require('./CheerioScraper');
+const logger = require('../../utils/logger');
+
+class PuppeteerScraper extends CheerioScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // Wait for the article list itself unless the source says otherwise
+    this.waitSelector = sourceConfig.wait_selector || this.selectors.articleList;
+    this.renderTimeout = 30000;
+  }
+
+  /**
+   * Fetch a listing page by rendering it
+   * Pagination and extraction are inherited from CheerioScraper; rendered
+   * pages are never fetched conditionally
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} Rendered HTML content
+   */
+  fetchPage(url) {
+    return this.renderHTML(url);
+  }
+
+  /**
+   * Render a page in headless Chromium and return the resulting HTML
+   * The whole render counts as one request to the host in the scheduler
+   * @param {string} url - URL to render
+   * @returns {Promise<string>} Rendered HTML content
+   */
+  async renderHTML(url) {
+    try {
+      const robots = await this.checkRobots(url);
+      return await this.scheduleRequest(url, robots, () => this.render(url));
+    } catch (error) {
+      logger.error(`Error rendering ${url}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a page in a fresh browser and wait for the article list
+   * @param {string} url - URL to render
+   * @returns {Promise<string>} Rendered HTML content
+   */
+  async render(url) {
+    let browser = null;
+
+    try {
+      logger.info(`Rendering: ${url}`);
+
+      browser = await this.launchBrowser();
+      const page = await browser.newPage();
+
+      await page.setUserAgent(this.userAgent);
+      await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.5' });
+
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: this.renderTimeout,
+      });
+
+      try {
+        await page.waitForSelector(this.waitSelector, {
+          timeout: this.renderTimeout,
+        });
+      } catch (error) {
+        // Still hand back whatever rendered; extraction will report 0 items
+        logger.warn(
+          `Selector "${this.waitSelector}" not found on ${url}: ${error.message}`
+        );
+      }
+
+      return await page.content();
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+
+  /**
+   * Launch headless Chromium
+   * Uses PUPPETEER_EXECUTABLE_PATH when set (e.g. system Chromium on Railway)
+   * @returns {Promise<Browser>} Browser instance
+   */
+  launchBrowser() {
+    return puppeteer.launch({
+      headless: 'new',
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+      ],
+    });
+  }
+}
+
+module.exports = PuppeteerScraper;
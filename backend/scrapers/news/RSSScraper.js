@@ -1,12 +1,16 @@
 /**
  * RSS Feed Scraper
- * Scrapes news from RSS/Atom feeds
- * Used for: AL.com, Mobile Register (they have RSS feeds)
+ * Scrapes news from RSS/Atom feeds, and podcast episodes from feeds whose
+ * enclosures are audio or video
+ * Used for: AL.com, Mobile Register (they have RSS feeds), local radio and
+ * city-council podcasts
  */
 
 const Parser = require('rss-parser');
 const BaseScraper = require('../BaseScraper');
 const logger = require('../../utils/logger');
+const { sanitizeHtml } = require('../../utils/contentExtractor');
+const { ParseError } = require('../../utils/errors');
 
 class RSSScraper extends BaseScraper {
   constructor(sourceName, sourceConfig) {
@@ -30,11 +34,33 @@ class RSSScraper extends BaseScraper {
   async scrape() {
     logger.info(`Scraping RSS feed: ${this.sourceName}`);
     const articles = [];
+    this.startRun();
 
     try {
-      const feed = await this.parser.parseURL(this.rssUrl);
+      const xml = await this.fetchConditional(this.rssUrl);
+      if (xml === null) {
+        return articles;
+      }
+
+      let feed;
+      try {
+        feed = await this.parser.parseString(xml);
+      } catch (error) {
+        throw new ParseError(
+          `Invalid feed at ${this.rssUrl}: ${error.message}`,
+          this.rssUrl
+        );
+      }
       logger.info(`Found ${feed.items.length} items in RSS feed`);
 
+      // Podcast artwork stands in for episodes without their own image
+      this.feedImage =
+        (feed.itunes && feed.itunes.image) || (feed.image && feed.image.url) || null;
+      // Podcast feeds often link every episode to the show's page
+      this.sharedLinks = findSharedLinks(feed);
+
+      this.countCandidates(feed.items.length);
+
       for (const item of feed.items) {
         try {
           const article = await this.processItem(item);
@@ -46,9 +72,13 @@ class RSSScraper extends BaseScraper {
             `Error processing RSS item: ${error.message}`,
             item.link
           );
+          this.skipItem('error', { url: item.link, message: error.message });
         }
       }
 
+      this.checkItemsFound(this.rssUrl);
+      await this.commitHttpCache();
+
       logger.info(`Successfully processed ${articles.length} articles from RSS`);
       return articles;
     } catch (error) {
@@ -63,33 +93,70 @@ class RSSScraper extends BaseScraper {
    * @returns {Promise<Object>} Processed article
    */
   async processItem(item) {
-    // Check if article already exists
-    const existing = await this.checkIfExists(item.link);
-    if (existing) {
-      logger.debug(`Article already exists: ${item.link}`);
-      return null;
-    }
-
     // Extract article data
     const title = item.title;
-    const url = item.link;
     const excerpt =
       item.contentSnippet ||
       item.summary ||
       item.description ||
       '';
-    const content = item.contentEncoded || item.content || excerpt;
+    const content =
+      sanitizeHtml(item.contentEncoded || item.content, item.link || this.rssUrl) ||
+      excerpt;
     const author = item.creator || item.author || null;
     const published_at = item.pubDate ? new Date(item.pubDate) : new Date();
 
+    // Enclosures: images stay images, audio and video become media
+    const enclosure = item.enclosure && item.enclosure.url ? item.enclosure : null;
+    const enclosureType = enclosure
+      ? getMediaType(enclosure.type, enclosure.url)
+      : null;
+    const enclosureKind = enclosureType ? enclosureType.split('/')[0] : null;
+    const media = ['audio', 'video'].includes(enclosureKind)
+      ? {
+          media_url: enclosure.url,
+          media_type: enclosureType,
+          media_duration: parseDuration(item.itunes && item.itunes.duration),
+        }
+      : null;
+
+    // Articles are keyed by URL. An episode without a link of its own
+    // falls back to its guid (when it's a URL) or the media file.
+    let url = item.link;
+    if (media && (!url || this.sharedLinks.has(url))) {
+      url = /^https?:\/\//i.test(item.guid || '') ? item.guid : enclosure.url;
+    }
+
     // Extract image
     let image_url = null;
-    if (item.enclosure && item.enclosure.url) {
-      image_url = item.enclosure.url;
-    } else if (item.mediaContent && item.mediaContent.$) {
-      image_url = item.mediaContent.$.url;
+    let imageField = null;
+    const mediaContent = item.mediaContent && item.mediaContent.$;
+    // Untyped enclosures with no telling extension are usually images
+    if (
+      enclosureKind === 'image' ||
+      (enclosure && !enclosureKind && !enclosure.type)
+    ) {
+      image_url = enclosure.url;
+      imageField = 'enclosure';
+    } else if (
+      mediaContent &&
+      (mediaContent.medium
+        ? mediaContent.medium === 'image'
+        : !/^(audio|video)\//.test(
+            getMediaType(mediaContent.type, mediaContent.url) || ''
+          ))
+    ) {
+      image_url = mediaContent.url;
+      imageField = 'media:content';
     } else if (item.mediaThumbnail && item.mediaThumbnail.$) {
       image_url = item.mediaThumbnail.$.url;
+      imageField = 'media:thumbnail';
+    } else if (item.itunes && item.itunes.image) {
+      image_url = item.itunes.image;
+      imageField = 'itunes:image';
+    } else if (media && this.feedImage) {
+      image_url = this.feedImage;
+      imageField = 'channel image';
     }
 
     // Categorize article
@@ -113,22 +180,100 @@ class RSSScraper extends BaseScraper {
       image_url,
       published_at,
       tags,
+      ...(media && { content_type: 'media', ...media }),
+    };
+
+    // Feed fields each value came from (shown in dry-run previews)
+    const matched = {
+      excerpt: ['contentSnippet', 'summary', 'description'].find(
+        (field) => item[field]
+      ) || null,
+      content: item.contentEncoded
+        ? 'content:encoded'
+        : item.content
+          ? 'content'
+          : null,
+      author: item.creator ? 'creator' : item.author ? 'author' : null,
+      date: item.pubDate ? 'pubDate' : null,
+      image: imageField,
+      media: media ? 'enclosure' : null,
     };
 
     // Save to database
-    return await this.saveArticle(articleData);
+    return await this.saveArticle(articleData, matched);
   }
+}
 
-  /**
-   * Check if article already exists in database
-   * @param {string} url - Article URL
-   * @returns {Promise<boolean>} True if exists
-   */
-  async checkIfExists(url) {
-    const Article = require('../../models/Article');
-    const existing = await Article.findByUrl(url);
-    return !!existing;
+/**
+ * Links that can't identify a single item: the feed's own link and any
+ * link used by more than one item
+ * @param {Object} feed - Parsed feed
+ * @returns {Set<string>} Shared links
+ */
+function findSharedLinks(feed) {
+  const seen = new Set();
+  const shared = new Set(feed.link ? [feed.link] : []);
+  feed.items.forEach((item) => {
+    if (!item.link) return;
+    if (seen.has(item.link)) shared.add(item.link);
+    seen.add(item.link);
+  });
+  return shared;
+}
+
+// MIME types for enclosures served without a usable one
+const MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+};
+
+/**
+ * MIME type of an enclosure: the declared one when it is an image, audio
+ * or video type, otherwise guessed from the URL's file extension
+ * @param {string} type - Declared type (may be missing or application/octet-stream)
+ * @param {string} url - Enclosure URL
+ * @returns {string|null} MIME type, or null when unknown
+ */
+function getMediaType(type, url) {
+  const declared = (type || '').trim().toLowerCase();
+  if (/^(image|audio|video)\//.test(declared)) {
+    return declared;
   }
+
+  const match = (url || '').match(/\.(\w+)(?:[?#]|$)/);
+  return (match && MEDIA_TYPES[match[1].toLowerCase()]) || null;
+}
+
+/**
+ * Parse an itunes:duration ("1:02:03", "62:03" or seconds)
+ * @param {string} value - Duration
+ * @returns {number|null} Seconds, or null when missing or invalid
+ */
+function parseDuration(value) {
+  if (!value) return null;
+
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) {
+    return null;
+  }
+
+  return Math.round(
+    parts.reduce((total, part) => total * 60 + parseFloat(part), 0)
+  );
 }
 
 module.exports = RSSScraper;
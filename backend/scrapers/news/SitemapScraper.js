@@ -0,0 +1,404 @@
+/**
+ * Sitemap Scraper
+ * Scrapes news from XML sitemaps: sitemap indexes, plain <urlset> sitemaps
+ * and Google News sitemaps (news:title, news:publication_date)
+ * Used for: outlets without an RSS feed whose homepage layout keeps changing
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const BaseScraper = require('../BaseScraper');
+const Article = require('../../models/Article');
+const logger = require('../../utils/logger');
+const { ParseError } = require('../../utils/errors');
+
+class SitemapScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // The source URL is the sitemap (or sitemap index) itself
+    const sitemap = sourceConfig.sitemap || {};
+    this.sitemap = {
+      urlPattern: sitemap.urlPattern || null,
+      maxAgeHours: sitemap.maxAgeHours || 48,
+      maxUrls: sitemap.maxUrls || 50,
+      maxSitemaps: sitemap.maxSitemaps || 5,
+    };
+    // Article pages already visited during this run (for titles)
+    this.fetchedUrls = new Set();
+  }
+
+  /**
+   * Reset per-run state; the instance is reused across runs
+   */
+  startRun() {
+    super.startRun();
+    this.fetchedUrls = new Set();
+  }
+
+  /**
+   * Validate a per-source sitemap configuration
+   * @param {Object} sitemap - { urlPattern, maxAgeHours, maxUrls, maxSitemaps }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateSitemap(sitemap) {
+    if (typeof sitemap !== 'object' || sitemap === null || Array.isArray(sitemap)) {
+      return ['sitemap must be an object'];
+    }
+
+    const errors = [];
+    const limits = {
+      maxAgeHours: SitemapScraper.MAX_AGE_HOURS,
+      maxUrls: SitemapScraper.MAX_URLS,
+      maxSitemaps: SitemapScraper.MAX_SITEMAPS,
+    };
+    const allowed = ['urlPattern', ...Object.keys(limits)];
+
+    Object.keys(sitemap)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`Unknown sitemap field: ${key}`));
+
+    if (sitemap.urlPattern !== undefined && sitemap.urlPattern !== null) {
+      try {
+        if (typeof sitemap.urlPattern !== 'string') throw new Error();
+        new RegExp(sitemap.urlPattern);
+      } catch {
+        errors.push('urlPattern must be a valid regular expression');
+      }
+    }
+
+    for (const [field, max] of Object.entries(limits)) {
+      const value = sitemap[field];
+      if (
+        value !== undefined &&
+        (!Number.isInteger(value) || value < 1 || value > max)
+      ) {
+        errors.push(`${field} must be an integer between 1 and ${max}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Scrape the sitemap
+   * @returns {Promise<Array>} Array of articles
+   */
+  async scrape() {
+    logger.info(`Scraping sitemap: ${this.sourceName}`);
+    const articles = [];
+    this.startRun();
+
+    try {
+      const entries = await this.collectEntries(this.sourceUrl, 0);
+      if (entries === null) {
+        return articles;
+      }
+      logger.info(`Found ${entries.length} URLs in sitemap`);
+      this.countCandidates(entries.length);
+
+      // maxUrls bounds the pages fetched, whatever each entry ends up as
+      const selected = this.filterEntries(entries).slice(0, this.sitemap.maxUrls);
+
+      for (const entry of selected) {
+        try {
+          const article = await this.processEntry(entry);
+          if (article) {
+            articles.push(article);
+          }
+        } catch (error) {
+          logger.error(`Error processing sitemap URL: ${error.message}`, entry.url);
+          this.skipItem('error', { url: entry.url, message: error.message });
+        }
+      }
+
+      this.checkItemsFound(this.sourceUrl);
+      await this.commitHttpCache();
+
+      logger.info(
+        `Successfully processed ${articles.length} articles from sitemap`
+      );
+      return articles;
+    } catch (error) {
+      logger.error(`Error scraping sitemap ${this.sourceName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a sitemap and return its URL entries
+   * Sitemap indexes are followed newest child first, up to maxSitemaps.
+   * The top-level sitemap is fetched conditionally.
+   * @param {string} url - Sitemap URL
+   * @param {number} depth - Current index nesting depth
+   * @returns {Promise<Array<Object>|null>} Entries: { url, title, date,
+   *   dateField, image, keywords }, or null when the sitemap is not modified
+   */
+  async collectEntries(url, depth) {
+    const $ = await this.fetchSitemap(url, depth === 0);
+    if ($ === null) {
+      return null;
+    }
+
+    if ($('sitemapindex').length > 0) {
+      if (depth >= SitemapScraper.MAX_INDEX_DEPTH) {
+        logger.warn(`Sitemap index nested too deeply, skipping: ${url}`);
+        return [];
+      }
+
+      const cutoff = this.getCutoff();
+      const children = $('sitemapindex > sitemap')
+        .map((i, el) => ({
+          url: $(el).children('loc').text().trim(),
+          date: parseDate($(el).children('lastmod').text()),
+        }))
+        .get()
+        .filter((child) => child.url)
+        // Monthly archives older than the recency window can't hold new URLs
+        .filter((child) => !child.date || child.date >= cutoff)
+        .sort(byNewest)
+        .slice(0, this.sitemap.maxSitemaps);
+
+      const entries = [];
+      for (const child of children) {
+        try {
+          const childUrl = this.getAbsoluteUrl(child.url, url);
+          entries.push(...(await this.collectEntries(childUrl, depth + 1)));
+        } catch (error) {
+          logger.warn(`Could not read child sitemap ${child.url}: ${error.message}`);
+        }
+      }
+      return entries;
+    }
+
+    if ($('urlset').length === 0) {
+      throw new ParseError(`Not a sitemap or sitemap index: ${url}`, url);
+    }
+
+    return $('urlset > url')
+      .map((i, el) => this.parseEntry($, $(el)))
+      .get()
+      .filter((entry) => entry.url);
+  }
+
+  /**
+   * Fetch and parse a sitemap, unpacking .xml.gz files
+   * @param {string} url - Sitemap URL
+   * @param {boolean} conditional - Use a conditional request
+   * @returns {Promise<CheerioStatic|null>} Cheerio instance in XML mode, or
+   *   null when not modified
+   * @throws {ParseError} When a .gz file is corrupt or inflates past
+   *   MAX_SITEMAP_BYTES
+   */
+  async fetchSitemap(url, conditional = false) {
+    const options = { responseType: 'arraybuffer' };
+    const data = conditional
+      ? await this.fetchConditional(url, options)
+      : await this.fetchHTML(url, options);
+    if (data === null) {
+      return null;
+    }
+
+    let buffer = Buffer.from(data);
+
+    // gzip magic bytes; servers send .xml.gz without Content-Encoding
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        buffer = zlib.gunzipSync(buffer, {
+          maxOutputLength: SitemapScraper.MAX_SITEMAP_BYTES,
+        });
+      } catch (error) {
+        throw new ParseError(
+          `Unreadable gzip sitemap at ${url}: ${error.message}`,
+          url
+        );
+      }
+    }
+
+    return cheerio.load(buffer.toString('utf8'), { xmlMode: true });
+  }
+
+  /**
+   * Read one <url> element, including Google News and image extensions
+   * @param {CheerioStatic} $ - Cheerio instance
+   * @param {Cheerio} $url - <url> element
+   * @returns {Object} Sitemap entry
+   */
+  parseEntry($, $url) {
+    const text = (selector) => $url.find(selector).first().text().trim();
+
+    const newsDate = parseDate(text('news\\:publication_date'));
+    const lastmod = parseDate(text('lastmod'));
+    const keywords = text('news\\:keywords');
+
+    return {
+      url: text('loc'),
+      title: text('news\\:title') || null,
+      date: newsDate || lastmod,
+      dateField: newsDate ? 'news:publication_date' : lastmod ? 'lastmod' : null,
+      image: text('image\\:image image\\:loc') || null,
+      keywords: keywords
+        ? keywords.split(',').map((keyword) => keyword.trim()).filter(Boolean)
+        : [],
+    };
+  }
+
+  /**
+   * Apply the URL pattern and recency window, newest first
+   * Entries without any date are kept; Google News sitemaps are recent by
+   * definition and plain sitemaps are capped by maxUrls
+   * @param {Array<Object>} entries - Sitemap entries
+   * @returns {Array<Object>} Entries worth processing
+   */
+  filterEntries(entries) {
+    const pattern = this.sitemap.urlPattern
+      ? new RegExp(this.sitemap.urlPattern)
+      : null;
+    const cutoff = this.getCutoff();
+    const seen = new Set();
+    let unmatched = 0;
+    let tooOld = 0;
+
+    const selected = entries.filter((entry) => {
+      if (seen.has(entry.url)) return false;
+      seen.add(entry.url);
+
+      if (pattern && !pattern.test(entry.url)) {
+        unmatched++;
+        return false;
+      }
+      if (entry.date && entry.date < cutoff) {
+        tooOld++;
+        return false;
+      }
+      return true;
+    });
+
+    if (unmatched > 0) {
+      this.skipItem('url_pattern', {
+        count: unmatched,
+        message: `${unmatched} URLs did not match ${this.sitemap.urlPattern}`,
+      });
+    }
+    if (tooOld > 0) {
+      this.skipItem('too_old', {
+        count: tooOld,
+        message: `${tooOld} URLs older than ${this.sitemap.maxAgeHours} hours`,
+      });
+    }
+
+    return selected.sort(byNewest);
+  }
+
+  /**
+   * Oldest publication date still inside the recency window
+   * @returns {Date} Cutoff date
+   */
+  getCutoff() {
+    return new Date(Date.now() - this.sitemap.maxAgeHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Turn a sitemap entry into an article
+   * Entries without news:title are completed from the article page
+   * @param {Object} entry - Sitemap entry
+   * @returns {Promise<Object>} Saved article
+   */
+  async processEntry(entry) {
+    // Don't fetch the page for a title we already have; counted like an
+    // unchanged article in saveArticle
+    if (!entry.title && (await Article.findByUrl(entry.url))) {
+      if (!this.dryRun) this.saveCounts.duplicate++;
+      return this.skipItem('already_exists', { url: entry.url });
+    }
+
+    const matched = {
+      title: entry.title ? 'news:title' : null,
+      date: entry.dateField,
+      image: entry.image ? 'image:loc' : null,
+    };
+
+    let details = {};
+    if (!entry.title) {
+      details = await this.fetchArticleDetails(entry.url);
+      this.fetchedUrls.add(entry.url);
+
+      const strategies = details.metadata_strategies || {};
+      matched.title = strategies.title ? `page:${strategies.title}` : null;
+      if (!entry.image && strategies.image_url) {
+        matched.image = `page:${strategies.image_url}`;
+      }
+      if (!entry.date && strategies.published_at) {
+        matched.date = `page:${strategies.published_at}`;
+      }
+    }
+
+    const title = entry.title || details.title;
+    if (!title) {
+      return this.skipItem('no_title', { url: entry.url });
+    }
+
+    const excerpt = details.excerpt || '';
+    // news:keywords often repeat place names extractTags already found
+    const tags = [
+      ...new Set([...this.extractTags(title, excerpt), ...entry.keywords]),
+    ];
+
+    const articleData = {
+      title: title.substring(0, 500),
+      excerpt,
+      content: details.content || excerpt,
+      url: entry.url,
+      author: details.author || null,
+      category: this.categorizeArticle(title, excerpt),
+      image_url: entry.image || details.image_url || null,
+      published_at: entry.date || details.published_at || new Date(),
+      tags,
+    };
+
+    return await this.saveArticle(articleData, matched);
+  }
+
+  /**
+   * Enrich only articles whose page wasn't already read for a title
+   * @param {Array<Object>} articles - Articles returned by scrape()
+   * @returns {Promise<number>} Number of articles enriched
+   */
+  enrichArticles(articles) {
+    return super.enrichArticles(
+      articles.filter((article) => !this.fetchedUrls.has(article.url))
+    );
+  }
+}
+
+/**
+ * Parse a W3C datetime from a sitemap
+ * @param {string} value - Date string
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Sort comparator: newest first, undated last
+ */
+function byNewest(a, b) {
+  if (!a.date) return b.date ? 1 : 0;
+  if (!b.date) return -1;
+  return b.date - a.date;
+}
+
+// Upper bounds for per-source sitemap settings
+SitemapScraper.MAX_AGE_HOURS = 24 * 30;
+SitemapScraper.MAX_URLS = 200;
+SitemapScraper.MAX_SITEMAPS = 20;
+
+// Index -> child index -> urlset is as deep as real sites go
+SitemapScraper.MAX_INDEX_DEPTH = 2;
+
+// The sitemap protocol's limit for one uncompressed file
+SitemapScraper.MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+module.exports = SitemapScraper;
@@ -0,0 +1,268 @@
+/**
+ * Mastodon Scraper
+ * Reads public hashtag timelines and account timelines through the Mastodon
+ * REST API (no API key needed for public posts)
+ * Used for: local agencies (city, police, EMA) that cross-post to Mastodon
+ */
+
+const BaseScraper = require('../BaseScraper');
+const logger = require('../../utils/logger');
+
+class MastodonScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // The source URL is the Mastodon instance, e.g. https://mastodon.social
+    this.instance = new URL(sourceConfig.url).origin;
+    const mastodon = sourceConfig.mastodon || {};
+    this.mastodon = {
+      hashtags: (mastodon.hashtags || []).map((tag) => tag.replace(/^#/, '')),
+      accounts: (mastodon.accounts || []).map((acct) => acct.replace(/^@/, '')),
+      limit: mastodon.limit || 20,
+    };
+    // acct -> account ID; lookups don't change between runs
+    this.accountIds = new Map();
+  }
+
+  /**
+   * Validate a per-source Mastodon configuration
+   * @param {Object} mastodon - { hashtags, accounts, limit }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateMastodon(mastodon) {
+    if (typeof mastodon !== 'object' || mastodon === null || Array.isArray(mastodon)) {
+      return ['mastodon must be an object'];
+    }
+
+    const errors = [];
+    const allowed = ['hashtags', 'accounts', 'limit'];
+
+    Object.keys(mastodon)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`Unknown mastodon field: ${key}`));
+
+    const patterns = {
+      hashtags: MastodonScraper.HASHTAG_PATTERN,
+      accounts: MastodonScraper.ACCOUNT_PATTERN,
+    };
+    for (const [field, pattern] of Object.entries(patterns)) {
+      const value = mastodon[field];
+      if (value === undefined) continue;
+
+      if (!Array.isArray(value) || value.some((item) => !pattern.test(item))) {
+        errors.push(
+          field === 'hashtags'
+            ? 'hashtags must be a list of hashtags (letters, numbers, _)'
+            : 'accounts must be a list of user or user@instance names'
+        );
+      }
+    }
+
+    const { hashtags = [], accounts = [], limit } = mastodon;
+    if (Array.isArray(hashtags) && Array.isArray(accounts)) {
+      if (hashtags.length + accounts.length === 0) {
+        errors.push('Set at least one hashtag or account');
+      }
+      if (hashtags.length + accounts.length > MastodonScraper.MAX_TIMELINES) {
+        errors.push(
+          `At most ${MastodonScraper.MAX_TIMELINES} hashtags and accounts combined`
+        );
+      }
+    }
+
+    if (
+      limit !== undefined &&
+      (!Number.isInteger(limit) || limit < 1 || limit > MastodonScraper.MAX_LIMIT)
+    ) {
+      errors.push(`limit must be an integer between 1 and ${MastodonScraper.MAX_LIMIT}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Scrape every configured hashtag and account timeline
+   * A failing timeline is logged and skipped; the run only fails when
+   * none of them could be read
+   * @returns {Promise<Array>} Array of posts
+   */
+  async scrape() {
+    logger.info(`Scraping Mastodon: ${this.sourceName}`);
+    const posts = [];
+    // A post can show up in several timelines (an agency using our hashtag)
+    const seen = new Set();
+    this.startRun();
+
+    const timelines = [
+      ...this.mastodon.hashtags.map((tag) => ({ label: `#${tag}`, tag })),
+      ...this.mastodon.accounts.map((acct) => ({ label: `@${acct}`, acct })),
+    ];
+    let failed = 0;
+    let lastError = null;
+
+    for (const timeline of timelines) {
+      try {
+        const statuses = timeline.tag
+          ? await this.fetchHashtagTimeline(timeline.tag)
+          : await this.fetchAccountTimeline(timeline.acct);
+        logger.info(`Found ${statuses.length} posts in ${timeline.label}`);
+
+        const fresh = statuses.filter((status) => !seen.has(status.id));
+        fresh.forEach((status) => seen.add(status.id));
+        this.countCandidates(fresh.length);
+
+        for (const status of fresh) {
+          try {
+            const post = await this.processStatus(status, timeline);
+            if (post) {
+              posts.push(post);
+            }
+          } catch (error) {
+            logger.error(`Error processing Mastodon post ${status.id}:`, error.message);
+            this.skipItem('error', { url: status.url, message: error.message });
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not read Mastodon timeline ${timeline.label}: ${error.message}`);
+        failed++;
+        lastError = error;
+      }
+    }
+
+    if (timelines.length > 0 && failed === timelines.length) {
+      throw lastError;
+    }
+
+    logger.info(
+      `Successfully processed ${posts.length} posts from ${this.sourceName}`
+    );
+    return posts;
+  }
+
+  /**
+   * Public posts with a hashtag
+   * @param {string} tag - Hashtag without '#'
+   * @returns {Promise<Array<Object>>} Mastodon statuses, newest first
+   */
+  fetchHashtagTimeline(tag) {
+    return this.fetchJSON(`/api/v1/timelines/tag/${encodeURIComponent(tag)}`, {
+      limit: this.mastodon.limit,
+    });
+  }
+
+  /**
+   * An account's own public posts (no replies or boosts)
+   * @param {string} acct - user (local to the instance) or user@instance
+   * @returns {Promise<Array<Object>>} Mastodon statuses, newest first
+   */
+  async fetchAccountTimeline(acct) {
+    if (!this.accountIds.has(acct)) {
+      const account = await this.fetchJSON('/api/v1/accounts/lookup', { acct });
+      this.accountIds.set(acct, account.id);
+    }
+
+    return this.fetchJSON(
+      `/api/v1/accounts/${this.accountIds.get(acct)}/statuses`,
+      {
+        limit: this.mastodon.limit,
+        exclude_replies: true,
+        exclude_reblogs: true,
+      }
+    );
+  }
+
+  /**
+   * GET a Mastodon API endpoint on the configured instance
+   * @param {string} path - API path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} Parsed JSON
+   */
+  async fetchJSON(path, params = {}) {
+    const url = new URL(path, this.instance);
+    Object.entries(params).forEach(([key, value]) =>
+      url.searchParams.set(key, value)
+    );
+
+    return this.fetchHTML(url.href, {
+      headers: { Accept: 'application/json' },
+    });
+  }
+
+  /**
+   * Turn a Mastodon status into a social post
+   * @param {Object} status - Mastodon status entity
+   * @param {Object} timeline - { label, tag | acct } it was read from
+   * @returns {Promise<Object|null>} Saved post or null
+   */
+  async processStatus(status, timeline) {
+    if (status.visibility && status.visibility !== 'public') {
+      return this.skipItem('not_public', { url: status.url });
+    }
+
+    const content = htmlToText(this.parseHTML(status.content || ''));
+    // Content warnings hide the text behind the spoiler; keep both
+    const text = status.spoiler_text
+      ? `${status.spoiler_text}: ${content}`
+      : content;
+
+    if (!text || text.length < 5) {
+      return this.skipItem('no_title', { url: status.url });
+    }
+
+    const account = status.account || {};
+    const image = (status.media_attachments || []).find((media) =>
+      ['image', 'gifv', 'video'].includes(media.type)
+    );
+    // Videos and GIFs have a still in preview_url
+    const image_url = image
+      ? image.type === 'image'
+        ? image.url || image.preview_url
+        : image.preview_url
+      : null;
+
+    const hashtags = (status.tags || []).map((tag) => `#${tag.name}`);
+    if (timeline.tag) {
+      hashtags.push(`#${timeline.tag}`);
+    }
+    const tags = [
+      ...new Map(hashtags.map((tag) => [tag.toLowerCase(), tag])).values(),
+    ];
+
+    const articleData = {
+      title: text.length > 100 ? text.substring(0, 100) + '...' : text,
+      excerpt: text,
+      content: text,
+      url: status.url || status.uri,
+      author: account.display_name || (account.acct ? `@${account.acct}` : 'Unknown'),
+      category: 'social',
+      content_type: 'social',
+      platform: 'mastodon',
+      image_url,
+      published_at: status.created_at ? new Date(status.created_at) : new Date(),
+      tags,
+    };
+
+    return await this.saveArticle(articleData);
+  }
+}
+
+/**
+ * Plain text of a post's HTML, keeping breaks between paragraphs and lines
+ * @param {CheerioStatic} $ - Parsed post content
+ * @returns {string}
+ */
+function htmlToText($) {
+  $('br').replaceWith(' ');
+  $('p').append(' ');
+  return $.root().text().trim().replace(/\s+/g, ' ');
+}
+
+// Hashtag names as Mastodon accepts them, with an optional leading '#'
+MastodonScraper.HASHTAG_PATTERN = /^#?\w{1,100}$/;
+// user (on the configured instance) or user@other.instance
+MastodonScraper.ACCOUNT_PATTERN = /^@?\w{1,30}(@[a-z0-9.-]+\.[a-z]{2,})?$/i;
+
+// Upper bounds for per-source Mastodon settings (the API caps limit at 40)
+MastodonScraper.MAX_LIMIT = 40;
+MastodonScraper.MAX_TIMELINES = 20;
+
+module.exports = MastodonScraper;
@@ -6,26 +6,23 @@
 
 const BaseScraper = require('../BaseScraper');
 const logger = require('../../utils/logger');
+const nitterPool = require('../../utils/nitterPool');
+const { ParseError } = require('../../utils/errors');
 
 class NitterScraper extends BaseScraper {
-  constructor(hashtag) {
-    // Use a public Nitter instance
-    const nitterInstances = [
-      'https://nitter.net',
-      'https://nitter.1d4.us',
-      'https://nitter.kavin.rocks',
-      'https://nitter.unixfox.eu',
-    ];
-
-    const config = {
-      url: `${nitterInstances[0]}/search?f=tweets&q=%23${hashtag}`,
-      id: null, // Will be set when saved
-      scraper_type: 'cheerio',
-    };
-
-    super(`Nitter-${hashtag}`, config);
-    this.hashtag = hashtag;
-    this.nitterInstance = nitterInstances[0];
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+
+    // The source URL is a Nitter search for the hashtag (see models/Hashtag).
+    // Only its path is used; the instance comes from the pool, which also
+    // learns the source's own instance.
+    const url = new URL(sourceConfig.url);
+    nitterPool.add(url.origin);
+    this.searchPath = url.pathname + url.search;
+    this.hashtag = (url.searchParams.get('q') || '').replace(/^#/, '');
+
+    // A failing instance is skipped rather than retried
+    this.maxRetries = 0;
   }
 
   /**
@@ -35,17 +32,22 @@ class NitterScraper extends BaseScraper {
   async scrape() {
     logger.info(`Scraping tweets for #${this.hashtag} from Nitter`);
     const tweets = [];
+    this.startRun();
 
     try {
-      const html = await this.fetchHTML(this.sourceUrl);
-      const $ = this.parseHTML(html);
+      const { $, instance } = await this.fetchTimeline();
 
       const tweetElements = $('.timeline-item');
       logger.info(`Found ${tweetElements.length} tweets`);
+      this.countCandidates(tweetElements.length);
 
       for (let i = 0; i < tweetElements.length; i++) {
         try {
-          const tweet = await this.processTweetElement($, $(tweetElements[i]));
+          const tweet = await this.processTweetElement(
+            $,
+            $(tweetElements[i]),
+            instance
+          );
           if (tweet) {
             tweets.push(tweet);
           }
@@ -64,13 +66,48 @@ class NitterScraper extends BaseScraper {
     }
   }
 
+  /**
+   * Load the search timeline from the best available instance
+   * Instances are tried in pool order until one serves a timeline; a page
+   * without one (rate limited, broken instance) counts as a failure too.
+   * @returns {Promise<Object>} { $, instance } - parsed page and the origin
+   *   that served it
+   * @throws {Error} The last instance's error when every instance fails
+   */
+  async fetchTimeline() {
+    const instances = await nitterPool.getRanked();
+    let lastError = null;
+
+    for (const instance of instances) {
+      const url = `${instance}${this.searchPath}`;
+      const started = Date.now();
+
+      try {
+        const $ = this.parseHTML(await this.fetchHTML(url));
+        if ($('.timeline').length === 0) {
+          throw new ParseError(`No timeline on ${instance}`, url);
+        }
+
+        nitterPool.recordSuccess(instance, Date.now() - started);
+        return { $, instance };
+      } catch (error) {
+        nitterPool.recordFailure(instance, error);
+        logger.warn(`Nitter instance ${instance} failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error('No Nitter instances configured');
+  }
+
   /**
    * Process individual tweet element
    * @param {CheerioStatic} $ - Cheerio instance
    * @param {CheerioElement} $tweet - Tweet element
+   * @param {string} instance - Origin of the instance that served the page
    * @returns {Promise<Object|null>} Processed tweet or null
    */
-  async processTweetElement($, $tweet) {
+  async processTweetElement($, $tweet, instance) {
     // Extract tweet content
     const $content = $tweet.find('.tweet-content');
     const content = this.cleanText($content);
@@ -94,14 +131,6 @@ class NitterScraper extends BaseScraper {
       return null; // Skip if no URL
     }
 
-    // Check if already exists
-    const Article = require('../../models/Article');
-    const existing = await Article.findByUrl(tweetUrl);
-    if (existing) {
-      logger.debug(`Tweet already exists: ${tweetUrl}`);
-      return null;
-    }
-
     // Extract timestamp
     const $date = $tweet.find('.tweet-date a');
     const dateStr = $date.attr('title');
@@ -111,10 +140,9 @@ class NitterScraper extends BaseScraper {
     let image_url = null;
     const $image = $tweet.find('.attachment.image img');
     if ($image.length) {
-      image_url = $image.attr('src');
-      if (image_url && image_url.startsWith('/')) {
-        image_url = `${this.nitterInstance}${image_url}`;
-      }
+      // Relative to the instance that served this page, not the source URL
+      const src = $image.attr('src');
+      image_url = src ? this.getAbsoluteUrl(src, instance) : null;
     }
 
     // Create title from first 100 chars
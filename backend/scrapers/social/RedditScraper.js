@@ -0,0 +1,349 @@
+/**
+ * Reddit Scraper
+ * Reads subreddit listings through Reddit's public JSON, falling back to the
+ * subreddit's RSS feed when JSON is refused (403/429) or configured off.
+ * www.reddit.com's robots.txt disallows all crawlers, so requests there
+ * are blocked; the seeded source is disabled until Reddit grants access.
+ * Used for: local city and county subs, where residents report road
+ * closures and outages first
+ */
+
+const Parser = require('rss-parser');
+const BaseScraper = require('../BaseScraper');
+const logger = require('../../utils/logger');
+const { ParseError } = require('../../utils/errors');
+
+class RedditScraper extends BaseScraper {
+  constructor(sourceName, sourceConfig) {
+    super(sourceName, sourceConfig);
+    // The source URL is the Reddit site, e.g. https://www.reddit.com
+    this.baseUrl = new URL(sourceConfig.url).origin;
+    const reddit = sourceConfig.reddit || {};
+    this.reddit = {
+      subreddits: (reddit.subreddits || []).map((sub) => sub.replace(/^\/?r\//, '')),
+      keywords: reddit.keywords || [],
+      flairs: (reddit.flairs || []).map((flair) => flair.toLowerCase()),
+      listing: reddit.listing || 'new',
+      limit: reddit.limit || 25,
+      format: reddit.format || 'json',
+    };
+    this.keywordPatterns = this.reddit.keywords.map(
+      (keyword) => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i')
+    );
+    this.parser = new Parser({
+      customFields: {
+        item: [['media:thumbnail', 'mediaThumbnail']],
+      },
+    });
+  }
+
+  /**
+   * Validate a per-source Reddit configuration
+   * @param {Object} reddit - { subreddits, keywords, flairs, listing, limit, format }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  static validateReddit(reddit) {
+    if (typeof reddit !== 'object' || reddit === null || Array.isArray(reddit)) {
+      return ['reddit must be an object'];
+    }
+
+    const errors = [];
+    const allowed = ['subreddits', 'keywords', 'flairs', 'listing', 'limit', 'format'];
+
+    Object.keys(reddit)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`Unknown reddit field: ${key}`));
+
+    const { subreddits, keywords, flairs, listing, limit, format } = reddit;
+
+    if (
+      !Array.isArray(subreddits) ||
+      subreddits.length === 0 ||
+      subreddits.length > RedditScraper.MAX_SUBREDDITS ||
+      subreddits.some((sub) => !RedditScraper.SUBREDDIT_PATTERN.test(sub))
+    ) {
+      errors.push(
+        `subreddits must be a list of 1 to ${RedditScraper.MAX_SUBREDDITS} subreddit names`
+      );
+    }
+
+    for (const [field, value] of Object.entries({ keywords, flairs })) {
+      if (
+        value !== undefined &&
+        (!Array.isArray(value) ||
+          value.some((item) => typeof item !== 'string' || !item.trim()))
+      ) {
+        errors.push(`${field} must be a list of non-empty strings`);
+      }
+    }
+
+    if (listing !== undefined && !RedditScraper.LISTINGS.includes(listing)) {
+      errors.push(`listing must be one of: ${RedditScraper.LISTINGS.join(', ')}`);
+    }
+    if (format !== undefined && !['json', 'rss'].includes(format)) {
+      errors.push('format must be json or rss');
+    }
+    if (
+      limit !== undefined &&
+      (!Number.isInteger(limit) || limit < 1 || limit > RedditScraper.MAX_LIMIT)
+    ) {
+      errors.push(`limit must be an integer between 1 and ${RedditScraper.MAX_LIMIT}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Scrape every configured subreddit
+   * A failing subreddit is logged and skipped; the run only fails when
+   * none of them could be read
+   * @returns {Promise<Array>} Array of posts
+   */
+  async scrape() {
+    logger.info(`Scraping Reddit: ${this.sourceName}`);
+    const posts = [];
+    this.startRun();
+
+    let failed = 0;
+    let lastError = null;
+
+    for (const subreddit of this.reddit.subreddits) {
+      try {
+        const listing = await this.fetchListing(subreddit);
+        logger.info(`Found ${listing.length} posts in r/${subreddit}`);
+        this.countCandidates(listing.length);
+
+        for (const post of this.filterPosts(listing)) {
+          try {
+            const saved = await this.processPost(post);
+            if (saved) {
+              posts.push(saved);
+            }
+          } catch (error) {
+            logger.error(`Error processing Reddit post ${post.url}:`, error.message);
+            this.skipItem('error', { url: post.url, message: error.message });
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not read r/${subreddit}: ${error.message}`);
+        failed++;
+        lastError = error;
+      }
+    }
+
+    if (this.reddit.subreddits.length > 0 && failed === this.reddit.subreddits.length) {
+      throw lastError;
+    }
+
+    logger.info(
+      `Successfully processed ${posts.length} posts from ${this.sourceName}`
+    );
+    return posts;
+  }
+
+  /**
+   * Read a subreddit listing as JSON, or as RSS when JSON isn't available
+   * @param {string} subreddit - Subreddit name without r/
+   * @returns {Promise<Array<Object>>} Posts: { url, title, text, author,
+   *   published_at, score, comment_count, flair, image_url, nsfw, stickied }
+   */
+  async fetchListing(subreddit) {
+    if (this.reddit.format === 'rss') {
+      return this.fetchRssListing(subreddit);
+    }
+
+    try {
+      return await this.fetchJsonListing(subreddit);
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status !== 403 && status !== 429) {
+        throw error;
+      }
+
+      logger.warn(`Reddit JSON refused (${status}) for r/${subreddit}, using RSS`);
+      return this.fetchRssListing(subreddit);
+    }
+  }
+
+  /**
+   * Listing JSON: full post data including score, comments and flair
+   * @param {string} subreddit - Subreddit name
+   * @returns {Promise<Array<Object>>} Posts
+   */
+  async fetchJsonListing(subreddit) {
+    const url =
+      `${this.baseUrl}/r/${subreddit}/${this.reddit.listing}.json` +
+      `?limit=${this.reddit.limit}&raw_json=1`;
+    const listing = await this.fetchHTML(url, {
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!listing || !listing.data || !Array.isArray(listing.data.children)) {
+      throw new ParseError(`Not a Reddit listing: ${url}`, url);
+    }
+
+    return listing.data.children
+      .filter((child) => child.kind === 't3')
+      .map(({ data }) => {
+        const preview =
+          data.preview && data.preview.images && data.preview.images[0];
+
+        return {
+          url: `${this.baseUrl}${data.permalink}`,
+          title: data.title,
+          text: data.selftext || '',
+          author: data.author ? `u/${data.author}` : null,
+          published_at: new Date(data.created_utc * 1000),
+          score: data.score,
+          comment_count: data.num_comments,
+          flair: data.link_flair_text || null,
+          image_url: preview
+            ? preview.source.url
+            : /^https?:/.test(data.thumbnail || '')
+              ? data.thumbnail
+              : null,
+          nsfw: !!data.over_18,
+          stickied: !!data.stickied,
+        };
+      });
+  }
+
+  /**
+   * Listing RSS (Atom): no score, comment count or flair
+   * @param {string} subreddit - Subreddit name
+   * @returns {Promise<Array<Object>>} Posts
+   */
+  async fetchRssListing(subreddit) {
+    const url =
+      `${this.baseUrl}/r/${subreddit}/${this.reddit.listing}/.rss` +
+      `?limit=${this.reddit.limit}`;
+    const xml = await this.fetchHTML(url);
+
+    let feed;
+    try {
+      feed = await this.parser.parseString(xml);
+    } catch (error) {
+      throw new ParseError(`Invalid feed at ${url}: ${error.message}`, url);
+    }
+
+    return feed.items.map((item) => {
+      // The post body is the .md block; the rest is "submitted by" links
+      const $ = this.parseHTML(item.content || '');
+      const thumbnail = item.mediaThumbnail && item.mediaThumbnail.$;
+
+      return {
+        url: item.link,
+        title: item.title,
+        text: this.cleanText($('.md')),
+        author: item.author ? item.author.replace(/^\/u\//, 'u/') : null,
+        published_at: item.isoDate ? new Date(item.isoDate) : new Date(),
+        score: null,
+        comment_count: null,
+        // Unknown, as opposed to null (no flair) in JSON listings
+        flair: undefined,
+        image_url: thumbnail ? thumbnail.url : null,
+        nsfw: false,
+        stickied: false,
+      };
+    });
+  }
+
+  /**
+   * Drop NSFW and pinned posts, then apply the keyword and flair filters
+   * Posts with no flair fail the flair filter; RSS posts, whose flair is
+   * unknown, pass it
+   * @param {Array<Object>} posts - Listing posts
+   * @returns {Array<Object>} Posts worth saving
+   */
+  filterPosts(posts) {
+    const skipped = { nsfw: 0, stickied: 0, flair: 0, keyword: 0 };
+
+    const selected = posts.filter((post) => {
+      if (post.nsfw) {
+        skipped.nsfw++;
+        return false;
+      }
+      // Pinned posts are sub rules and megathreads, not news
+      if (post.stickied) {
+        skipped.stickied++;
+        return false;
+      }
+      if (
+        this.reddit.flairs.length > 0 &&
+        post.flair !== undefined &&
+        !(post.flair && this.reddit.flairs.includes(post.flair.toLowerCase()))
+      ) {
+        skipped.flair++;
+        return false;
+      }
+      if (
+        this.keywordPatterns.length > 0 &&
+        !this.keywordPatterns.some((pattern) =>
+          pattern.test(`${post.title} ${post.text}`)
+        )
+      ) {
+        skipped.keyword++;
+        return false;
+      }
+      return true;
+    });
+
+    Object.entries(skipped)
+      .filter(([, count]) => count > 0)
+      .forEach(([reason, count]) => this.skipItem(reason, { count }));
+
+    return selected;
+  }
+
+  /**
+   * Save a listing post
+   * @param {Object} post - Listing post
+   * @returns {Promise<Object|null>} Saved post or null
+   */
+  async processPost(post) {
+    if (!post.title) {
+      return this.skipItem('no_title', { url: post.url });
+    }
+
+    const subreddit = (post.url.match(/\/r\/(\w+)\//) || [])[1];
+    const tags = this.extractTags(post.title, post.text);
+    if (subreddit) tags.push(`r/${subreddit}`);
+    if (post.flair) tags.push(post.flair);
+
+    const articleData = {
+      title: post.title.substring(0, 500),
+      excerpt: post.text.substring(0, 500),
+      content: post.text,
+      url: post.url,
+      author: post.author || 'Unknown',
+      category: 'social',
+      content_type: 'social',
+      platform: 'reddit',
+      image_url: post.image_url,
+      published_at: post.published_at,
+      score: post.score,
+      comment_count: post.comment_count,
+      tags: [...new Set(tags)],
+    };
+
+    return await this.saveArticle(articleData);
+  }
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+RedditScraper.LISTINGS = ['new', 'hot', 'rising', 'top'];
+RedditScraper.SUBREDDIT_PATTERN = /^(\/?r\/)?\w{2,21}$/;
+
+// Upper bounds for per-source Reddit settings (listings cap limit at 100)
+RedditScraper.MAX_LIMIT = 100;
+RedditScraper.MAX_SUBREDDITS = 20;
+
+module.exports = RedditScraper;
@@ -10,6 +10,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
 const logger = require('./utils/logger');
+const ScraperManager = require('./scrapers/ScraperManager');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,8 +30,8 @@ app.use(helmet({
       connectSrc: ["'self'"],
       fontSrc: ["'self'"],
       objectSrc: ["'none'"],
-      mediaSrc: ["'self'"],
-      frameSrc: ["'none'"],
+      mediaSrc: ["'self'", "https:"], // Podcast players stream from the feed's own host
+      frameSrc: ["https://www.youtube-nocookie.com"], // Video cards embed the YouTube player on click
     },
   },
 }));
@@ -92,8 +93,12 @@ app.get('/api', (req, res) => {
     status: 'running',
     endpoints: {
       news: '/api/news',
+      events: '/api/events',
+      documents: '/api/documents',
+      alerts: '/api/alerts',
       sources: '/api/sources',
       trending: '/api/trending',
+      hashtags: '/api/hashtags',
       stats: '/api/stats',
       health: '/api/health',
     },
@@ -129,11 +134,21 @@ const server = app.listen(PORT, () => {
   ║   API: http://localhost:${PORT}/api         ║
   ╚═══════════════════════════════════════════╝
   `);
+
+  // Scheduled scraping (set SCRAPER_SCHEDULER=false to run the API only)
+  if (process.env.SCRAPER_SCHEDULER !== 'false') {
+    ScraperManager.initialize()
+      .then(() => ScraperManager.startScheduler())
+      .catch((error) => {
+        logger.error('Failed to start scraping scheduler:', error);
+      });
+  }
 });
 
 // Graceful shutdown handlers
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  ScraperManager.stopScheduler();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -142,6 +157,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
+  ScraperManager.stopScheduler();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
@@ -0,0 +1,80 @@
+/**
+ * Source Circuit Breaker
+ * Pauses sources that keep failing instead of hitting them every cycle.
+ *   healthy   - last run succeeded
+ *   degraded  - DEGRADED_AFTER consecutive failures; still scraped
+ *   tripped   - TRIP_AFTER consecutive failures; skipped until breaker_until
+ *   half_open - cool-down over; the next run is a trial that either closes
+ *               the breaker or trips it again with a doubled cool-down
+ * State lives on the sources row (breaker_state, consecutive_failures,
+ * breaker_trips, breaker_until) so it survives restarts.
+ */
+
+const DEGRADED_AFTER = 2;
+const TRIP_AFTER = parseInt(process.env.BREAKER_TRIP_AFTER) || 5;
+const BASE_COOLDOWN_MS =
+  (parseInt(process.env.BREAKER_COOLDOWN_MINUTES) || 30) * 60 * 1000;
+const MAX_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decide whether a source may be scraped now
+ * @param {Object} source - Row with breaker_state and breaker_until
+ * @param {Date} now - Current time
+ * @returns {Object} { allowed, trial } - trial is true for a half-open run
+ */
+function checkBreaker(source, now = new Date()) {
+  if (!source) {
+    return { allowed: true, trial: false };
+  }
+
+  if (source.breaker_state === 'tripped') {
+    if (source.breaker_until && new Date(source.breaker_until) > now) {
+      return { allowed: false, trial: false };
+    }
+    return { allowed: true, trial: true };
+  }
+
+  return { allowed: true, trial: source.breaker_state === 'half_open' };
+}
+
+/**
+ * Breaker fields after a failed run
+ * @param {Object} source - Row with consecutive_failures (already counting
+ *   this failure), breaker_state and breaker_trips
+ * @param {Date} now - Current time
+ * @returns {Object} { breaker_state, breaker_trips, breaker_until }
+ */
+function afterFailure(source, now = new Date()) {
+  const failures = source.consecutive_failures;
+  const trips = source.breaker_trips || 0;
+
+  // A failed trial run trips again, with a longer cool-down each time
+  if (source.breaker_state === 'half_open' || failures >= TRIP_AFTER) {
+    return {
+      breaker_state: 'tripped',
+      breaker_trips: trips + 1,
+      breaker_until: new Date(now.getTime() + getCooldown(trips + 1)),
+    };
+  }
+
+  return {
+    breaker_state: failures >= DEGRADED_AFTER ? 'degraded' : 'healthy',
+    breaker_trips: trips,
+    breaker_until: null,
+  };
+}
+
+/**
+ * Cool-down after the nth trip: BASE_COOLDOWN doubled per trip, capped at a day
+ * @param {number} trips - Trips in a row (1-based)
+ * @returns {number} Milliseconds
+ */
+function getCooldown(trips) {
+  return Math.min(BASE_COOLDOWN_MS * 2 ** (trips - 1), MAX_COOLDOWN_MS);
+}
+
+module.exports = {
+  checkBreaker,
+  afterFailure,
+  getCooldown,
+};
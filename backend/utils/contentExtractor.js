@@ -0,0 +1,476 @@
+/**
+ * Content Extractor
+ * Readability-style main-content extraction for article pages
+ *
+ * Scores block elements by how much paragraph text they hold, penalizes
+ * link-heavy and boilerplate-looking nodes (share bars, related-article
+ * widgets, comments), picks the best container and returns its body as
+ * sanitized HTML with paragraph structure intact.
+ */
+
+const cheerio = require('cheerio');
+
+// Elements that never contain article text
+const STRIP_TAGS = [
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'iframe',
+  'object',
+  'embed',
+  'form',
+  'input',
+  'button',
+  'select',
+  'textarea',
+  'svg',
+  'canvas',
+  'nav',
+  'aside',
+  'footer',
+  'header',
+  'link',
+  'meta',
+];
+
+// class/id hints
+const UNLIKELY =
+  /share|social|related|recommend|comment|sidebar|newsletter|subscribe|promo|advert|\bads?\b|\bad[-_]|sponsor|popup|modal|breadcrumb|menu|widget|tags|author-bio|masthead|banner|cookie|paywall|signup|skip/i;
+const MAYBE = /article|body|content|entry|main|post|story|text|column/i;
+const POSITIVE = /article|body|content|entry|main|post|story|text|blog/i;
+const NEGATIVE =
+  /hidden|share|social|related|comment|sidebar|footer|meta|promo|sponsor|widget|nav|menu|caption|credit|byline|\bad[-_]|advert/i;
+
+// Tags kept in the sanitized output, with the attributes they may keep
+const ALLOWED_TAGS = {
+  p: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  ul: [],
+  ol: [],
+  li: [],
+  blockquote: [],
+  pre: [],
+  code: [],
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  br: [],
+  a: ['href'],
+  figure: [],
+  figcaption: [],
+  img: ['src', 'alt'],
+};
+
+// Block containers that are unwrapped; one holding only loose text becomes
+// a paragraph. Any other unknown tag is unwrapped inline.
+const BLOCK_CONTAINERS = new Set([
+  'div',
+  'section',
+  'article',
+  'main',
+  'center',
+  'table',
+  'tbody',
+  'thead',
+  'tr',
+  'td',
+  'th',
+  'h1',
+]);
+
+// Common article-body containers, used when no block scores at all
+const FALLBACK_SELECTORS =
+  '[itemprop="articleBody"], .article-content, .entry-content, .post-content, article .content, main article';
+
+const BLOCK_CHILDREN =
+  'p, div, section, article, ul, ol, blockquote, pre, table, h2, h3, h4, h5, h6, figure';
+
+/**
+ * Extract the main article body from a page
+ * @param {CheerioStatic} page - Cheerio instance for the page (left untouched)
+ * @param {Object} options - { baseUrl } used to absolutize links and images
+ * @returns {Object} { html, text } — both '' when nothing article-like is found
+ */
+function extractMainContent(page, options = {}) {
+  const { baseUrl } = options;
+
+  // Work on a copy; callers still read metadata from the original
+  const $ = cheerio.load(page.html());
+  removeBoilerplate($);
+
+  // Short posts (city notices) may not score; fall back to common body hooks
+  const candidate = findTopCandidate($) || $(FALLBACK_SELECTORS).get(0);
+  if (!candidate) {
+    return { html: '', text: '' };
+  }
+
+  const $content = $(candidate);
+  cleanCandidate($, $content);
+
+  const html = tidy(serializeChildren($, $content, baseUrl));
+  const text = htmlToText(html);
+
+  return { html, text };
+}
+
+/**
+ * Sanitize an HTML fragment (e.g. RSS content:encoded) to the same tag set
+ * @param {string} html - Untrusted HTML fragment
+ * @param {string} baseUrl - Base URL for relative links and images
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html, baseUrl) {
+  if (!html) return '';
+
+  const $ = cheerio.load(html);
+  $(STRIP_TAGS.join(', ')).remove();
+
+  return tidy(serializeChildren($, $('body'), baseUrl));
+}
+
+/**
+ * Convert sanitized HTML to plain text, one paragraph per blank line
+ * @param {string} html - Sanitized HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  const $ = cheerio.load(html);
+  const blocks = [];
+
+  $('p, h2, h3, h4, h5, h6, li, blockquote, pre, figcaption').each((i, el) => {
+    // Nested blocks (p inside blockquote) are picked up on their own
+    if ($(el).find('p, li').length) return;
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(text);
+  });
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Remove elements that are never part of the article body
+ * @param {CheerioStatic} $ - Cheerio instance
+ */
+function removeBoilerplate($) {
+  $(STRIP_TAGS.join(', ')).remove();
+  $('[hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"]').remove();
+
+  $('*').each((i, el) => {
+    if (el.name === 'body' || el.name === 'html') return;
+
+    const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (UNLIKELY.test(hint) && !MAYBE.test(hint)) {
+      $(el).remove();
+    }
+  });
+}
+
+/**
+ * Score paragraph containers and return the best one
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {CheerioElement|null} Best candidate element
+ */
+function findTopCandidate($) {
+  const scores = new Map();
+
+  const initialize = (el) => {
+    if (!scores.has(el)) {
+      scores.set(el, baseScore($, el));
+    }
+  };
+
+  $('p, pre, td, blockquote').each((i, el) => {
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text.length < 25) return;
+
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+    if (!parent || parent.type !== 'tag') return;
+
+    // One point per paragraph, per comma, and per 100 characters (max 3)
+    const score =
+      1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+
+    initialize(parent);
+    scores.set(parent, scores.get(parent) + score);
+
+    if (grandparent && grandparent.type === 'tag') {
+      initialize(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + score / 2);
+    }
+  });
+
+  let top = null;
+  let topScore = 0;
+
+  for (const [el, score] of scores) {
+    // Link-heavy blocks (related lists, tag clouds) lose their score
+    const finalScore = score * (1 - linkDensity($, el));
+    if (finalScore > topScore) {
+      top = el;
+      topScore = finalScore;
+    }
+  }
+
+  return top;
+}
+
+/**
+ * Starting score for a candidate based on its tag and class/id
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {CheerioElement} el - Element
+ * @returns {number} Base score
+ */
+function baseScore($, el) {
+  let score = 0;
+
+  switch (el.name) {
+    case 'article':
+      score += 10;
+      break;
+    case 'div':
+    case 'section':
+    case 'main':
+      score += 5;
+      break;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      score += 3;
+      break;
+    case 'ol':
+    case 'ul':
+    case 'li':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'address':
+      score -= 3;
+      break;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      score -= 5;
+      break;
+  }
+
+  const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+  if (NEGATIVE.test(hint)) score -= 25;
+  if (POSITIVE.test(hint)) score += 25;
+  if ($(el).attr('itemprop') === 'articleBody') score += 25;
+
+  return score;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {CheerioElement} el - Element
+ * @returns {number} 0..1
+ */
+function linkDensity($, el) {
+  const textLength = $(el).text().replace(/\s+/g, ' ').trim().length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  $(el)
+    .find('a')
+    .each((i, a) => {
+      linkLength += $(a).text().replace(/\s+/g, ' ').trim().length;
+    });
+
+  return linkLength / textLength;
+}
+
+/**
+ * Drop leftover link lists and empty blocks inside the chosen container
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Cheerio} $content - Chosen container
+ */
+function cleanCandidate($, $content) {
+  $content.find('ul, ol, div, section, table').each((i, el) => {
+    const $el = $(el);
+    const text = $el.text().replace(/\s+/g, ' ').trim();
+
+    if (!text && !$el.find('img').length) {
+      $el.remove();
+      return;
+    }
+
+    // Short, link-heavy blocks are "read more" lists and share rows
+    if (linkDensity($, el) > 0.5 && text.length < 500) {
+      $el.remove();
+    }
+  });
+
+  $content.find('p').each((i, el) => {
+    if (!$(el).text().trim() && !$(el).find('img').length) {
+      $(el).remove();
+    }
+  });
+}
+
+/**
+ * Serialize the children of an element to sanitized HTML
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Cheerio} $parent - Parent element
+ * @param {string} baseUrl - Base URL for links and images
+ * @returns {string} Sanitized HTML
+ */
+function serializeChildren($, $parent, baseUrl) {
+  return $parent
+    .contents()
+    .toArray()
+    .map((node) => serializeNode($, node, baseUrl))
+    .join('');
+}
+
+/**
+ * Serialize one node to sanitized HTML
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {string} baseUrl - Base URL for links and images
+ * @returns {string} Sanitized HTML
+ */
+function serializeNode($, node, baseUrl) {
+  if (node.type === 'text') {
+    return escapeHtml(node.data.replace(/\s+/g, ' '));
+  }
+  if (node.type !== 'tag') {
+    return '';
+  }
+
+  const name = node.name.toLowerCase();
+  const $node = $(node);
+
+  if (ALLOWED_TAGS[name]) {
+    if (name === 'img') {
+      const src = absoluteUrl($node.attr('src') || $node.attr('data-src'), baseUrl, [
+        'http:',
+        'https:',
+      ]);
+      if (!src) return '';
+      const alt = $node.attr('alt') || '';
+      return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`;
+    }
+    if (name === 'br') {
+      return '<br>';
+    }
+
+    const inner = serializeChildren($, $node, baseUrl);
+    if (!inner.trim()) {
+      return '';
+    }
+
+    if (name === 'a') {
+      const href = ($node.attr('href') || '').trim();
+      // Drop fragment links and anything but web and mail links
+      // (javascript:, data:), keep their text
+      const url = href.startsWith('#')
+        ? null
+        : absoluteUrl(href, baseUrl, ['http:', 'https:', 'mailto:']);
+      if (!url) {
+        return inner;
+      }
+      return `<a href="${escapeHtml(url)}">${inner}</a>`;
+    }
+
+    const tag = `<${name}>${inner}</${name}>`;
+    return isBlock(name) ? `${tag}\n` : tag;
+  }
+
+  const inner = serializeChildren($, $node, baseUrl);
+
+  // A div holding only loose text acts as a paragraph
+  if (
+    BLOCK_CONTAINERS.has(name) &&
+    inner.trim() &&
+    !$node.find(BLOCK_CHILDREN).length
+  ) {
+    return `<p>${inner.trim()}</p>\n`;
+  }
+
+  return inner;
+}
+
+/**
+ * Whether a kept tag is block-level (gets a trailing newline)
+ * @param {string} name - Tag name
+ * @returns {boolean}
+ */
+function isBlock(name) {
+  return [
+    'p',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'ul',
+    'ol',
+    'li',
+    'blockquote',
+    'pre',
+    'figure',
+  ].includes(name);
+}
+
+/**
+ * Drop the whitespace left between blocks by the source markup
+ * @param {string} html - Serialized HTML
+ * @returns {string} Tidied HTML
+ */
+function tidy(html) {
+  return html.replace(/\n[ \t]+/g, '\n').trim();
+}
+
+/**
+ * Resolve a URL against the page URL
+ * The scheme is checked on the parsed URL: browsers ignore tabs, newlines
+ * and leading spaces, so "java\tscript:" still runs as javascript:
+ * @param {string} url - Possibly relative URL
+ * @param {string} baseUrl - Page URL
+ * @param {Array<string>} protocols - Allowed protocols, e.g. 'https:'
+ * @returns {string|null} Absolute URL, or null when it doesn't parse or
+ *   uses another protocol
+ */
+function absoluteUrl(url, baseUrl, protocols) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url, baseUrl);
+    return protocols.includes(resolved.protocol) ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  extractMainContent,
+  sanitizeHtml,
+  htmlToText,
+};
@@ -0,0 +1,147 @@
+/**
+ * Scrape Errors
+ * Error classes raised by scrapers, failure categories stored in
+ * scrape_logs.error_category, and the retry policy for fetches
+ */
+
+const { RobotsBlockedError } = require('./robots');
+
+// Categories stored in scrape_logs.error_category / sources.last_error_category
+const ERROR_CATEGORIES = [
+  'dns',
+  'timeout',
+  'network',
+  'http_4xx',
+  'http_5xx',
+  'parse_error',
+  'blocked',
+  'no_items',
+  'unknown',
+];
+
+// Longest Retry-After we are willing to wait inside a scrape run
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Raised when a feed, sitemap or page can't be parsed
+ */
+class ParseError extends Error {
+  constructor(message, url) {
+    super(message);
+    this.name = 'ParseError';
+    this.url = url;
+  }
+}
+
+/**
+ * Raised when a source yields no items at all (as opposed to only known
+ * ones): usually a changed page layout or a dead feed URL
+ */
+class NoItemsError extends Error {
+  constructor(sourceName, url) {
+    super(`No items found for ${sourceName}${url ? ` at ${url}` : ''}`);
+    this.name = 'NoItemsError';
+    this.url = url;
+  }
+}
+
+/**
+ * Short machine-readable category for a failed scrape
+ * @param {Error} error - Error thrown by a scraper
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+function classifyError(error) {
+  if (error instanceof RobotsBlockedError) return 'blocked';
+  if (error instanceof ParseError) return 'parse_error';
+  if (error instanceof NoItemsError) return 'no_items';
+
+  if (error.response) {
+    const status = error.response.status;
+    if (status >= 500) return 'http_5xx';
+    if (status >= 400) return 'http_4xx';
+  }
+
+  // Puppeteer reports navigation failures by name and message
+  if (error.name === 'TimeoutError') return 'timeout';
+  if (/ERR_NAME_NOT_RESOLVED/.test(error.message)) return 'dns';
+
+  switch (error.code) {
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+      return 'dns';
+    case 'ECONNABORTED':
+    case 'ETIMEDOUT':
+    case 'ESOCKETTIMEDOUT':
+      return 'timeout';
+    case 'ECONNREFUSED':
+    case 'ECONNRESET':
+    case 'EHOSTUNREACH':
+    case 'ENETUNREACH':
+    case 'EPIPE':
+      return 'network';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Whether a failed fetch is worth retrying: timeouts, dropped connections,
+ * 5xx and 429 responses
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  return ['timeout', 'network'].includes(classifyError(error));
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After when it sends
+ * one, otherwise exponential backoff with jitter (50-100% of base * 2^n)
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelay - Backoff base in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null to give up
+ */
+function getRetryDelay(error, attempt, baseDelay) {
+  const retryAfter = parseRetryAfter(
+    error.response && error.response.headers['retry-after']
+  );
+
+  if (retryAfter !== null) {
+    // Don't stall a whole scrape cycle on a long Retry-After
+    return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : null;
+  }
+
+  const ceiling = baseDelay * 2 ** (attempt - 1);
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return Math.max(0, date.getTime() - Date.now());
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  ParseError,
+  NoItemsError,
+  classifyError,
+  isRetryable,
+  getRetryDelay,
+};
@@ -0,0 +1,588 @@
+/**
+ * iCalendar (RFC 5545) Support
+ * Parses ICS feeds into events and expands recurring events (RRULE, RDATE,
+ * EXDATE and RECURRENCE-ID overrides) into occurrences within a window.
+ * Times with a TZID are wall-clock time in that zone, so a weekly 6pm
+ * meeting stays at 6pm across DST changes. Floating times and all-day
+ * dates use the calendar's X-WR-TIMEZONE, or the zone passed in.
+ * Supported RRULE parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY (with ordinals for MONTHLY/YEARLY), BYMONTHDAY,
+ * BYMONTH, BYSETPOS and WKST.
+ */
+
+const { resolveTimeZone, zonedTimeToUtc } = require('./timezone');
+const { ParseError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Stop runaway rules: occurrences kept per event inside the window, and
+// periods walked from DTSTART (about 27 years of a daily rule)
+const MAX_OCCURRENCES = 500;
+const MAX_PERIODS = 10000;
+
+/**
+ * Parse an ICS feed
+ * @param {string} text - ICS file contents
+ * @param {Object} options - { timezone } default zone for floating times
+ * @returns {Object} { name, timezone, events } - events are VEVENTs:
+ *   { uid, summary, description, location, url, status, categories,
+ *   start, end, duration, allDay, timezone, rrule, rdates, exdates,
+ *   recurrenceId }, with times as { wall, zone } (see utils/timezone)
+ * @throws {ParseError} When the text is not a VCALENDAR
+ */
+function parseICS(text, options = {}) {
+  const root = parseComponents(text);
+  const calendar = root.components.find((component) => component.type === 'VCALENDAR');
+  if (!calendar) {
+    throw new ParseError('Not an iCalendar file (no VCALENDAR)');
+  }
+
+  const calendarZone = resolveTimeZone(
+    getValue(calendar, 'X-WR-TIMEZONE'),
+    options.timezone || 'UTC'
+  );
+
+  const events = calendar.components
+    .filter((component) => component.type === 'VEVENT')
+    .map((component) => readEvent(component, calendarZone))
+    .filter((event) => event.start);
+
+  return {
+    name: getValue(calendar, 'X-WR-CALNAME') || null,
+    timezone: calendarZone,
+    events,
+  };
+}
+
+/**
+ * Expand parsed events into occurrences that overlap a window
+ * RECURRENCE-ID events replace the occurrence they override; cancelled
+ * overrides remove it
+ * @param {Array<Object>} events - Events from parseICS
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Array<Object>} Occurrences: the event's fields with start and
+ *   end as Dates, sorted by start
+ */
+function expandEvents(events, from, to) {
+  // uid -> Map(original start time -> override event)
+  const overrides = new Map();
+  events
+    .filter((event) => event.recurrenceId)
+    .forEach((event) => {
+      if (!overrides.has(event.uid)) overrides.set(event.uid, new Map());
+      overrides.get(event.uid).set(toDate(event.recurrenceId).getTime(), event);
+    });
+
+  const occurrences = [];
+
+  for (const event of events) {
+    if (event.recurrenceId && event.rrule === null) {
+      // Overrides are placed while expanding their master below; one whose
+      // master isn't in the feed stands alone
+      const hasMaster = events.some(
+        (other) => other.uid === event.uid && !other.recurrenceId
+      );
+      if (hasMaster) continue;
+    }
+
+    const replaced = overrides.get(event.uid) || new Map();
+    const starts = event.recurrenceId
+      ? [event.start]
+      : getOccurrenceStarts(event, from, to);
+
+    for (const start of starts) {
+      const startDate = toDate(start);
+      const override = event.recurrenceId ? null : replaced.get(startDate.getTime());
+      const source = override || event;
+      const occurrence = buildOccurrence(source, override ? source.start : start);
+
+      if (occurrence.status === 'cancelled' && override) continue;
+      if (overlaps(occurrence, from, to)) {
+        occurrences.push(occurrence);
+      }
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a RRULE value
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10"
+ * @returns {Object|null} Rule, or null when FREQ is missing or unsupported
+ */
+function parseRRule(value) {
+  const parts = {};
+  value.split(';').forEach((part) => {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) parts[key.trim().toUpperCase()] = val.trim();
+  });
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    return null;
+  }
+
+  const list = (key, parse) =>
+    parts[key] ? parts[key].split(',').map(parse).filter((item) => item !== null) : [];
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL || null,
+    byDay: list('BYDAY', (day) => {
+      const match = day.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+      return match
+        ? { n: match[1] ? parseInt(match[1], 10) : null, day: WEEKDAYS.indexOf(match[2]) }
+        : null;
+    }),
+    byMonthDay: list('BYMONTHDAY', (day) => parseInt(day, 10) || null),
+    byMonth: list('BYMONTH', (month) => parseInt(month, 10) || null),
+    bySetPos: list('BYSETPOS', (pos) => parseInt(pos, 10) || null),
+    weekStart: Math.max(WEEKDAYS.indexOf((parts.WKST || 'MO').toUpperCase()), 0),
+  };
+}
+
+/**
+ * Start times of an event's occurrences that may overlap a window
+ * @param {Object} event - Event from parseICS
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Array<Object>} Start times as { wall, zone }
+ */
+function getOccurrenceStarts(event, from, to) {
+  const { start } = event;
+  const excluded = new Set(event.exdates.map((time) => toDate(time).getTime()));
+  const starts = [start];
+  // Occurrences starting this long before the window still overlap it
+  const length = event.end
+    ? event.end.wall - start.wall
+    : event.duration !== null
+      ? event.duration
+      : DAY_MS;
+  const earliest = from.getTime() - Math.max(length, 0);
+
+  if (event.rrule) {
+    const rule = event.rrule;
+    const until = rule.until ? readTime(rule.until, {}, start.zone) : null;
+    // A date-only UNTIL includes that whole day
+    const untilTime = until
+      ? toDate(until).getTime() + (until.allDay ? DAY_MS - 1 : 0)
+      : Infinity;
+    const end = Math.min(to.getTime(), untilTime);
+    const timeOfDay = ((start.wall % DAY_MS) + DAY_MS) % DAY_MS;
+    let count = 1;
+
+    periods: for (let period = 0; period < MAX_PERIODS; period++) {
+      const days = getPeriodDays(rule, start.wall, period);
+      if (days === null) break;
+
+      for (const day of days) {
+        const wall = day + timeOfDay;
+        if (wall <= start.wall) continue;
+
+        const time = { wall, zone: start.zone };
+        const instant = toDate(time).getTime();
+        if (instant > end) break periods;
+        if (rule.count !== null && count >= rule.count) break periods;
+
+        // COUNT includes occurrences before the window
+        count++;
+        if (instant < earliest) continue;
+        starts.push(time);
+        if (starts.length >= MAX_OCCURRENCES) break periods;
+      }
+    }
+  }
+
+  event.rdates.forEach((time) => starts.push(time));
+
+  const seen = new Set();
+  return starts.filter((time) => {
+    const key = toDate(time).getTime();
+    if (excluded.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Candidate days (wall midnight) in the nth period of a rule, sorted
+ * @param {Object} rule - Parsed RRULE
+ * @param {number} startWall - DTSTART wall time
+ * @param {number} period - Period index (0 = the period holding DTSTART)
+ * @returns {Array<number>|null} Days, or null past the supported range
+ */
+function getPeriodDays(rule, startWall, period) {
+  const start = new Date(startWall);
+  const startDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const step = period * rule.interval;
+  let days;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      days = [startDay + step * DAY_MS];
+      break;
+
+    case 'WEEKLY': {
+      const offset = (start.getUTCDay() - rule.weekStart + 7) % 7;
+      const weekStart = startDay - offset * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map((entry) => entry.day)
+        : [start.getUTCDay()];
+      days = [...new Set(weekdays)].map(
+        (weekday) => weekStart + ((weekday - rule.weekStart + 7) % 7) * DAY_MS
+      );
+      break;
+    }
+
+    case 'MONTHLY': {
+      const month = start.getUTCMonth() + step;
+      days = getMonthDays(rule, start.getUTCFullYear(), month, start.getUTCDate());
+      break;
+    }
+
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + step;
+      const months = rule.byMonth.length ? rule.byMonth.map((m) => m - 1) : [start.getUTCMonth()];
+      days = months.flatMap((month) =>
+        getMonthDays(rule, year, month, start.getUTCDate())
+      );
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  days = [...new Set(days)]
+    .filter((day) => {
+      const date = new Date(day);
+      if (rule.byMonth.length && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+      if (rule.freq === 'DAILY' && rule.byDay.length) {
+        return rule.byDay.some((entry) => entry.day === date.getUTCDay());
+      }
+      if (rule.freq === 'DAILY' && rule.byMonthDay.length) {
+        return matchesMonthDay(rule.byMonthDay, date);
+      }
+      return true;
+    })
+    .sort((a, b) => a - b);
+
+  if (rule.bySetPos.length) {
+    days = rule.bySetPos
+      .map((pos) => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+      .filter((day) => day !== undefined)
+      .sort((a, b) => a - b);
+  }
+
+  return days;
+}
+
+/**
+ * Candidate days in one month for MONTHLY and YEARLY rules
+ * @param {Object} rule - Parsed RRULE
+ * @param {number} year - Year
+ * @param {number} month - Month index (may overflow; Date.UTC normalizes)
+ * @param {number} startDate - DTSTART day of month, used without BYxxx parts
+ * @returns {Array<number>} Days as wall midnight
+ */
+function getMonthDays(rule, year, month, startDate) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const y = first.getUTCFullYear();
+  const m = first.getUTCMonth();
+  const length = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  const allDays = Array.from({ length }, (_, i) => Date.UTC(y, m, i + 1));
+
+  let days = allDays;
+
+  if (rule.byDay.length) {
+    days = rule.byDay.flatMap((entry) => {
+      const matching = allDays.filter((day) => new Date(day).getUTCDay() === entry.day);
+      if (entry.n === null) return matching;
+      const pick = entry.n > 0 ? matching[entry.n - 1] : matching[matching.length + entry.n];
+      return pick === undefined ? [] : [pick];
+    });
+  }
+
+  if (rule.byMonthDay.length) {
+    days = days.filter((day) => matchesMonthDay(rule.byMonthDay, new Date(day)));
+  } else if (!rule.byDay.length) {
+    // Plain monthly rules repeat DTSTART's day, skipping short months
+    days = startDate <= length ? [Date.UTC(y, m, startDate)] : [];
+  }
+
+  return days;
+}
+
+/**
+ * Whether a day matches BYMONTHDAY (negative values count from month end)
+ * @param {Array<number>} monthDays - BYMONTHDAY values
+ * @param {Date} date - Day
+ * @returns {boolean}
+ */
+function matchesMonthDay(monthDays, date) {
+  const day = date.getUTCDate();
+  const length = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  return monthDays.some((value) => (value > 0 ? value === day : length + value + 1 === day));
+}
+
+/**
+ * One occurrence with real Dates
+ * @param {Object} event - Event (or override) from parseICS
+ * @param {Object} start - Occurrence start as { wall, zone }
+ * @returns {Object} Occurrence
+ */
+function buildOccurrence(event, start) {
+  let end = null;
+  if (event.end) {
+    // Same length as the first occurrence, in wall time across DST
+    end = { wall: start.wall + (event.end.wall - event.start.wall), zone: start.zone };
+  } else if (event.duration !== null) {
+    end = { wall: start.wall + event.duration, zone: start.zone };
+  } else if (event.allDay) {
+    end = { wall: start.wall + DAY_MS, zone: start.zone };
+  }
+
+  const { rrule, rdates, exdates, recurrenceId, duration, ...fields } = event;
+  return {
+    ...fields,
+    start: toDate(start),
+    end: end ? toDate(end) : null,
+  };
+}
+
+/**
+ * Whether an occurrence overlaps [from, to]
+ */
+function overlaps(occurrence, from, to) {
+  const end = occurrence.end || occurrence.start;
+  return occurrence.start <= to && end >= from;
+}
+
+/**
+ * Read a VEVENT into plain fields
+ * @param {Object} component - Parsed VEVENT
+ * @param {string} calendarZone - Zone for floating times
+ * @returns {Object} Event
+ */
+function readEvent(component, calendarZone) {
+  const startProp = getProperty(component, 'DTSTART');
+  const start = startProp ? readTime(startProp.value, startProp.params, calendarZone) : null;
+  const endProp = getProperty(component, 'DTEND');
+  const end = endProp ? readTime(endProp.value, endProp.params, calendarZone) : null;
+  const rrule = getValue(component, 'RRULE');
+  const recurrenceProp = getProperty(component, 'RECURRENCE-ID');
+  const status = (getValue(component, 'STATUS') || 'CONFIRMED').toLowerCase();
+
+  const readTimes = (name) =>
+    getProperties(component, name).flatMap((prop) =>
+      prop.value
+        .split(',')
+        .map((value) => readTime(value, prop.params, calendarZone))
+        .filter(Boolean)
+    );
+
+  return {
+    uid: getValue(component, 'UID') || null,
+    summary: unescapeText(getValue(component, 'SUMMARY') || ''),
+    description: unescapeText(getValue(component, 'DESCRIPTION') || ''),
+    location: unescapeText(getValue(component, 'LOCATION') || '') || null,
+    url: getValue(component, 'URL') || null,
+    status: ['confirmed', 'tentative', 'cancelled'].includes(status) ? status : 'confirmed',
+    categories: getProperties(component, 'CATEGORIES').flatMap((prop) =>
+      splitText(prop.value)
+    ),
+    start,
+    end: end && start && end.wall > start.wall ? end : null,
+    duration: parseDuration(getValue(component, 'DURATION')),
+    allDay: start ? start.allDay : false,
+    timezone: start && start.zone !== 'UTC' ? start.zone : calendarZone,
+    rrule: rrule ? parseRRule(rrule) : null,
+    rdates: readTimes('RDATE'),
+    exdates: readTimes('EXDATE'),
+    recurrenceId: recurrenceProp
+      ? readTime(recurrenceProp.value, recurrenceProp.params, calendarZone)
+      : null,
+  };
+}
+
+/**
+ * Read a DATE or DATE-TIME value
+ * @param {string} value - e.g. 20261107, 20261107T180000, 20261107T180000Z
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string} calendarZone - Zone for floating times and dates
+ * @returns {Object|null} { wall, zone, allDay }
+ */
+function readTime(value, params, calendarZone) {
+  const match = (value || '')
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const wall = Date.UTC(
+    parseInt(year, 10),
+    parseInt(month, 10) - 1,
+    parseInt(day, 10),
+    parseInt(hour || '0', 10),
+    parseInt(minute || '0', 10),
+    parseInt(second || '0', 10)
+  );
+
+  if (utc) {
+    // UTC times repeat at the same instant, not the same local time
+    return { wall, zone: 'UTC', allDay: false };
+  }
+
+  return {
+    wall,
+    zone: resolveTimeZone(params.TZID, calendarZone),
+    allDay: hour === undefined,
+  };
+}
+
+/**
+ * { wall, zone } -> Date
+ */
+function toDate(time) {
+  return zonedTimeToUtc(time.wall, time.zone);
+}
+
+/**
+ * Parse a DURATION value (P1W, P1DT2H, PT90M, -PT15M)
+ * @param {string} value - Duration
+ * @returns {number|null} Milliseconds
+ */
+function parseDuration(value) {
+  const match = (value || '')
+    .trim()
+    .match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match || value.trim().length <= 2) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map((part, i) =>
+    i > 1 ? parseInt(part || '0', 10) : part
+  );
+  const ms =
+    ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Split unfolded ICS text into a component tree
+ * @param {string} text - ICS contents
+ * @returns {Object} Root { type, properties, components }
+ */
+function parseComponents(text) {
+  const root = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  const lines = String(text)
+    .replace(/^﻿/, '')
+    // Lines are folded with CRLF followed by a space or tab
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseLine(line);
+    if (!property) continue;
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = {
+        type: property.value.toUpperCase(),
+        properties: [],
+        components: [],
+      };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Parse a content line: NAME;PARAM=value;PARAM="quoted:value":VALUE
+ * @param {string} line - Unfolded line
+ * @returns {Object|null} { name, params, value }
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.substring(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  rawParams.forEach((param) => {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.substring(0, eq).toUpperCase()] = param
+        .substring(eq + 1)
+        .replace(/^"|"$/g, '');
+    }
+  });
+
+  return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+}
+
+function getProperties(component, name) {
+  return component.properties.filter((property) => property.name === name);
+}
+
+function getProperty(component, name) {
+  return getProperties(component, name)[0] || null;
+}
+
+function getValue(component, name) {
+  const property = getProperty(component, name);
+  return property ? property.value : null;
+}
+
+/**
+ * Undo TEXT escaping (\n, \, \; \\)
+ * @param {string} value - Escaped text
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Split a multi-valued TEXT property on unescaped commas
+ * @param {string} value - e.g. "Festival,City Council\, Foley"
+ * @returns {Array<string>}
+ */
+function splitText(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map(unescapeText)
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseICS,
+  expandEvents,
+  parseRRule,
+};
@@ -0,0 +1,168 @@
+/**
+ * JSON-LD Utilities
+ * Reads schema.org data from <script type="application/ld+json"> blocks
+ * Handles top-level arrays, @graph containers (Yoast/WordPress) and
+ * {"@id": ...} references between nodes (Arc, Yoast author/image refs)
+ */
+
+const logger = require('./logger');
+
+/**
+ * Collect every JSON-LD node on a page
+ * @param {CheerioStatic} $ - Cheerio instance
+ * @returns {Object} { nodes, byId } — flat node list and @id lookup
+ */
+function extractJsonLd($) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const raw = $(el).contents().text().trim();
+    if (!raw) return;
+
+    try {
+      collectNodes(JSON.parse(raw), nodes);
+    } catch (error) {
+      // Some CMSes emit trailing commas or HTML comments; skip that block
+      logger.debug(`Invalid JSON-LD block ignored: ${error.message}`);
+    }
+  });
+
+  const byId = new Map();
+  nodes.forEach((node) => {
+    if (node['@id']) byId.set(node['@id'], node);
+  });
+
+  return { nodes, byId };
+}
+
+/**
+ * Flatten arrays and @graph containers into a node list
+ * @param {*} data - Parsed JSON-LD
+ * @param {Array<Object>} nodes - Accumulator
+ */
+function collectNodes(data, nodes) {
+  if (Array.isArray(data)) {
+    data.forEach((item) => collectNodes(item, nodes));
+    return;
+  }
+  if (!data || typeof data !== 'object') return;
+
+  if (data['@type']) {
+    nodes.push(data);
+  }
+  if (data['@graph']) {
+    collectNodes(data['@graph'], nodes);
+  }
+}
+
+/**
+ * Find the first node of one of the given types
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @param {Array<string>} types - schema.org types, in priority order
+ * @returns {Object|null} Matching node
+ */
+function findByType(jsonLd, types) {
+  for (const type of types) {
+    const node = jsonLd.nodes.find((candidate) => hasType(candidate, type));
+    if (node) return node;
+  }
+  return null;
+}
+
+/**
+ * Find every node of one of the given types
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @param {Array<string>} types - schema.org types
+ * @returns {Array<Object>} Matching nodes
+ */
+function findAllByType(jsonLd, types) {
+  return jsonLd.nodes.filter((node) =>
+    types.some((type) => hasType(node, type))
+  );
+}
+
+/**
+ * Whether a node has a schema.org type (@type may be a string or array)
+ * @param {Object} node - JSON-LD node
+ * @param {string} type - schema.org type
+ * @returns {boolean}
+ */
+function hasType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.includes(type);
+}
+
+/**
+ * Follow an {"@id": ...} reference to the full node, if it is on the page
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @param {*} value - Node, reference or plain value
+ * @returns {*} Resolved value
+ */
+function resolve(jsonLd, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && value['@id'] && jsonLd.byId.has(value['@id'])) {
+      return jsonLd.byId.get(value['@id']);
+    }
+  }
+  return value;
+}
+
+/**
+ * Read a person/organization name (string, node, reference or array)
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @param {*} value - author/creator/publisher value
+ * @returns {string|null} Comma-separated names
+ */
+function readName(jsonLd, value) {
+  const values = Array.isArray(value) ? value : [value];
+  const names = values
+    .map((item) => resolve(jsonLd, item))
+    .map((item) => (typeof item === 'string' ? item : item && item.name))
+    .filter((name) => typeof name === 'string' && name.trim())
+    .map((name) => name.trim());
+
+  return names.length ? [...new Set(names)].join(', ') : null;
+}
+
+/**
+ * Read an image URL (string, ImageObject, reference or array)
+ * @param {Object} jsonLd - Result of extractJsonLd
+ * @param {*} value - image/thumbnailUrl value
+ * @returns {string|null} First image URL
+ */
+function readImage(jsonLd, value) {
+  const values = Array.isArray(value) ? value : [value];
+
+  for (const item of values) {
+    const resolved = resolve(jsonLd, item);
+    if (typeof resolved === 'string' && resolved) return resolved;
+    if (resolved && typeof resolved === 'object') {
+      const url = resolved.url || resolved.contentUrl;
+      if (typeof url === 'string' && url) return url;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a plain text value (some publishers wrap strings in arrays)
+ * @param {*} value - Text value
+ * @returns {string|null} Text
+ */
+function readText(value) {
+  const text = Array.isArray(value) ? value[0] : value;
+  return typeof text === 'string' && text.trim() ? text.trim() : null;
+}
+
+module.exports = {
+  extractJsonLd,
+  findByType,
+  findAllByType,
+  hasType,
+  resolve,
+  readName,
+  readImage,
+  readText,
+};
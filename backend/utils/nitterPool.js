@@ -0,0 +1,177 @@
+/**
+ * Nitter Instance Pool
+ * Public Nitter instances come and go, so hashtag scrapes don't depend on a
+ * single one. Each instance is probed (GET /) at most every
+ * NITTER_PROBE_INTERVAL_MINUTES, when a scrape asks for the ranking, and
+ * instances are ranked healthy-first by latency. Latency is a moving
+ * average of probes and real page loads; a failed page load marks the
+ * instance down until its next successful probe.
+ * Instances come from NITTER_INSTANCES (comma-separated origins).
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+
+const DEFAULT_INSTANCES = [
+  'https://nitter.net',
+  'https://nitter.1d4.us',
+  'https://nitter.kavin.rocks',
+  'https://nitter.unixfox.eu',
+];
+
+// Weight of the newest sample in the latency average
+const LATENCY_WEIGHT = 0.3;
+
+class NitterPool {
+  constructor() {
+    // origin -> { url, healthy, latency, failures, lastChecked, lastError }
+    this.instances = new Map();
+    this.probeInterval =
+      (parseInt(process.env.NITTER_PROBE_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.probeTimeout = parseInt(process.env.NITTER_PROBE_TIMEOUT_MS) || 10000;
+    // In-flight probe round, shared by scrapers that ask at the same time
+    this.probing = null;
+
+    const configured = (process.env.NITTER_INSTANCES || '')
+      .split(',')
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+    (configured.length > 0 ? configured : DEFAULT_INSTANCES).forEach((url) =>
+      this.add(url)
+    );
+  }
+
+  /**
+   * Add an instance to the pool (no-op if already present)
+   * @param {string} url - Instance URL; only its origin is kept
+   * @returns {string} Instance origin
+   */
+  add(url) {
+    const origin = new URL(url).origin;
+
+    if (!this.instances.has(origin)) {
+      this.instances.set(origin, {
+        url: origin,
+        healthy: true,
+        latency: null,
+        failures: 0,
+        lastChecked: null,
+        lastError: null,
+      });
+    }
+    return origin;
+  }
+
+  /**
+   * Instances in the order they should be tried
+   * Probes stale instances first. Unhealthy instances stay at the end as a
+   * last resort, since a probe can fail while search still works.
+   * @returns {Promise<Array<string>>} Instance origins
+   */
+  async getRanked() {
+    await this.probeStale();
+
+    return [...this.instances.values()]
+      .sort((a, b) => {
+        if (a.healthy !== b.healthy) return a.healthy ? -1 : 1;
+        if (!a.healthy) return a.failures - b.failures;
+        return (a.latency ?? Infinity) - (b.latency ?? Infinity);
+      })
+      .map((instance) => instance.url);
+  }
+
+  /**
+   * Probe every instance not checked within probeInterval
+   * @returns {Promise<void>}
+   */
+  probeStale() {
+    if (this.probing) return this.probing;
+
+    const now = Date.now();
+    const stale = [...this.instances.values()].filter(
+      (instance) =>
+        !instance.lastChecked || now - instance.lastChecked >= this.probeInterval
+    );
+    if (stale.length === 0) return Promise.resolve();
+
+    this.probing = Promise.all(stale.map((instance) => this.probe(instance)))
+      .then(() => {
+        const healthy = stale.filter((instance) => instance.healthy).length;
+        logger.info(`Nitter probe: ${healthy}/${stale.length} instances up`);
+      })
+      .finally(() => {
+        this.probing = null;
+      });
+
+    return this.probing;
+  }
+
+  /**
+   * Check one instance's front page and time it
+   * @param {Object} instance - Pool entry
+   * @returns {Promise<void>}
+   */
+  async probe(instance) {
+    const started = Date.now();
+
+    try {
+      await axios.get(`${instance.url}/`, {
+        timeout: this.probeTimeout,
+        maxRedirects: 2,
+      });
+      this.recordSuccess(instance.url, Date.now() - started);
+    } catch (error) {
+      this.recordFailure(instance.url, error);
+    }
+    instance.lastChecked = Date.now();
+  }
+
+  /**
+   * Record a successful request and its latency
+   * @param {string} origin - Instance origin
+   * @param {number} latency - Milliseconds
+   */
+  recordSuccess(origin, latency) {
+    const instance = this.instances.get(origin);
+    if (!instance) return;
+
+    instance.healthy = true;
+    instance.failures = 0;
+    instance.lastError = null;
+    instance.latency =
+      instance.latency === null
+        ? latency
+        : Math.round(
+            LATENCY_WEIGHT * latency + (1 - LATENCY_WEIGHT) * instance.latency
+          );
+  }
+
+  /**
+   * Record a failed request; the instance drops to the end of the ranking
+   * @param {string} origin - Instance origin
+   * @param {Error} error - What went wrong
+   */
+  recordFailure(origin, error) {
+    const instance = this.instances.get(origin);
+    if (!instance) return;
+
+    instance.healthy = false;
+    instance.failures++;
+    instance.lastError = error.message;
+  }
+
+  /**
+   * Current state of every instance, for logs and the admin API
+   * @returns {Array<Object>} Pool entries
+   */
+  getStatus() {
+    return [...this.instances.values()].map((instance) => ({
+      ...instance,
+      lastChecked: instance.lastChecked ? new Date(instance.lastChecked) : null,
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new NitterPool();
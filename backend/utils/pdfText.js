@@ -0,0 +1,995 @@
+/**
+ * PDF Text Extraction
+ * Pulls the text out of a PDF without external tools: objects (including
+ * PDF 1.5 object streams) are read from the raw bytes, Flate streams are
+ * inflated with zlib, and each page's content stream is walked for the
+ * text-showing operators. Fonts with a ToUnicode CMap are decoded through
+ * it; simple fonts fall back to their encoding (WinAnsi, Differences).
+ * Line breaks are inferred from text positioning, which is good enough for
+ * search but not a faithful layout. Scanned PDFs (images only) yield no
+ * text; encrypted PDFs are rejected.
+ */
+
+const zlib = require('zlib');
+const { ParseError } = require('./errors');
+
+// Form XObjects can nest; stop following them past this depth
+const MAX_FORM_DEPTH = 3;
+
+// Decoding limits: a small Flate stream can inflate to gigabytes, and
+// extraction runs in the API process
+const MAX_STREAM_BYTES = 10 * 1024 * 1024;
+const MAX_DECODED_BYTES = 50 * 1024 * 1024;
+
+// WinAnsiEncoding differs from Latin-1 in 0x80-0x9F
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+  0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘',
+  0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+  0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
+
+// Glyph names used in /Differences arrays (letters and uniXXXX are handled
+// separately)
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$',
+  percent: '%', ampersand: '&', quotesingle: "'", quoteright: '’',
+  quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*', plus: '+',
+  comma: ',', hyphen: '-', period: '.', slash: '/', zero: '0', one: '1',
+  two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=',
+  greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', asciicircum: '^', underscore: '_', grave: '`',
+  braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', endash: '–', emdash: '—', bullet: '•', ellipsis: '…',
+  dagger: '†', daggerdbl: '‡', section: '§', paragraph: '¶',
+  copyright: '©', registered: '®', trademark: '™', degree: '°',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', minus: '-',
+  nbspace: ' ', dotlessi: 'ı', periodcentered: '·', middot: '·',
+};
+
+/**
+ * Extract the text of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Object} { pages: Array<string>, text } - text is the pages
+ *   joined by blank lines
+ * @throws {ParseError} When the file isn't a PDF, is encrypted or
+ *   decodes to more than MAX_DECODED_BYTES
+ */
+function extractPdfText(buffer) {
+  const data = buffer.toString('latin1');
+  // Some generators put junk before the header; readers allow 1KB of it
+  const header = data.indexOf('%PDF-');
+  if (header === -1 || header > 1024) {
+    throw new ParseError('Not a PDF file');
+  }
+
+  const pdf = readObjects(data);
+  if (pdf.encrypted) {
+    throw new ParseError('Encrypted PDFs are not supported');
+  }
+
+  const pages = getPages(pdf).map((page) => {
+    try {
+      return extractPageText(pdf, page);
+    } catch (error) {
+      if (error instanceof ParseError) throw error;
+      // One broken page shouldn't lose the rest of the document
+      return '';
+    }
+  });
+
+  return {
+    pages,
+    text: pages.filter(Boolean).join('\n\n'),
+  };
+}
+
+/* ============================================
+   OBJECTS
+   ============================================ */
+
+/**
+ * Read every indirect object in the file
+ * Later definitions win, so incremental updates replace the originals
+ * @param {string} data - File contents as Latin-1
+ * @returns {Object} { objects: Map(number -> { value, stream }), encrypted }
+ */
+function readObjects(data) {
+  const objects = new Map();
+  const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+
+  while ((match = pattern.exec(data)) !== null) {
+    const parser = new ObjectParser(data, pattern.lastIndex);
+    let value;
+    try {
+      value = parser.parseValue();
+    } catch {
+      continue;
+    }
+
+    const object = { value, stream: null };
+    parser.skipWhitespace();
+
+    if (data.startsWith('stream', parser.pos)) {
+      let start = parser.pos + 'stream'.length;
+      if (data[start] === '\r') start++;
+      if (data[start] === '\n') start++;
+
+      // Trust /Length when it lands on endstream; otherwise search for it
+      const length = value && typeof value.Length === 'number' ? value.Length : -1;
+      let end =
+        length >= 0 && /^\s*endstream/.test(data.substr(start + length, 20))
+          ? start + length
+          : data.indexOf('endstream', start);
+      if (end === -1) end = data.length;
+
+      object.stream = data.substring(start, end);
+      pattern.lastIndex = end;
+    }
+
+    objects.set(parseInt(match[1], 10), object);
+  }
+
+  const pdf = { objects, encrypted: false, decodedBytes: 0 };
+
+  // PDF 1.5+ keeps most small objects inside object streams
+  for (const object of [...objects.values()]) {
+    if (object.stream !== null && object.value && isName(object.value.Type, 'ObjStm')) {
+      readObjectStream(pdf, object);
+    }
+  }
+
+  // The trailer (or the xref stream dictionary) says whether it's encrypted
+  const trailers = [];
+  const trailerPattern = /trailer\s*(?=<<)/g;
+  while ((match = trailerPattern.exec(data)) !== null) {
+    try {
+      trailers.push(new ObjectParser(data, trailerPattern.lastIndex).parseValue());
+    } catch {
+      // Damaged trailer; the xref stream may still tell
+    }
+  }
+  [...objects.values()]
+    .filter((object) => object.value && isName(object.value.Type, 'XRef'))
+    .forEach((object) => trailers.push(object.value));
+  pdf.encrypted = trailers.some((trailer) => trailer && trailer.Encrypt !== undefined);
+
+  return pdf;
+}
+
+/**
+ * Add the objects packed in an object stream
+ * @param {Object} pdf - Parsed PDF
+ * @param {Object} object - The /ObjStm object
+ */
+function readObjectStream(pdf, object) {
+  const content = decodeStream(pdf, object);
+  if (content === null) return;
+
+  const count = resolve(pdf, object.value.N);
+  const first = resolve(pdf, object.value.First);
+  const header = content.substring(0, first).trim().split(/\s+/).map(Number);
+
+  for (let i = 0; i < count; i++) {
+    const number = header[i * 2];
+    const offset = header[i * 2 + 1];
+    // Objects written directly in the file are newer than packed ones
+    if (pdf.objects.has(number) || !Number.isInteger(number)) continue;
+
+    try {
+      const parser = new ObjectParser(content, first + offset);
+      pdf.objects.set(number, { value: parser.parseValue(), stream: null });
+    } catch {
+      // Skip the unreadable object
+    }
+  }
+}
+
+/**
+ * Follow indirect references to a value
+ * @param {Object} pdf - Parsed PDF
+ * @param {*} value - Value, possibly { ref }
+ * @returns {*} Resolved value (undefined for missing objects)
+ */
+function resolve(pdf, value) {
+  let current = value;
+  for (let i = 0; i < 10 && current && current.ref !== undefined; i++) {
+    const object = pdf.objects.get(current.ref);
+    current = object ? object.value : undefined;
+  }
+  return current;
+}
+
+/**
+ * The object (value and stream) a reference points to
+ * @param {Object} pdf - Parsed PDF
+ * @param {*} value - { ref }
+ * @returns {Object|null}
+ */
+function getObject(pdf, value) {
+  return value && value.ref !== undefined ? pdf.objects.get(value.ref) || null : null;
+}
+
+/**
+ * Decode a stream's data through its filters
+ * @param {Object} pdf - Parsed PDF
+ * @param {Object} object - { value, stream }
+ * @returns {string|null} Decoded data as Latin-1, or null when a filter
+ *   isn't supported (images)
+ * @throws {ParseError} When a stream or the whole file decodes past the
+ *   size limits
+ */
+function decodeStream(pdf, object) {
+  const filter = resolve(pdf, object.value && object.value.Filter);
+  const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(
+    (name) => resolve(pdf, name)
+  );
+
+  let data = object.stream;
+  for (const name of filters) {
+    switch (name && name.name) {
+      case 'FlateDecode':
+      case 'Fl':
+        data = inflate(Buffer.from(data, 'latin1'));
+        break;
+      case 'ASCIIHexDecode':
+      case 'AHx':
+        data = decodeHex(data.replace(/>.*$/s, ''));
+        break;
+      case 'ASCII85Decode':
+      case 'A85':
+        data = decodeAscii85(data);
+        break;
+      default:
+        return null;
+    }
+    if (data === null) return null;
+  }
+
+  // Streams are decoded again for every page that uses them, so this
+  // counts work done rather than unique data
+  if (filters.length > 0) {
+    pdf.decodedBytes += data.length;
+    if (pdf.decodedBytes > MAX_DECODED_BYTES) {
+      throw new ParseError(`PDF decodes to more than ${MAX_DECODED_BYTES} bytes`);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Inflate zlib data, salvaging what we can from truncated streams
+ * @param {Buffer} buffer - Compressed data
+ * @returns {string|null} Inflated data as Latin-1
+ * @throws {ParseError} When the stream inflates past MAX_STREAM_BYTES
+ */
+function inflate(buffer) {
+  const options = { maxOutputLength: MAX_STREAM_BYTES };
+  const tooLarge = () =>
+    new ParseError(`PDF stream inflates to more than ${MAX_STREAM_BYTES} bytes`);
+  try {
+    return zlib.inflateSync(buffer, options).toString('latin1');
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    try {
+      return zlib
+        .inflateSync(buffer, { ...options, finishFlush: zlib.constants.Z_SYNC_FLUSH })
+        .toString('latin1');
+    } catch (retryError) {
+      if (retryError.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      return null;
+    }
+  }
+}
+
+
+/**
+ * Decode ASCIIHex data (also used for <hex> strings)
+ * @param {string} hex - Hex digits, whitespace allowed
+ * @returns {string} Bytes as Latin-1
+ */
+function decodeHex(hex) {
+  const digits = hex.replace(/[^0-9a-f]/gi, '');
+  const padded = digits.length % 2 ? `${digits}0` : digits;
+  return Buffer.from(padded, 'hex').toString('latin1');
+}
+
+/**
+ * Decode ASCII85 data
+ * @param {string} text - ASCII85 text, optionally ending with ~>
+ * @returns {string} Bytes as Latin-1
+ */
+function decodeAscii85(text) {
+  const input = text.replace(/^<~/, '').replace(/~>.*$/s, '').replace(/\s/g, '');
+  const bytes = [];
+  let group = [];
+
+  const flush = (digits) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 85 + (i < digits.length ? digits[i] : 84);
+    }
+    const out = [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    bytes.push(...out.slice(0, digits.length - 1));
+  };
+
+  for (const char of input) {
+    if (char === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      flush(group);
+      group = [];
+    }
+  }
+  if (group.length > 1) flush(group);
+
+  return Buffer.from(bytes).toString('latin1');
+}
+
+/**
+ * Parser for PDF values: numbers, names, strings, arrays, dictionaries,
+ * references. Names become { name }, strings { string } (Latin-1 bytes),
+ * references { ref }.
+ */
+class ObjectParser {
+  constructor(data, pos) {
+    this.data = data;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const { data } = this;
+    while (this.pos < data.length) {
+      const code = data.charCodeAt(this.pos);
+      if (code === 0x25) {
+        // % comment to end of line
+        while (this.pos < data.length && data[this.pos] !== '\n' && data[this.pos] !== '\r') {
+          this.pos++;
+        }
+      } else if (code === 0x20 || code === 0x0a || code === 0x0d || code === 0x09 || code === 0x0c || code === 0x00) {
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parseValue() {
+    this.skipWhitespace();
+    const { data } = this;
+    const char = data[this.pos];
+
+    if (char === '<' && data[this.pos + 1] === '<') {
+      return this.parseDictionary();
+    }
+    if (char === '<') {
+      const end = data.indexOf('>', this.pos);
+      const hex = data.substring(this.pos + 1, end);
+      this.pos = end + 1;
+      return { string: decodeHex(hex) };
+    }
+    if (char === '[') {
+      this.pos++;
+      const items = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (data[this.pos] === ']' || this.pos >= data.length) break;
+        items.push(this.parseValue());
+      }
+      this.pos++;
+      return items;
+    }
+    if (char === '(') {
+      const { value, end } = readLiteralString(data, this.pos);
+      this.pos = end;
+      return { string: value };
+    }
+    if (char === '/') {
+      const match = /^\/([^\s/<>[\]()%{}]*)/.exec(data.substr(this.pos, 256));
+      this.pos += match[0].length;
+      return { name: decodeName(match[1]) };
+    }
+
+    const ref = /^(\d+)\s+(\d+)\s+R\b/.exec(data.substr(this.pos, 32));
+    if (ref) {
+      this.pos += ref[0].length;
+      return { ref: parseInt(ref[1], 10) };
+    }
+
+    const token = /^[^\s/<>[\]()%{}]+/.exec(data.substr(this.pos, 64));
+    if (!token) {
+      throw new Error(`Unexpected character at ${this.pos}`);
+    }
+    this.pos += token[0].length;
+
+    if (token[0] === 'true') return true;
+    if (token[0] === 'false') return false;
+    if (token[0] === 'null') return null;
+    const number = Number(token[0]);
+    if (isNaN(number)) {
+      throw new Error(`Unexpected token ${token[0]}`);
+    }
+    return number;
+  }
+
+  parseDictionary() {
+    this.pos += 2;
+    const dict = {};
+    for (;;) {
+      this.skipWhitespace();
+      if (this.data.startsWith('>>', this.pos)) {
+        this.pos += 2;
+        return dict;
+      }
+      if (this.pos >= this.data.length) {
+        throw new Error('Unterminated dictionary');
+      }
+
+      const key = this.parseValue();
+      if (!key || key.name === undefined) {
+        throw new Error('Dictionary key is not a name');
+      }
+      dict[key.name] = this.parseValue();
+    }
+  }
+}
+
+/**
+ * Read a (literal string) with escapes and balanced parentheses
+ * @param {string} data - Source
+ * @param {number} pos - Position of the opening parenthesis
+ * @returns {Object} { value, end } - end is just past the closing one
+ */
+function readLiteralString(data, pos) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 0;
+  let value = '';
+  let i = pos;
+
+  for (; i < data.length; i++) {
+    const char = data[i];
+
+    if (char === '\\') {
+      const next = data[++i];
+      if (escapes[next]) {
+        value += escapes[next];
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(data.substr(i, 3))[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        if (next === '\r' && data[i + 1] === '\n') i++;
+      } else {
+        value += next;
+      }
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+      if (depth === 1) continue;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return { value, end: i + 1 };
+    }
+    value += char;
+  }
+
+  return { value, end: i };
+}
+
+/**
+ * Undo #xx escapes in a name
+ */
+function decodeName(name) {
+  return name.replace(/#([0-9a-f]{2})/gi, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+}
+
+function isName(value, name) {
+  return !!value && value.name === name;
+}
+
+/* ============================================
+   PAGES
+   ============================================ */
+
+/**
+ * Pages in reading order, each with its (inherited) resources
+ * @param {Object} pdf - Parsed PDF
+ * @returns {Array<Object>} { page, resources }
+ */
+function getPages(pdf) {
+  const objects = [...pdf.objects.values()];
+  const catalog = objects
+    .reverse()
+    .find((object) => object.value && isName(object.value.Type, 'Catalog'));
+
+  const pages = [];
+  const visited = new Set();
+
+  const walk = (node, inherited, depth) => {
+    if (!node || depth > 50 || visited.has(node)) return;
+    visited.add(node);
+
+    const resources = node.Resources !== undefined ? node.Resources : inherited;
+    if (isName(node.Type, 'Pages') || Array.isArray(resolve(pdf, node.Kids))) {
+      (resolve(pdf, node.Kids) || []).forEach((kid) =>
+        walk(resolve(pdf, kid), resources, depth + 1)
+      );
+    } else {
+      pages.push({ page: node, resources });
+    }
+  };
+
+  if (catalog) {
+    walk(resolve(pdf, catalog.value.Pages), undefined, 0);
+  }
+
+  // No usable page tree: take the page objects in file order
+  if (pages.length === 0) {
+    [...pdf.objects.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, object]) => object.value)
+      .filter((value) => value && isName(value.Type, 'Page'))
+      .forEach((page) => pages.push({ page, resources: page.Resources }));
+  }
+
+  return pages;
+}
+
+/**
+ * Text of one page
+ * @param {Object} pdf - Parsed PDF
+ * @param {Object} entry - { page, resources }
+ * @returns {string}
+ */
+function extractPageText(pdf, { page, resources }) {
+  const contents = resolveContents(pdf, page.Contents);
+  const output = new TextOutput();
+  runContent(pdf, contents, resolve(pdf, resources) || {}, output, 0);
+  return output.toString();
+}
+
+/**
+ * Decoded content stream(s) of a page (Contents may be an array)
+ * @param {Object} pdf - Parsed PDF
+ * @param {*} contents - Contents value
+ * @returns {string}
+ */
+function resolveContents(pdf, contents) {
+  const refs = Array.isArray(resolve(pdf, contents))
+    ? resolve(pdf, contents)
+    : [contents];
+
+  return refs
+    .map((ref) => getObject(pdf, ref))
+    .filter((object) => object && object.stream !== null)
+    .map((object) => decodeStream(pdf, object) || '')
+    .join('\n');
+}
+
+/* ============================================
+   CONTENT STREAMS
+   ============================================ */
+
+/**
+ * Collects shown text and turns positioning into spaces and line breaks
+ */
+class TextOutput {
+  constructor() {
+    this.lines = [];
+    this.line = '';
+    this.lastY = null;
+    this.pendingSpace = false;
+  }
+
+  /**
+   * Text is about to be shown at a new position
+   * @param {number} y - Baseline (in whatever space the page uses)
+   */
+  moveTo(y) {
+    if (this.lastY !== null && Math.abs(y - this.lastY) > 0.5) {
+      this.newLine();
+    } else {
+      this.pendingSpace = true;
+    }
+    this.lastY = y;
+  }
+
+  newLine() {
+    this.lines.push(this.line);
+    this.line = '';
+    this.pendingSpace = false;
+  }
+
+  space() {
+    this.pendingSpace = true;
+  }
+
+  write(text) {
+    if (!text) return;
+    if (this.pendingSpace && this.line && !/\s$/.test(this.line) && !/^\s/.test(text)) {
+      this.line += ' ';
+    }
+    this.pendingSpace = false;
+    this.line += text;
+  }
+
+  toString() {
+    return [...this.lines, this.line]
+      .map((line) => line.replace(/[ \t\r\f\v\u00a0]+/g, ' ').trim())
+      .filter((line, i, lines) => line || (i > 0 && lines[i - 1]))
+      .join('\n')
+      .trim();
+  }
+}
+
+/**
+ * Interpret a content stream's text operators
+ * @param {Object} pdf - Parsed PDF
+ * @param {string} content - Decoded content stream
+ * @param {Object} resources - Resources dictionary
+ * @param {TextOutput} output - Text collector
+ * @param {number} depth - Form XObject nesting depth
+ */
+function runContent(pdf, content, resources, output, depth) {
+  const fonts = resolve(pdf, resources.Font) || {};
+  const xobjects = resolve(pdf, resources.XObject) || {};
+  const tokens = tokenizeContent(content);
+  const operands = [];
+
+  let font = null;
+  let leading = 0;
+  // Baseline of the current text line (Td, TD, Tm and T* move it)
+  let lineY = 0;
+
+  const show = (bytes) => output.write(font ? font.decode(bytes) : bytes);
+
+  for (const token of tokens) {
+    if (token.op === undefined) {
+      operands.push(token.value);
+      continue;
+    }
+
+    const args = operands.splice(0);
+    const num = (i) => (typeof args[i] === 'number' ? args[i] : 0);
+
+    switch (token.op) {
+      case 'BT':
+        lineY = 0;
+        break;
+      case 'Tf':
+        font = getFontDecoder(pdf, fonts, args[0]);
+        break;
+      case 'TL':
+        leading = num(0);
+        break;
+      case 'Td':
+      case 'TD':
+        if (token.op === 'TD') leading = -num(1);
+        lineY += num(1);
+        output.moveTo(lineY);
+        break;
+      case 'Tm':
+        lineY = num(5);
+        output.moveTo(lineY);
+        break;
+      case 'T*':
+        lineY -= leading;
+        output.newLine();
+        output.lastY = lineY;
+        break;
+      case 'Tj':
+        if (args[0] && args[0].string !== undefined) show(args[0].string);
+        break;
+      case "'":
+      case '"': {
+        lineY -= leading;
+        output.newLine();
+        output.lastY = lineY;
+        const text = args[args.length - 1];
+        if (text && text.string !== undefined) show(text.string);
+        break;
+      }
+      case 'TJ':
+        (Array.isArray(args[0]) ? args[0] : []).forEach((item) => {
+          if (typeof item === 'number') {
+            // Large negative adjustments are word gaps (thousandths of em)
+            if (item < -200) output.space();
+          } else if (item && item.string !== undefined) {
+            show(item.string);
+          }
+        });
+        break;
+      case 'ET':
+        output.space();
+        break;
+      case 'Do': {
+        const xobject = getObject(pdf, xobjects[args[0] && args[0].name]);
+        if (
+          depth < MAX_FORM_DEPTH &&
+          xobject &&
+          xobject.stream !== null &&
+          isName(resolve(pdf, xobject.value.Subtype), 'Form')
+        ) {
+          runContent(
+            pdf,
+            decodeStream(pdf, xobject) || '',
+            resolve(pdf, xobject.value.Resources) || resources,
+            output,
+            depth + 1
+          );
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Split a content stream into operands and operators
+ * Inline images (BI ... ID ... EI) are skipped
+ * @param {string} content - Decoded content stream
+ * @returns {Array<Object>} { value } operands and { op } operators
+ */
+function tokenizeContent(content) {
+  const tokens = [];
+  const parser = new ObjectParser(content, 0);
+  // Operand values are built with the object parser; operators are words
+  const operator = /^[A-Za-z'"*][A-Za-z0-9'"*]*/;
+
+  while (parser.pos < content.length) {
+    parser.skipWhitespace();
+    if (parser.pos >= content.length) break;
+
+    const word = operator.exec(content.substr(parser.pos, 16));
+
+    if (word && !['true', 'false', 'null'].includes(word[0])) {
+      parser.pos += word[0].length;
+
+      if (word[0] === 'BI') {
+        const end = content.indexOf('EI', content.indexOf('ID', parser.pos));
+        parser.pos = end === -1 ? content.length : end + 2;
+        continue;
+      }
+
+      tokens.push({ op: word[0] });
+      continue;
+    }
+
+    const start = parser.pos;
+    try {
+      tokens.push({ value: parser.parseValue() });
+    } catch {
+      // Stray byte: skip it rather than give up on the page
+      parser.pos = start + 1;
+    }
+  }
+
+  return tokens;
+}
+
+/* ============================================
+   FONTS
+   ============================================ */
+
+// Font dictionary -> decoder
+const decoderCache = new WeakMap();
+
+/**
+ * Decoder for a font resource
+ * @param {Object} pdf - Parsed PDF
+ * @param {Object} fonts - Font resources dictionary
+ * @param {Object} name - { name } from the Tf operator
+ * @returns {Object|null} { decode(bytes) -> string }
+ */
+function getFontDecoder(pdf, fonts, name) {
+  const font = name && resolve(pdf, fonts[name.name]);
+  if (!font || typeof font !== 'object') return null;
+
+  if (!decoderCache.has(font)) {
+    decoderCache.set(font, createFontDecoder(pdf, font));
+  }
+  return decoderCache.get(font);
+}
+
+/**
+ * Build a decoder from a font's ToUnicode CMap or encoding
+ * @param {Object} pdf - Parsed PDF
+ * @param {Object} font - Font dictionary
+ * @returns {Object} { decode(bytes) -> string }
+ */
+function createFontDecoder(pdf, font) {
+  const toUnicode = getObject(pdf, font.ToUnicode);
+  const cmapData = toUnicode && toUnicode.stream !== null ? decodeStream(pdf, toUnicode) : null;
+  const composite = isName(font.Subtype, 'Type0');
+
+  if (cmapData) {
+    const cmap = parseCMap(cmapData, composite ? 2 : 1);
+    return { decode: (bytes) => decodeWithCMap(cmap, bytes) };
+  }
+
+  // Composite fonts without ToUnicode use glyph IDs we can't map
+  if (composite) {
+    return { decode: () => '' };
+  }
+
+  const table = getSimpleEncoding(pdf, font);
+  return {
+    decode: (bytes) =>
+      Array.from(bytes, (char) => {
+        const code = char.charCodeAt(0);
+        return table[code] !== undefined ? table[code] : char;
+      }).join(''),
+  };
+}
+
+/**
+ * Code -> text table for a simple font's /Encoding
+ * @param {Object} pdf - Parsed PDF
+ * @param {Object} font - Font dictionary
+ * @returns {Object} code -> text
+ */
+function getSimpleEncoding(pdf, font) {
+  const encoding = resolve(pdf, font.Encoding);
+  const table = { ...WIN_ANSI };
+
+  const differences = encoding && resolve(pdf, encoding.Differences);
+  if (Array.isArray(differences)) {
+    let code = 0;
+    differences.forEach((item) => {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (item && item.name !== undefined) {
+        const text = glyphToText(item.name);
+        if (text !== null) table[code] = text;
+        code++;
+      }
+    });
+  }
+
+  return table;
+}
+
+/**
+ * Text for a glyph name (a, A, uni00E9, quoteright, ...)
+ * @param {string} name - Glyph name
+ * @returns {string|null}
+ */
+function glyphToText(name) {
+  if (/^[A-Za-z]$/.test(name)) return name;
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+
+  const uni = /^uni([0-9A-F]{4})/i.exec(name) || /^u([0-9A-F]{4,6})$/i.exec(name);
+  if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+
+  // Suffixed variants: a.sc, one.oldstyle
+  const base = name.split('.')[0];
+  return base !== name ? glyphToText(base) : null;
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {string} data - Decoded CMap stream
+ * @param {number} defaultLength - Code length when there's no codespace
+ * @returns {Object} { ranges: [{ length, low, high }], map: Map(code -> text) }
+ *   where codes are "length:value" keys
+ */
+function parseCMap(data, defaultLength) {
+  const ranges = [];
+  const map = new Map();
+  const hexValue = (hex) => parseInt(hex || '0', 16);
+  // Destinations are UTF-16BE
+  const hexText = (hex) => {
+    const padded = hex.padStart(Math.ceil(hex.length / 4) * 4, '0');
+    return Buffer.from(padded, 'hex').swap16().toString('utf16le');
+  };
+
+  const sections = (name) => {
+    const pattern = new RegExp(`begin${name}([^]*?)end${name}`, 'g');
+    const bodies = [];
+    let match;
+    while ((match = pattern.exec(data)) !== null) bodies.push(match[1]);
+    return bodies;
+  };
+
+  sections('codespacerange').forEach((body) => {
+    const pairs = body.match(/<[0-9a-f\s]*>\s*<[0-9a-f\s]*>/gi) || [];
+    pairs.forEach((pair) => {
+      const [low, high] = pair.match(/<([0-9a-f\s]*)>/gi).map((hex) => hex.replace(/[<>\s]/g, ''));
+      ranges.push({ length: low.length / 2, low: hexValue(low), high: hexValue(high) });
+    });
+  });
+
+  sections('bfchar').forEach((body) => {
+    const entries = body.match(/<[0-9a-f\s]*>\s*<[0-9a-f\s]*>/gi) || [];
+    entries.forEach((entry) => {
+      const [src, dst] = entry.match(/<([0-9a-f\s]*)>/gi).map((hex) => hex.replace(/[<>\s]/g, ''));
+      map.set(`${src.length / 2}:${hexValue(src)}`, hexText(dst));
+    });
+  });
+
+  sections('bfrange').forEach((body) => {
+    const entries =
+      body.match(/<[0-9a-f\s]*>\s*<[0-9a-f\s]*>\s*(<[0-9a-f\s]*>|\[[^\]]*\])/gi) || [];
+    entries.forEach((entry) => {
+      const hexes = entry.match(/<([0-9a-f\s]*)>/gi).map((hex) => hex.replace(/[<>\s]/g, ''));
+      const [low, high] = hexes;
+      const length = low.length / 2;
+      const start = hexValue(low);
+      const end = Math.min(hexValue(high), start + 0xffff);
+
+      if (entry.includes('[')) {
+        hexes.slice(2).forEach((dst, i) => {
+          if (start + i <= end) map.set(`${length}:${start + i}`, hexText(dst));
+        });
+      } else {
+        // Destinations count up from the first one in their last char
+        const first = hexText(hexes[2]);
+        const base = first.slice(0, -1);
+        const last = first.codePointAt(first.length - 1);
+        for (let code = start; code <= end; code++) {
+          map.set(`${length}:${code}`, base + String.fromCodePoint(last + (code - start)));
+        }
+      }
+    });
+  });
+
+  if (ranges.length === 0) {
+    ranges.push({ length: defaultLength, low: 0, high: 256 ** defaultLength - 1 });
+  }
+
+  return { ranges, map };
+}
+
+/**
+ * Decode a string's bytes through a CMap
+ * @param {Object} cmap - Result of parseCMap
+ * @param {string} bytes - String bytes as Latin-1
+ * @returns {string}
+ */
+function decodeWithCMap(cmap, bytes) {
+  let text = '';
+  let pos = 0;
+
+  while (pos < bytes.length) {
+    let matched = false;
+
+    for (const range of cmap.ranges) {
+      if (pos + range.length > bytes.length) continue;
+
+      let code = 0;
+      for (let i = 0; i < range.length; i++) {
+        code = code * 256 + bytes.charCodeAt(pos + i);
+      }
+      if (code < range.low || code > range.high) continue;
+
+      const mapped = cmap.map.get(`${range.length}:${code}`);
+      if (mapped !== undefined) text += mapped;
+      pos += range.length;
+      matched = true;
+      break;
+    }
+
+    if (!matched) pos++;
+  }
+
+  // Private-use and control characters are glyph artifacts, not text
+  return text.replace(/[\u0000-\u0008\u000e-\u001f\ue000-\uf8ff]/g, '');
+}
+
+module.exports = {
+  extractPdfText,
+};
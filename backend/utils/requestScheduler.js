@@ -0,0 +1,116 @@
+/**
+ * Request Scheduler
+ * Shared by all scrapers: rate limits and caps concurrency per hostname
+ * Each host gets a token bucket (one token per interval, up to `burst`
+ * saved up) and at most `maxConcurrent` requests in flight. Requests to
+ * different hosts never wait on each other.
+ */
+
+class RequestScheduler {
+  constructor() {
+    // hostname -> bucket state
+    this.hosts = new Map();
+    this.defaults = {
+      interval: parseInt(process.env.SCRAPE_DELAY_MS) || 2000,
+      burst: parseInt(process.env.HOST_BURST) || 1,
+      maxConcurrent: parseInt(process.env.HOST_MAX_CONCURRENCY) || 1,
+    };
+  }
+
+  /**
+   * Run a request once its host has a free slot and a token
+   * @param {string} url - Request URL (its hostname picks the bucket)
+   * @param {Function} task - Returns a promise that performs the request
+   * @param {Object} options - { interval } ms between requests to this host,
+   *   e.g. the host's robots.txt Crawl-delay
+   * @returns {Promise<*>} Result of task
+   */
+  schedule(url, task, options = {}) {
+    const host = this.getHost(new URL(url).hostname);
+
+    if (options.interval !== undefined && options.interval !== host.interval) {
+      host.interval = options.interval;
+    }
+
+    return new Promise((resolve, reject) => {
+      host.queue.push({ task, resolve, reject });
+      this.drain(host);
+    });
+  }
+
+  /**
+   * Get (or create) the bucket for a hostname
+   * @param {string} hostname - Hostname
+   * @returns {Object} Bucket state
+   */
+  getHost(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, {
+        hostname,
+        interval: this.defaults.interval,
+        capacity: this.defaults.burst,
+        maxConcurrent: this.defaults.maxConcurrent,
+        tokens: this.defaults.burst,
+        lastRefill: Date.now(),
+        active: 0,
+        queue: [],
+        timer: null,
+      });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  /**
+   * Start as many queued requests for a host as its limits allow
+   * @param {Object} host - Bucket state
+   */
+  drain(host) {
+    while (host.queue.length > 0 && host.active < host.maxConcurrent) {
+      this.refill(host);
+
+      if (host.tokens < 1) {
+        // Wake up when the next token is due
+        if (!host.timer) {
+          const wait = Math.ceil((1 - host.tokens) * host.interval);
+          host.timer = setTimeout(() => {
+            host.timer = null;
+            this.drain(host);
+          }, wait);
+        }
+        return;
+      }
+
+      host.tokens -= 1;
+      host.active++;
+
+      const { task, resolve, reject } = host.queue.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          host.active--;
+          this.drain(host);
+        });
+    }
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   * @param {Object} host - Bucket state
+   */
+  refill(host) {
+    const now = Date.now();
+
+    if (host.interval <= 0) {
+      host.tokens = host.capacity;
+    } else {
+      const earned = (now - host.lastRefill) / host.interval;
+      host.tokens = Math.min(host.capacity, host.tokens + earned);
+    }
+
+    host.lastRefill = now;
+  }
+}
+
+// Export singleton instance
+module.exports = new RequestScheduler();
@@ -0,0 +1,260 @@
+/**
+ * robots.txt Support
+ * Fetches, parses and caches robots.txt per host (RFC 9309)
+ * Rules are picked for our user agent's product token ("BaldwinNewsBot"),
+ * falling back to the "*" group; the longest matching rule wins
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+
+// RFC 9309: cached robots.txt should not be used for more than 24 hours
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Retry sooner when the host couldn't serve its robots.txt
+const ERROR_TTL_MS = 10 * 60 * 1000;
+// Longest Crawl-delay we wait out (seconds); a slower host is skipped,
+// since waiting would hold its scheduler slot and a worker for hours
+const MAX_CRAWL_DELAY = 60;
+
+// origin -> { promise, expiresAt }
+const cache = new Map();
+
+/**
+ * Raised when robots.txt disallows a URL for our user agent
+ */
+class RobotsBlockedError extends Error {
+  constructor(url, reason) {
+    super(`Blocked by robots.txt: ${url}${reason ? ` (${reason})` : ''}`);
+    this.name = 'RobotsBlockedError';
+    this.url = url;
+  }
+}
+
+/**
+ * Get the robots.txt rules that apply to a URL, fetching them once per host
+ * @param {string} url - Any URL on the host
+ * @param {string} userAgent - Full User-Agent header
+ * @returns {Promise<Object>} { allow, disallow, crawlDelay, sitemaps, disallowAll }
+ */
+function getRobotsRules(url, userAgent) {
+  const { origin } = new URL(url);
+  const key = `${origin} ${userAgent}`;
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const entry = { expiresAt: Date.now() + CACHE_TTL_MS };
+  entry.promise = fetchRobots(origin, userAgent).then((rules) => {
+    if (rules.unavailable) {
+      entry.expiresAt = Date.now() + ERROR_TTL_MS;
+    }
+    return rules;
+  });
+  // Don't cache network failures; the next fetch should try again
+  entry.promise.catch(() => cache.delete(key));
+
+  cache.set(key, entry);
+  return entry.promise;
+}
+
+/**
+ * Download and parse robots.txt for one origin
+ * @param {string} origin - Scheme, host and port
+ * @param {string} userAgent - Full User-Agent header
+ * @returns {Promise<Object>} Parsed rules
+ */
+async function fetchRobots(origin, userAgent) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  try {
+    const response = await axios.get(robotsUrl, {
+      headers: { 'User-Agent': userAgent },
+      timeout: 15000,
+      maxRedirects: 5,
+      responseType: 'text',
+      // Status codes are handled below instead of throwing
+      validateStatus: () => true,
+    });
+
+    if (response.status >= 500) {
+      // RFC 9309: an unreachable robots.txt means "assume complete disallow"
+      logger.warn(`robots.txt unavailable (${response.status}): ${robotsUrl}`);
+      return { ...emptyRules(), disallowAll: true, unavailable: true };
+    }
+    if (response.status >= 400) {
+      // No robots.txt (or not readable): no restrictions
+      return emptyRules();
+    }
+
+    return parseRobots(String(response.data || ''), userAgent);
+  } catch (error) {
+    logger.warn(`Could not fetch ${robotsUrl}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Parse robots.txt into the rule set for our user agent
+ * @param {string} text - robots.txt body
+ * @param {string} userAgent - Full User-Agent header
+ * @returns {Object} { allow, disallow, crawlDelay, sitemaps, disallowAll }
+ */
+function parseRobots(text, userAgent) {
+  const token = productToken(userAgent);
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r\n|\r|\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], allow: [], disallow: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+    if (!current) return;
+
+    if (field === 'allow' && value) {
+      current.allow.push(value);
+    } else if (field === 'disallow' && value) {
+      current.disallow.push(value);
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  // All groups naming our bot are merged; otherwise the "*" groups apply
+  let matching = groups.filter((group) =>
+    group.agents.some((agent) => productToken(agent) === token)
+  );
+  if (matching.length === 0) {
+    matching = groups.filter((group) => group.agents.includes('*'));
+  }
+
+  const rules = { ...emptyRules(), sitemaps };
+  matching.forEach((group) => {
+    rules.allow.push(...group.allow);
+    rules.disallow.push(...group.disallow);
+    if (group.crawlDelay !== null) {
+      rules.crawlDelay = Math.max(rules.crawlDelay || 0, group.crawlDelay);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Check a URL against parsed rules
+ * @param {Object} rules - Result of parseRobots
+ * @param {string} url - URL to check
+ * @returns {boolean} True when the URL may be fetched
+ */
+function isAllowed(rules, url) {
+  if (rules.disallowAll) return false;
+
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+
+  // Longest match wins; on a tie Allow wins
+  const longest = (patterns) =>
+    patterns
+      .filter((pattern) => patternMatches(pattern, path))
+      .reduce((max, pattern) => Math.max(max, pattern.length), -1);
+
+  const allowLength = longest(rules.allow);
+  const disallowLength = longest(rules.disallow);
+
+  return disallowLength === -1 || allowLength >= disallowLength;
+}
+
+/**
+ * Match a robots.txt path pattern (supports * and a trailing $)
+ * @param {string} pattern - Allow/Disallow value
+ * @param {string} path - URL path and query
+ * @returns {boolean}
+ */
+function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${source}${anchored ? '$' : ''}`);
+
+  // Rules may be written percent-encoded or not
+  return regex.test(path) || regex.test(safeDecode(path));
+}
+
+/**
+ * Rule set that allows everything
+ * @returns {Object}
+ */
+function emptyRules() {
+  return {
+    allow: [],
+    disallow: [],
+    crawlDelay: null,
+    sitemaps: [],
+    disallowAll: false,
+  };
+}
+
+/**
+ * "BaldwinNewsBot/1.0 (+https://...)" -> "baldwinnewsbot"
+ * @param {string} userAgent - User-Agent header or robots.txt agent line
+ * @returns {string} Lower-case product token
+ */
+function productToken(userAgent) {
+  return userAgent.split(/[\s/]/)[0].toLowerCase();
+}
+
+/**
+ * Decode percent-escapes so "/caf%C3%A9" matches a "/café" rule
+ * @param {string} path - URL path
+ * @returns {string} Decoded path, or the input if it isn't valid UTF-8
+ */
+function safeDecode(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Forget cached robots.txt files (all hosts)
+ */
+function clearRobotsCache() {
+  cache.clear();
+}
+
+module.exports = {
+  RobotsBlockedError,
+  MAX_CRAWL_DELAY,
+  getRobotsRules,
+  parseRobots,
+  isAllowed,
+  clearRobotsCache,
+};
@@ -0,0 +1,201 @@
+/**
+ * Source Schedules
+ * Per-source scrape timing stored in sources.schedule:
+ *   { cron: '0 7 * * *' } or { intervalMinutes: 10 }
+ * plus an optional quiet-hours window ({ start: '23:00', end: '05:00' })
+ * during which the source is never scraped, and jitterSeconds (random delay
+ * before each run so sources sharing a schedule don't fire together).
+ * Sources without a schedule run every SCRAPE_INTERVAL_MINUTES.
+ * Times are local to SCRAPE_TIMEZONE (Baldwin County is on Central time).
+ */
+
+const cron = require('node-cron');
+
+const TIMEZONE = process.env.SCRAPE_TIMEZONE || 'America/Chicago';
+const DEFAULT_INTERVAL_MINUTES =
+  parseInt(process.env.SCRAPE_INTERVAL_MINUTES) || 30;
+const DEFAULT_JITTER_SECONDS = 60;
+
+// Upper bounds for per-source settings
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+const MAX_JITTER_SECONDS = 30 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Validate a per-source schedule
+ * @param {Object} schedule - { cron, intervalMinutes, quietHours, jitterSeconds }
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchedule(schedule) {
+  if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  const errors = [];
+  const allowed = ['cron', 'intervalMinutes', 'quietHours', 'jitterSeconds'];
+
+  Object.keys(schedule)
+    .filter((key) => !allowed.includes(key))
+    .forEach((key) => errors.push(`Unknown schedule field: ${key}`));
+
+  const { intervalMinutes, quietHours, jitterSeconds } = schedule;
+  const cronExpression = schedule.cron;
+
+  if (cronExpression !== undefined && intervalMinutes !== undefined) {
+    errors.push('Set either cron or intervalMinutes, not both');
+  }
+  if (
+    cronExpression !== undefined &&
+    (typeof cronExpression !== 'string' || !cron.validate(cronExpression))
+  ) {
+    errors.push('cron must be a valid cron expression');
+  }
+  if (
+    intervalMinutes !== undefined &&
+    (!Number.isInteger(intervalMinutes) ||
+      intervalMinutes < 1 ||
+      intervalMinutes > MAX_INTERVAL_MINUTES)
+  ) {
+    errors.push(
+      `intervalMinutes must be an integer between 1 and ${MAX_INTERVAL_MINUTES}`
+    );
+  }
+  if (
+    jitterSeconds !== undefined &&
+    (!Number.isInteger(jitterSeconds) ||
+      jitterSeconds < 0 ||
+      jitterSeconds > MAX_JITTER_SECONDS)
+  ) {
+    errors.push(
+      `jitterSeconds must be an integer between 0 and ${MAX_JITTER_SECONDS}`
+    );
+  }
+
+  if (quietHours !== undefined && quietHours !== null) {
+    if (
+      typeof quietHours !== 'object' ||
+      !TIME_PATTERN.test(quietHours.start) ||
+      !TIME_PATTERN.test(quietHours.end)
+    ) {
+      errors.push('quietHours must have start and end times as HH:MM');
+    } else if (quietHours.start === quietHours.end) {
+      errors.push('quietHours start and end must differ');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in defaults for a stored schedule
+ * @param {Object|null} schedule - sources.schedule
+ * @returns {Object} { cron, intervalMinutes, quietHours, jitterSeconds }
+ */
+function normalizeSchedule(schedule) {
+  const config = schedule || {};
+
+  return {
+    cron: config.cron || null,
+    intervalMinutes: config.cron
+      ? null
+      : config.intervalMinutes || DEFAULT_INTERVAL_MINUTES,
+    quietHours: config.quietHours || null,
+    jitterSeconds: Number.isInteger(config.jitterSeconds)
+      ? config.jitterSeconds
+      : DEFAULT_JITTER_SECONDS,
+  };
+}
+
+/**
+ * Whether an interval schedule is due
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date|null} lastRun - Start of the last scrape
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isIntervalDue(schedule, lastRun, now = new Date()) {
+  if (!lastRun) return true;
+  return now - new Date(lastRun) >= schedule.intervalMinutes * 60 * 1000;
+}
+
+/**
+ * Whether a time falls inside a quiet-hours window
+ * Windows may wrap past midnight (22:00 - 06:00)
+ * @param {Object|null} quietHours - { start, end } as HH:MM local time
+ * @param {Date} date - Time to check
+ * @returns {boolean}
+ */
+function isQuietHours(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+
+  const minutes = localMinutes(date);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Random delay before a scheduled run
+ * @param {Object} schedule - Normalized schedule
+ * @returns {number} Milliseconds
+ */
+function getJitterDelay(schedule) {
+  return Math.floor(Math.random() * schedule.jitterSeconds * 1000);
+}
+
+/**
+ * Human-readable summary, e.g. "every 10 min" or "cron 0 7 * * *"
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string}
+ */
+function describeSchedule(schedule) {
+  const timing = schedule.cron
+    ? `cron ${schedule.cron}`
+    : `every ${schedule.intervalMinutes} min`;
+
+  return schedule.quietHours
+    ? `${timing}, quiet ${schedule.quietHours.start}-${schedule.quietHours.end}`
+    : timing;
+}
+
+/**
+ * Minutes since local midnight in TIMEZONE
+ * @param {Date} date - Time
+ * @returns {number}
+ */
+function localMinutes(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * "06:30" -> 390
+ * @param {string} time - HH:MM
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+module.exports = {
+  TIMEZONE,
+  validateSchedule,
+  normalizeSchedule,
+  isIntervalDue,
+  isQuietHours,
+  getJitterDelay,
+  describeSchedule,
+};
@@ -0,0 +1,177 @@
+/**
+ * Time Zone Helpers
+ * Converts wall-clock times in an IANA zone to UTC using Intl (no zone
+ * database of our own). Wall-clock times are passed around as "wall
+ * milliseconds": Date.UTC() of the local fields, so calendar arithmetic
+ * (add a day, next Tuesday) can be done without DST getting in the way and
+ * converted to a real instant at the end.
+ */
+
+// Outlook and Exchange feeds use Windows zone names
+const WINDOWS_ZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  UTC: 'UTC',
+};
+
+// zone -> Intl.DateTimeFormat
+const formatters = new Map();
+
+/**
+ * Map a TZID to an IANA zone name Intl understands
+ * Accepts IANA names, Windows names and vendor-prefixed ids such as
+ * "/mozilla.org/20050126_1/America/Chicago"
+ * @param {string} tzid - Zone identifier from a feed
+ * @param {string} fallback - Zone to use when tzid is unknown
+ * @returns {string} IANA zone name
+ */
+function resolveTimeZone(tzid, fallback) {
+  if (!tzid) return fallback;
+
+  const name = tzid.trim().replace(/^"|"$/g, '');
+  const candidates = [
+    WINDOWS_ZONES[name],
+    name,
+    (name.match(/[A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?$/) || [])[0],
+  ];
+
+  return candidates.find((zone) => zone && isValidTimeZone(zone)) || fallback;
+}
+
+/**
+ * Whether Intl knows a zone
+ * @param {string} zone - IANA zone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(zone) {
+  try {
+    getFormatter(zone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a wall-clock time in a zone to a Date
+ * Times skipped by a DST change move forward by the gap; repeated times
+ * resolve to the first (daylight) occurrence
+ * @param {number} wall - Wall milliseconds (Date.UTC of the local fields)
+ * @param {string} zone - IANA zone name
+ * @returns {Date}
+ */
+function zonedTimeToUtc(wall, zone) {
+  if (zone === 'UTC') return new Date(wall);
+
+  const guess = wall - getOffset(wall, zone);
+  const offset = getOffset(guess, zone);
+  const result = wall - offset;
+
+  // In a DST gap the second offset lands before the change; keep the guess
+  return new Date(getOffset(result, zone) === offset ? result : guess);
+}
+
+/**
+ * Wall-clock fields of an instant in a zone, as wall milliseconds
+ * @param {Date|number} date - Instant
+ * @param {string} zone - IANA zone name
+ * @returns {number} Wall milliseconds
+ */
+function toWallTime(date, zone) {
+  const time = new Date(date).getTime();
+  return time + getOffset(time, zone);
+}
+
+/**
+ * Parse an ISO 8601 date or date-time
+ * Values with Z or an offset are absolute; date-times without one are wall
+ * time in the given zone; bare dates are all-day
+ * @param {string} value - e.g. "2026-11-07", "2026-11-07T18:00",
+ *   "2026-11-07T18:00:00-06:00"
+ * @param {string} zone - IANA zone for values without an offset
+ * @returns {Object|null} { date, allDay }, or null when invalid
+ */
+function parseIsoInZone(value, zone) {
+  if (typeof value !== 'string') return null;
+
+  const match = value
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, offset] = match;
+  if (offset) {
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : { date, allDay: false };
+  }
+
+  const wall = Date.UTC(
+    parseInt(year, 10),
+    parseInt(month, 10) - 1,
+    parseInt(day, 10),
+    parseInt(hour || '0', 10),
+    parseInt(minute || '0', 10),
+    parseInt(second || '0', 10)
+  );
+  return { date: zonedTimeToUtc(wall, zone), allDay: hour === undefined };
+}
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} zone - IANA zone name
+ * @returns {number} Milliseconds to add to UTC to get wall time
+ */
+function getOffset(time, zone) {
+  const parts = getFormatter(zone).formatToParts(new Date(time));
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  const wall = Date.UTC(
+    value('year'),
+    value('month') - 1,
+    value('day'),
+    value('hour') % 24,
+    value('minute'),
+    value('second')
+  );
+  return wall - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Cached formatter for a zone
+ * @param {string} zone - IANA zone name
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} When Intl doesn't know the zone
+ */
+function getFormatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(
+      zone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  return formatters.get(zone);
+}
+
+module.exports = {
+  resolveTimeZone,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  toWallTime,
+  parseIsoInZone,
+};
@@ -40,6 +40,95 @@ async function fetchNews(filters = {}) {
   }
 }
 
+/**
+ * Fetch calendar events that overlap a date range
+ * @param {Object} filters - from, to (ISO strings), location, category, limit
+ * @returns {Promise<Array>} Array of events, soonest first
+ */
+async function fetchEvents(filters = {}) {
+  try {
+    const params = new URLSearchParams();
+
+    if (filters.from) params.append('from', filters.from);
+    if (filters.to) params.append('to', filters.to);
+    if (filters.location) params.append('location', filters.location);
+    if (filters.category) params.append('category', filters.category);
+    if (filters.limit) params.append('limit', filters.limit);
+
+    const url = `${API_BASE_URL}/events?${params.toString()}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.success ? data.data : [];
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search meeting agendas and minutes
+ * @param {Object} filters - search, governing_body, type, limit
+ * @returns {Promise<Array>} Array of documents, best match first; each has
+ *   an HTML snippet with the matches in <mark>
+ */
+async function fetchDocuments(filters = {}) {
+  try {
+    const params = new URLSearchParams();
+
+    if (filters.search) params.append('search', filters.search);
+    if (filters.governing_body) params.append('governing_body', filters.governing_body);
+    if (filters.type) params.append('type', filters.type);
+    if (filters.limit) params.append('limit', filters.limit);
+
+    const url = `${API_BASE_URL}/documents?${params.toString()}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.success ? data.data : [];
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch active weather alerts
+ * @param {Object} filters - severity (comma-separated, e.g. 'Extreme,Severe'),
+ *   zone, limit
+ * @returns {Promise<Array>} Array of alerts, most severe first
+ */
+async function fetchAlerts(filters = {}) {
+  try {
+    const params = new URLSearchParams();
+
+    if (filters.severity) params.append('severity', filters.severity);
+    if (filters.zone) params.append('zone', filters.zone);
+    if (filters.limit) params.append('limit', filters.limit);
+
+    const url = `${API_BASE_URL}/alerts?${params.toString()}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.success ? data.data : [];
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    throw error;
+  }
+}
+
 /**
  * Fetch all news sources
  * @returns {Promise<Array>} Array of sources
@@ -101,6 +190,65 @@ async function fetchStats() {
   }
 }
 
+/**
+ * Fetch tracked hashtags
+ * @returns {Promise<Array>} Array of hashtags
+ */
+async function fetchHashtags() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/hashtags`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.success ? data.data : [];
+  } catch (error) {
+    console.error('Error fetching hashtags:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start tracking a hashtag
+ * @param {string} tag - Hashtag, with or without '#'
+ * @returns {Promise<Object>} Created hashtag
+ */
+async function createHashtag(tag) {
+  const response = await fetch(`${API_BASE_URL}/hashtags`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tag }),
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data.data;
+}
+
+/**
+ * Stop tracking a hashtag
+ * @param {string} tag - Hashtag, with or without '#'
+ * @returns {Promise<Object>} Removed hashtag
+ */
+async function deleteHashtag(tag) {
+  const name = encodeURIComponent(tag.replace(/^#/, ''));
+  const response = await fetch(`${API_BASE_URL}/hashtags/${name}`, {
+    method: 'DELETE',
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return data.data;
+}
+
 /**
  * Check API health
  * @returns {Promise<boolean>} True if API is healthy
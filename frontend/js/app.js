@@ -16,6 +16,18 @@ const maxChecks = 50; // 5 seconds max wait
 const originalContent = new Map(); // Store original content for search highlighting
 let newsArticles = []; // Store all articles from API
 let sourcesMap = new Map(); // Map source IDs to source names
+let calendarMonth = null; // First day of the month shown in the calendar
+let calendarEvents = []; // Events overlapping that month
+let selectedDay = null; // Day whose events are listed under the calendar
+let documentSearchTimer = null; // Debounces meeting document searches
+let documentSearchQuery = ''; // Query of the latest document search
+
+const DOCUMENT_SEARCH_DELAY = 400; // ms after the last keystroke
+const MIN_DOCUMENT_QUERY = 3; // Shorter queries match too much
+
+let activeAlerts = []; // Warnings shown in the banner
+const ALERT_REFRESH_MS = 5 * 60 * 1000; // Matches the alert source's schedule
+const BANNER_SEVERITIES = 'Extreme,Severe'; // Warnings, not advisories
 
 /* ============================================
    INITIALIZATION
@@ -90,11 +102,15 @@ function initializeApp() {
         initializeFilters();
         initializeSorting();
         initializeHashtags();
+        initializeMediaPlayers();
+        initializeCalendar();
+        initializeAlerts();
 
         console.log('✅ Event listeners initialized');
 
         // Load news from API
         loadNews();
+        loadSocialFeed();
 
     } catch (error) {
         console.error('❌ Initialization failed:', error);
@@ -165,6 +181,62 @@ async function loadNews() {
     }
 }
 
+/**
+ * Load the latest social posts (Nitter, Mastodon, Reddit) into the
+ * Social Media Mentions widget
+ */
+async function loadSocialFeed() {
+    const container = document.getElementById('socialFeed');
+    if (!container) return;
+
+    try {
+        const posts = await fetchNews({ content_type: 'social', limit: 8 });
+
+        container.innerHTML = '';
+        if (posts.length === 0) {
+            container.innerHTML = '<div class="social-item">No social posts yet</div>';
+            return;
+        }
+
+        posts.forEach(post => {
+            container.appendChild(createSocialElement(post));
+        });
+        console.log(`💬 Loaded ${posts.length} social posts`);
+    } catch (error) {
+        console.error('Error loading social posts:', error);
+    }
+}
+
+/**
+ * Create DOM element for a post in the Social Media Mentions widget
+ */
+function createSocialElement(post) {
+    const platform = post.platform || 'twitter';
+    const engagement = formatEngagement(post);
+
+    const div = document.createElement('div');
+    div.className = 'social-item';
+    div.innerHTML = `
+        <div class="social-platform platform-${escapeHtml(platform)}" title="${escapeHtml(platform)}">${escapeHtml(platform.charAt(0).toUpperCase())}</div>
+        <a href="${escapeHtml(post.url)}" target="_blank">${escapeHtml(post.title)}</a>
+        ${engagement ? `<span class="social-engagement">${engagement}</span>` : ''}
+    `;
+
+    return div;
+}
+
+/**
+ * "▲ 42 · 7 comments" for posts with engagement data (Reddit)
+ */
+function formatEngagement(article) {
+    const parts = [];
+    if (article.score != null) parts.push(`▲ ${article.score}`);
+    if (article.comment_count != null) {
+        parts.push(`${article.comment_count} comment${article.comment_count === 1 ? '' : 's'}`);
+    }
+    return parts.join(' · ');
+}
+
 /**
  * Render news items into the DOM
  */
@@ -217,6 +289,7 @@ function createArticleElement(article) {
     // Determine badge class and text
     const badgeClass = `badge-${article.content_type || 'news'}`;
     const badgeText = (article.content_type || 'news').toUpperCase();
+    const engagement = formatEngagement(article);
 
     // Build HTML
     div.innerHTML = `
@@ -224,11 +297,12 @@ function createArticleElement(article) {
             <span class="content-type-badge ${badgeClass}">${badgeText}</span>
             <span class="news-source">${escapeHtml(sourceName)}</span>
             <span>${timeAgo}</span>
+            ${engagement ? `<span class="social-engagement">${engagement}</span>` : ''}
             <a href="${escapeHtml(article.url)}" target="_blank" class="citation-link">🔗 Source</a>
         </div>
         <a href="${escapeHtml(article.url)}" target="_blank" class="news-title">${escapeHtml(article.title)}</a>
         ${article.excerpt ? `<div class="news-excerpt">${escapeHtml(article.excerpt)}</div>` : ''}
-        ${article.image_url ? `<div class="media-preview"><img src="${escapeHtml(article.image_url)}" alt="${escapeHtml(article.title)}" loading="lazy"></div>` : ''}
+        ${formatMedia(article)}
         <div class="news-tags">
             ${formatTags(article)}
         </div>
@@ -237,6 +311,60 @@ function createArticleElement(article) {
     return div;
 }
 
+/**
+ * Media area of an article card: a click-to-play card for YouTube videos,
+ * an inline player for podcast audio and video, otherwise the article image
+ */
+function formatMedia(article) {
+    const mediaType = article.media_type || '';
+
+    if (article.media_url && mediaType.startsWith('audio/')) {
+        return `
+            <div class="audio-player">
+                ${article.image_url ? `<img src="${escapeHtml(article.image_url)}" alt="" loading="lazy">` : ''}
+                <audio controls preload="none" src="${escapeHtml(article.media_url)}"></audio>
+                ${article.media_duration ? `<span class="media-duration">${formatDuration(article.media_duration)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    if (article.media_url && mediaType.startsWith('video/')) {
+        return `
+            <div class="media-preview">
+                <video controls preload="none" src="${escapeHtml(article.media_url)}"${article.image_url ? ` poster="${escapeHtml(article.image_url)}"` : ''}></video>
+            </div>
+        `;
+    }
+
+    if (article.video_id) {
+        return `
+            <div class="media-preview video-card" data-video-id="${escapeHtml(article.video_id)}">
+                ${article.image_url ? `<img src="${escapeHtml(article.image_url)}" alt="${escapeHtml(article.title)}" loading="lazy">` : ''}
+                <button class="video-play" aria-label="Play video">▶</button>
+            </div>
+        `;
+    }
+
+    if (article.image_url) {
+        return `<div class="media-preview"><img src="${escapeHtml(article.image_url)}" alt="${escapeHtml(article.title)}" loading="lazy"></div>`;
+    }
+
+    return '';
+}
+
+/**
+ * Seconds as "1:02:03" or "4:05"
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
 /**
  * Format tags for an article
  */
@@ -334,6 +462,7 @@ function initializeSearch() {
                     searchClear.style.display = 'none';
                     clearSearch(searchResults);
                 }
+                scheduleDocumentSearch(query);
             } catch (e) {
                 console.error('Search input error:', e);
             }
@@ -345,6 +474,7 @@ function initializeSearch() {
                 searchInput.value = '';
                 this.style.display = 'none';
                 clearSearch(searchResults);
+                scheduleDocumentSearch('');
             } catch (e) {
                 console.error('Search clear error:', e);
             }
@@ -457,6 +587,81 @@ function clearSearch(resultsEl) {
     }
 }
 
+/**
+ * Search meeting agendas and minutes once typing pauses
+ * Articles are searched in the page; documents live only on the backend
+ *
+ * @param {string} query - Search query ('' clears the results)
+ */
+function scheduleDocumentSearch(query) {
+    clearTimeout(documentSearchTimer);
+    documentSearchQuery = query;
+
+    if (query.length < MIN_DOCUMENT_QUERY) {
+        renderDocumentResults([]);
+        return;
+    }
+
+    documentSearchTimer = setTimeout(() => searchDocuments(query), DOCUMENT_SEARCH_DELAY);
+}
+
+/**
+ * Fetch documents matching a query and list them under the search box
+ *
+ * @param {string} query - Search query
+ */
+async function searchDocuments(query) {
+    try {
+        const documents = await fetchDocuments({ search: query, limit: 5 });
+        // Ignore answers to queries the reader has since changed
+        if (query === documentSearchQuery) {
+            renderDocumentResults(documents);
+        }
+    } catch (error) {
+        console.error('Document search error:', error);
+        renderDocumentResults([]);
+    }
+}
+
+/**
+ * Render meeting document matches
+ *
+ * @param {Array<Object>} documents - Documents from the API
+ */
+function renderDocumentResults(documents) {
+    const container = document.getElementById('documentResults');
+    if (!container) return;
+
+    if (documents.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = '<div class="document-results-heading">📄 In meeting agendas and minutes</div>';
+    documents.forEach(doc => {
+        container.appendChild(createDocumentElement(doc));
+    });
+}
+
+/**
+ * Create DOM element for a matching agenda or minutes document
+ *
+ * @param {Object} doc - Document from the API
+ * @returns {HTMLElement} Document element
+ */
+function createDocumentElement(doc) {
+    const div = document.createElement('div');
+    div.className = 'document-result';
+    // The snippet comes back HTML-escaped, with the matches in <mark>
+    div.innerHTML = `
+        <a href="${escapeHtml(doc.url)}" target="_blank" class="document-title">${escapeHtml(doc.title)}</a>
+        <span class="document-type">${escapeHtml(doc.document_type)}</span>
+        ${doc.snippet ? `<div class="document-snippet">${doc.snippet}</div>` : ''}
+    `;
+
+    return div;
+}
+
 /* ============================================
    TOGGLE FUNCTIONALITY
    ============================================ */
@@ -586,13 +791,306 @@ function applyFilters() {
     }
 }
 
+/* ============================================
+   MEDIA PLAYERS
+   ============================================ */
+
+/**
+ * Play videos in place: clicking a video card swaps the thumbnail for the
+ * YouTube player (the embed isn't loaded until then)
+ */
+function initializeMediaPlayers() {
+    const container = document.getElementById('newsContainer');
+    if (!container) return;
+
+    container.addEventListener('click', function(e) {
+        const card = e.target.closest('.video-card');
+        if (!card || card.classList.contains('playing')) return;
+
+        const iframe = document.createElement('iframe');
+        iframe.src = `https://www.youtube-nocookie.com/embed/${encodeURIComponent(card.dataset.videoId)}?autoplay=1`;
+        iframe.title = 'YouTube video player';
+        iframe.allow = 'autoplay; encrypted-media; picture-in-picture';
+        iframe.allowFullscreen = true;
+
+        card.innerHTML = '';
+        card.appendChild(iframe);
+        card.classList.add('playing');
+    });
+}
+
+/* ============================================
+   COMMUNITY CALENDAR
+   ============================================ */
+
+/**
+ * Initialize the Community Calendar widget
+ * Shows the current month with today's events; prev/next change the month
+ * and clicking a day lists that day's events
+ */
+function initializeCalendar() {
+    const grid = document.getElementById('calendarGrid');
+    const locationInput = document.getElementById('calendarLocation');
+    if (!grid) return;
+
+    const now = new Date();
+    calendarMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    selectedDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    document.getElementById('calendarPrev').addEventListener('click', function() {
+        changeCalendarMonth(-1);
+    });
+    document.getElementById('calendarNext').addEventListener('click', function() {
+        changeCalendarMonth(1);
+    });
+
+    // Day selection delegation (days are re-rendered with each month)
+    grid.addEventListener('click', function(e) {
+        const dayEl = e.target.closest('.calendar-day');
+        if (!dayEl) return;
+
+        selectedDay = new Date(parseInt(dayEl.dataset.time, 10));
+        renderCalendar();
+    });
+
+    // Location filter, debounced like search
+    let locationTimeout;
+    if (locationInput) {
+        locationInput.addEventListener('input', function() {
+            clearTimeout(locationTimeout);
+            locationTimeout = setTimeout(loadEvents, 300);
+        });
+    }
+
+    loadEvents();
+}
+
+/**
+ * Show the previous or next month, with its first day selected
+ *
+ * @param {number} step - -1 for the previous month, 1 for the next
+ */
+function changeCalendarMonth(step) {
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + step, 1);
+    selectedDay = new Date(calendarMonth);
+    loadEvents();
+}
+
+/**
+ * Load the shown month's events from the backend
+ */
+async function loadEvents() {
+    const locationInput = document.getElementById('calendarLocation');
+    const to = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1, 1);
+
+    try {
+        calendarEvents = await fetchEvents({
+            from: calendarMonth.toISOString(),
+            to: to.toISOString(),
+            location: locationInput ? locationInput.value.trim() : '',
+            limit: 500
+        });
+        console.log(`📅 Loaded ${calendarEvents.length} events`);
+    } catch (error) {
+        console.error('Error loading events:', error);
+        calendarEvents = [];
+    }
+
+    renderCalendar();
+}
+
+/**
+ * Render the month grid: one cell per day, marked when it has events
+ */
+function renderCalendar() {
+    const grid = document.getElementById('calendarGrid');
+    const monthEl = document.getElementById('calendarMonth');
+    const year = calendarMonth.getFullYear();
+    const month = calendarMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const today = new Date();
+
+    monthEl.textContent = calendarMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+    let html = ['S', 'M', 'T', 'W', 'T', 'F', 'S']
+        .map(day => `<div class="calendar-weekday">${day}</div>`)
+        .join('');
+
+    // Blank cells before the 1st
+    html += '<div class="calendar-blank"></div>'.repeat(calendarMonth.getDay());
+
+    for (let date = 1; date <= daysInMonth; date++) {
+        const day = new Date(year, month, date);
+        const classes = ['calendar-day'];
+
+        if (day.toDateString() === today.toDateString()) classes.push('today');
+        if (selectedDay && day.getTime() === selectedDay.getTime()) classes.push('selected');
+        if (getEventsOnDay(day).length > 0) classes.push('has-events');
+
+        html += `<button class="${classes.join(' ')}" data-time="${day.getTime()}">${date}</button>`;
+    }
+
+    grid.innerHTML = html;
+    renderDayEvents();
+}
+
+/**
+ * List the selected day's events under the grid
+ */
+function renderDayEvents() {
+    const container = document.getElementById('calendarEvents');
+    if (!container || !selectedDay) return;
+
+    const events = getEventsOnDay(selectedDay);
+    const heading = selectedDay.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+
+    container.innerHTML = `<div class="calendar-day-heading">${escapeHtml(heading)}</div>`;
+
+    if (events.length === 0) {
+        container.innerHTML += '<div class="calendar-empty">No events</div>';
+        return;
+    }
+
+    events.forEach(event => {
+        container.appendChild(createEventElement(event));
+    });
+}
+
+/**
+ * Events that take place (at least partly) on a day
+ * All-day events end at midnight, so an end time equal to the day's start
+ * belongs to the previous day
+ *
+ * @param {Date} day - Local midnight of the day
+ * @returns {Array<Object>} Events
+ */
+function getEventsOnDay(day) {
+    const dayStart = day.getTime();
+    const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+
+    return calendarEvents.filter(event => {
+        const start = new Date(event.starts_at).getTime();
+        const end = event.ends_at ? new Date(event.ends_at).getTime() : null;
+        return start < dayEnd && (end !== null ? end > dayStart : start >= dayStart);
+    });
+}
+
+/**
+ * Create DOM element for an event in the calendar's day list
+ *
+ * @param {Object} event - Event from the API
+ * @returns {HTMLElement} Event element
+ */
+function createEventElement(event) {
+    const time = event.all_day
+        ? 'All day'
+        : new Date(event.starts_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const title = event.url
+        ? `<a href="${escapeHtml(event.url)}" target="_blank">${escapeHtml(event.title)}</a>`
+        : escapeHtml(event.title);
+
+    const div = document.createElement('div');
+    div.className = 'calendar-event';
+    div.innerHTML = `
+        <div class="calendar-event-time">${escapeHtml(time)}</div>
+        <div class="calendar-event-title">${title}</div>
+        ${event.location ? `<div class="calendar-event-location">📍 ${escapeHtml(event.location)}</div>` : ''}
+    `;
+
+    return div;
+}
+
+/* ============================================
+   WEATHER ALERT BANNER
+   ============================================ */
+
+/**
+ * Load weather warnings now and keep them current
+ * Alerts that pass their expiry drop off the banner between refreshes
+ */
+function initializeAlerts() {
+    if (!document.getElementById('alertBanner')) return;
+
+    loadAlerts();
+    setInterval(loadAlerts, ALERT_REFRESH_MS);
+    setInterval(renderAlertBanner, 60 * 1000);
+}
+
+/**
+ * Fetch active warnings from the backend
+ */
+async function loadAlerts() {
+    try {
+        activeAlerts = await fetchAlerts({ severity: BANNER_SEVERITIES });
+        console.log(`⚠️ Loaded ${activeAlerts.length} weather warnings`);
+    } catch (error) {
+        // Keep showing the last known warnings rather than hiding them
+        console.error('Error loading alerts:', error);
+    }
+
+    renderAlertBanner();
+}
+
+/**
+ * Show unexpired warnings in the banner, or hide it when there are none
+ */
+function renderAlertBanner() {
+    const banner = document.getElementById('alertBanner');
+    if (!banner) return;
+
+    const now = Date.now();
+    const alerts = activeAlerts.filter(alert =>
+        !alert.expires_at || new Date(alert.expires_at).getTime() > now
+    );
+
+    if (alerts.length === 0) {
+        banner.hidden = true;
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.className = `alert-banner severity-${alerts[0].severity.toLowerCase()}`;
+    banner.innerHTML = '';
+    alerts.forEach(alert => {
+        banner.appendChild(createAlertElement(alert));
+    });
+    banner.hidden = false;
+}
+
+/**
+ * Create DOM element for one warning in the banner
+ *
+ * @param {Object} alert - Alert from the API
+ * @returns {HTMLElement} Alert element
+ */
+function createAlertElement(alert) {
+    const until = alert.expires_at
+        ? new Date(alert.expires_at).toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        })
+        : null;
+
+    const div = document.createElement('div');
+    div.className = 'alert-banner-item';
+    div.innerHTML = `
+        <span class="alert-banner-icon">⚠️</span>
+        <a href="${escapeHtml(alert.url)}" target="_blank" class="alert-banner-event">${escapeHtml(alert.event)}</a>
+        ${alert.areas ? `<span class="alert-banner-areas">${escapeHtml(alert.areas)}</span>` : ''}
+        ${until ? `<span class="alert-banner-until">until ${escapeHtml(until)}</span>` : ''}
+    `;
+
+    return div;
+}
+
 /* ============================================
    HASHTAG FUNCTIONALITY
    ============================================ */
 
 /**
  * Initialize hashtag management
- * Sets up add button and remove button event delegation
+ * Loads tracked hashtags and sets up add button and remove button event delegation
  */
 function initializeHashtags() {
     const hashtagInput = document.getElementById('hashtagInput');
@@ -600,6 +1098,8 @@ function initializeHashtags() {
     const container = document.getElementById('hashtagContainer');
 
     if (hashtagInput && addBtn && container) {
+        loadHashtags(container);
+
         // Add button listener
         addBtn.addEventListener('click', function() {
             addHashtag(hashtagInput, container);
@@ -616,30 +1116,64 @@ function initializeHashtags() {
         // Remove button delegation (handles dynamically added hashtags)
         container.addEventListener('click', function(e) {
             if (e.target.classList.contains('remove')) {
-                try {
-                    const tag = e.target.parentElement;
-                    if (tag) {
-                        const tagText = tag.textContent.replace('×', '').trim();
-                        tag.remove();
-                        console.log('Removed hashtag:', tagText);
-                        showStatus('🗑️ Hashtag removed');
-                        // TODO: When backend is implemented, trigger API call to update hashtag subscriptions
-                    }
-                } catch (err) {
-                    console.error('Error removing hashtag:', err);
+                const tag = e.target.parentElement;
+                if (tag) {
+                    removeHashtag(tag);
                 }
             }
         });
     }
 }
 
+/**
+ * Load tracked hashtags from the backend
+ *
+ * @param {HTMLElement} containerEl - Container for hashtag tags
+ */
+async function loadHashtags(containerEl) {
+    try {
+        const hashtags = await fetchHashtags();
+        containerEl.innerHTML = '';
+        hashtags.forEach(hashtag => {
+            containerEl.appendChild(createHashtagElement(hashtag));
+        });
+        console.log(`#️⃣ Loaded ${hashtags.length} hashtags`);
+    } catch (error) {
+        console.error('Error loading hashtags:', error);
+    }
+}
+
+/**
+ * Create DOM element for a tracked hashtag
+ *
+ * @param {Object} hashtag - Hashtag from the API
+ * @returns {HTMLElement} Hashtag tag element
+ */
+function createHashtagElement(hashtag) {
+    const tagEl = document.createElement('div');
+    tagEl.className = 'hashtag-tag';
+    tagEl.dataset.tag = hashtag.tag;
+    tagEl.title = `${hashtag.post_count || 0} posts collected`;
+
+    const textEl = document.createTextNode(hashtag.tag);
+    const removeEl = document.createElement('span');
+    removeEl.className = 'remove';
+    removeEl.textContent = '×';
+
+    tagEl.appendChild(textEl);
+    tagEl.appendChild(removeEl);
+    return tagEl;
+}
+
 /**
  * Add a new hashtag to the tracking list
+ * The backend creates a social source that is scraped on the normal schedule;
+ * its posts appear under the Social Media content toggle
  *
  * @param {HTMLInputElement} inputEl - Input element containing hashtag
  * @param {HTMLElement} containerEl - Container for hashtag tags
  */
-function addHashtag(inputEl, containerEl) {
+async function addHashtag(inputEl, containerEl) {
     try {
         const value = inputEl.value.trim();
         if (!value) return;
@@ -649,36 +1183,42 @@ function addHashtag(inputEl, containerEl) {
 
         // Check for duplicates
         const existing = Array.from(containerEl.querySelectorAll('.hashtag-tag'))
-            .map(tag => tag.textContent.replace('×', '').trim());
+            .map(tag => tag.dataset.tag.toLowerCase());
 
-        if (existing.includes(hashtag)) {
+        if (existing.includes(hashtag.toLowerCase())) {
             inputEl.value = '';
             showStatus('⚠️ Hashtag already exists');
             return;
         }
 
-        // Create new hashtag tag element
-        const tagEl = document.createElement('div');
-        tagEl.className = 'hashtag-tag';
-
-        const textEl = document.createTextNode(hashtag);
-        const removeEl = document.createElement('span');
-        removeEl.className = 'remove';
-        removeEl.textContent = '×';
-
-        tagEl.appendChild(textEl);
-        tagEl.appendChild(removeEl);
-        containerEl.appendChild(tagEl);
+        const created = await createHashtag(hashtag);
+        containerEl.appendChild(createHashtagElement(created));
 
         inputEl.value = '';
-        console.log('Added hashtag:', hashtag);
+        console.log('Added hashtag:', created.tag);
         showStatus('✅ Hashtag added');
 
-        // TODO: When backend is implemented, trigger API call to start monitoring this hashtag
-
     } catch (error) {
         console.error('Add hashtag error:', error);
-        showStatus('❌ Error adding hashtag');
+        showStatus(`❌ ${error.message || 'Error adding hashtag'}`);
+    }
+}
+
+/**
+ * Stop tracking a hashtag
+ *
+ * @param {HTMLElement} tagEl - Hashtag tag element
+ */
+async function removeHashtag(tagEl) {
+    try {
+        const tagText = tagEl.dataset.tag;
+        await deleteHashtag(tagText);
+        tagEl.remove();
+        console.log('Removed hashtag:', tagText);
+        showStatus('🗑️ Hashtag removed');
+    } catch (err) {
+        console.error('Error removing hashtag:', err);
+        showStatus('❌ Error removing hashtag');
     }
 }
 